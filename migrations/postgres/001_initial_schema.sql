@@ -0,0 +1,286 @@
+-- Initial PostgreSQL schema, matching migrations/sqlite/001_initial_schema.sql.
+-- Text columns sort bytewise (COLLATE "C"), as SQLite sorts them.
+
+-- Full-text search: like SQLite's unicode61 tokenizer with remove_diacritics,
+-- words are lowercased and stripped of accents
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE TEXT SEARCH CONFIGURATION fpapi (COPY = simple);
+ALTER TEXT SEARCH CONFIGURATION fpapi
+  ALTER MAPPING FOR hword, hword_part, word WITH unaccent, simple;
+
+-- Procurement Invoices table (one row per posting line)
+CREATE TABLE procurement_invoices (
+  id BIGSERIAL PRIMARY KEY,
+  line_key TEXT COLLATE "C" NOT NULL UNIQUE,
+  lasku_id TEXT COLLATE "C" NOT NULL,
+  hankintayksikko TEXT COLLATE "C" NOT NULL,
+  hankintayksikko_tunnus TEXT COLLATE "C",
+  ylaorganisaatio TEXT COLLATE "C",
+  ylaorganisaatio_tunnus TEXT COLLATE "C",
+  toimittaja_y_tunnus TEXT COLLATE "C",
+  toimittaja_nimi TEXT COLLATE "C",
+  toimittaja_kunta TEXT COLLATE "C",
+  tili TEXT COLLATE "C",
+  hankintakategoria TEXT COLLATE "C" NOT NULL,
+  tuote_palveluryhma TEXT COLLATE "C",
+  tositepvm TEXT COLLATE "C" NOT NULL,
+  tiliointisumma DOUBLE PRECISION NOT NULL,
+  sektori TEXT COLLATE "C",
+  data_year INTEGER NOT NULL,
+  resource_id TEXT COLLATE "C",
+  supplier_id BIGINT,
+  source_id TEXT COLLATE "C" NOT NULL DEFAULT 'tutkihankintoja',
+  created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+  -- Stands in for SQLite's invoice_search index
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('fpapi',
+    COALESCE(toimittaja_nimi, '') || ' ' ||
+    COALESCE(hankintayksikko, '') || ' ' ||
+    COALESCE(ylaorganisaatio, '') || ' ' ||
+    COALESCE(hankintakategoria, '') || ' ' ||
+    COALESCE(tuote_palveluryhma, '') || ' ' ||
+    COALESCE(toimittaja_kunta, '')
+  )) STORED
+);
+
+CREATE INDEX idx_lasku_id ON procurement_invoices(lasku_id);
+CREATE INDEX idx_tositepvm ON procurement_invoices(tositepvm);
+CREATE INDEX idx_hankintakategoria ON procurement_invoices(hankintakategoria);
+CREATE INDEX idx_toimittaja_nimi ON procurement_invoices(toimittaja_nimi);
+CREATE INDEX idx_toimittaja_kunta ON procurement_invoices(toimittaja_kunta);
+CREATE INDEX idx_hankintayksikko ON procurement_invoices(hankintayksikko);
+CREATE INDEX idx_hankintayksikko_tunnus ON procurement_invoices(hankintayksikko_tunnus);
+CREATE INDEX idx_ylaorganisaatio_tunnus ON procurement_invoices(ylaorganisaatio_tunnus);
+CREATE INDEX idx_sektori ON procurement_invoices(sektori);
+CREATE INDEX idx_data_year ON procurement_invoices(data_year);
+CREATE INDEX idx_tiliointisumma ON procurement_invoices(tiliointisumma);
+CREATE INDEX idx_resource_id ON procurement_invoices(resource_id);
+CREATE INDEX idx_supplier_id ON procurement_invoices(supplier_id);
+CREATE INDEX idx_source_id ON procurement_invoices(source_id);
+CREATE INDEX idx_search_vector ON procurement_invoices USING GIN (search_vector);
+
+-- Staging table: a file's rows are loaded here first and swapped into
+-- procurement_invoices in a single transaction once the file is parsed.
+-- rowid keeps the file order, as SQLite's implicit rowid does.
+CREATE TABLE procurement_invoices_staging (
+  rowid BIGSERIAL,
+  lasku_id TEXT COLLATE "C" NOT NULL,
+  hankintayksikko TEXT COLLATE "C" NOT NULL,
+  hankintayksikko_tunnus TEXT COLLATE "C",
+  ylaorganisaatio TEXT COLLATE "C",
+  ylaorganisaatio_tunnus TEXT COLLATE "C",
+  toimittaja_y_tunnus TEXT COLLATE "C",
+  toimittaja_nimi TEXT COLLATE "C",
+  toimittaja_kunta TEXT COLLATE "C",
+  tili TEXT COLLATE "C",
+  hankintakategoria TEXT COLLATE "C" NOT NULL,
+  tuote_palveluryhma TEXT COLLATE "C",
+  tositepvm TEXT COLLATE "C" NOT NULL,
+  tiliointisumma DOUBLE PRECISION NOT NULL,
+  sektori TEXT COLLATE "C",
+  data_year INTEGER NOT NULL,
+  resource_id TEXT COLLATE "C" NOT NULL,
+  line_hash TEXT COLLATE "C",
+  supplier_id BIGINT,
+  source_id TEXT COLLATE "C" NOT NULL DEFAULT 'tutkihankintoja'
+);
+
+CREATE INDEX idx_staging_resource_id ON procurement_invoices_staging(resource_id);
+
+-- Invoice-level view: aggregates posting lines back into whole invoices.
+-- Line-specific columns are listed as comma-separated distinct values.
+CREATE VIEW procurement_invoice_totals AS
+SELECT
+  lasku_id,
+  MIN(hankintayksikko) as hankintayksikko,
+  MIN(hankintayksikko_tunnus) as hankintayksikko_tunnus,
+  MIN(ylaorganisaatio) as ylaorganisaatio,
+  MIN(ylaorganisaatio_tunnus) as ylaorganisaatio_tunnus,
+  MIN(toimittaja_y_tunnus) as toimittaja_y_tunnus,
+  MIN(toimittaja_nimi) as toimittaja_nimi,
+  MIN(toimittaja_kunta) as toimittaja_kunta,
+  MIN(supplier_id) as supplier_id,
+  string_agg(DISTINCT tili, ',') as tili,
+  string_agg(DISTINCT hankintakategoria, ',') as hankintakategoria,
+  string_agg(DISTINCT tuote_palveluryhma, ',') as tuote_palveluryhma,
+  MIN(tositepvm) as tositepvm,
+  SUM(tiliointisumma) as tiliointisumma,
+  MIN(sektori) as sektori,
+  MIN(data_year) as data_year,
+  MIN(source_id) as source_id,
+  COUNT(*) as line_count
+FROM procurement_invoices
+GROUP BY lasku_id;
+
+-- Typeahead index: one row per supplier, unit and category, rebuilt after
+-- each import by refreshSuggestIndex
+CREATE TABLE search_suggestions (
+  name TEXT COLLATE "C",
+  kind TEXT NOT NULL,
+  ref TEXT COLLATE "C",
+  line_count INTEGER,
+  name_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('fpapi', COALESCE(name, ''))) STORED
+);
+
+CREATE INDEX idx_search_suggestions_name ON search_suggestions USING GIN (name_vector);
+
+-- Dataset metadata table (track downloaded files)
+CREATE TABLE dataset_metadata (
+  id BIGSERIAL PRIMARY KEY,
+  resource_id TEXT NOT NULL UNIQUE,
+  resource_name TEXT NOT NULL,
+  resource_url TEXT NOT NULL,
+  file_format TEXT,
+  data_year INTEGER,
+  last_modified TEXT,
+  file_size BIGINT,
+  file_hash TEXT,
+  downloaded_at TIMESTAMP(0),
+  records_imported INTEGER DEFAULT 0,
+  status TEXT DEFAULT 'pending',
+  source_id TEXT NOT NULL DEFAULT 'tutkihankintoja',
+  created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Canonical suppliers, keyed on a validated Y-tunnus where available
+CREATE TABLE suppliers (
+  id BIGSERIAL PRIMARY KEY,
+  business_id TEXT COLLATE "C" UNIQUE,
+  canonical_name TEXT COLLATE "C" NOT NULL,
+  normalized_name TEXT COLLATE "C",
+  created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Name variants seen for each supplier
+CREATE TABLE supplier_names (
+  supplier_id BIGINT NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+  name TEXT COLLATE "C" NOT NULL,
+  normalized_name TEXT COLLATE "C",
+  line_count INTEGER DEFAULT 0,
+  first_year INTEGER,
+  last_year INTEGER,
+  PRIMARY KEY (supplier_id, name)
+);
+
+CREATE INDEX idx_suppliers_normalized_name ON suppliers(normalized_name);
+CREATE INDEX idx_supplier_names_normalized_name ON supplier_names(normalized_name);
+
+-- Import runs: one row per imported file with its quality report
+CREATE TABLE import_runs (
+  id BIGSERIAL PRIMARY KEY,
+  resource_id TEXT NOT NULL,
+  resource_name TEXT NOT NULL,
+  file_path TEXT,
+  data_year INTEGER,
+  status TEXT NOT NULL DEFAULT 'running',
+  started_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP(0),
+  accepted_count INTEGER DEFAULT 0,
+  rejected_count INTEGER DEFAULT 0,
+  total_amount DOUBLE PRECISION,
+  report TEXT,
+  error TEXT
+);
+
+-- Quarantine for rows rejected during import
+CREATE TABLE import_rejects (
+  id BIGSERIAL PRIMARY KEY,
+  import_run_id BIGINT NOT NULL REFERENCES import_runs(id) ON DELETE CASCADE,
+  resource_id TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  line_number INTEGER,
+  reason TEXT NOT NULL,
+  detail TEXT,
+  raw_text TEXT,
+  created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_import_runs_resource_id ON import_runs(resource_id);
+CREATE INDEX idx_import_rejects_run ON import_rejects(import_run_id, line_number);
+
+-- Spending anomalies flagged after each import, recomputed per data year
+CREATE TABLE anomalies (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  data_year INTEGER NOT NULL,
+  period TEXT COLLATE "C",
+  lasku_id TEXT COLLATE "C",
+  supplier_id BIGINT,
+  unit_id TEXT COLLATE "C",
+  unit_name TEXT COLLATE "C",
+  category TEXT COLLATE "C",
+  amount DOUBLE PRECISION,
+  score DOUBLE PRECISION,
+  explanation TEXT NOT NULL,
+  details TEXT,
+  detected_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_anomalies_type_year ON anomalies(type, data_year);
+CREATE INDEX idx_anomalies_supplier_id ON anomalies(supplier_id);
+CREATE INDEX idx_anomalies_unit_id ON anomalies(unit_id);
+
+-- Supplier concentration per category, unit and sector per year,
+-- recomputed for the imported years after each import
+CREATE TABLE concentration_metrics (
+  dimension TEXT NOT NULL,
+  dimension_key TEXT COLLATE "C" NOT NULL,
+  label TEXT COLLATE "C",
+  data_year INTEGER NOT NULL,
+  total_value DOUBLE PRECISION NOT NULL,
+  supplier_count INTEGER NOT NULL,
+  hhi DOUBLE PRECISION,
+  top1_share DOUBLE PRECISION,
+  top5_share DOUBLE PRECISION,
+  top_supplier_id BIGINT,
+  computed_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (dimension, dimension_key, data_year)
+);
+
+CREATE INDEX idx_concentration_year ON concentration_metrics(dimension, data_year);
+
+-- Monthly rollups of procurement_invoices for dashboards, rebuilt for the
+-- imported years after each import
+CREATE TABLE monthly_rollups (
+  data_year INTEGER NOT NULL,
+  month TEXT COLLATE "C" NOT NULL,
+  hankintayksikko TEXT COLLATE "C",
+  hankintayksikko_tunnus TEXT COLLATE "C",
+  ylaorganisaatio_tunnus TEXT COLLATE "C",
+  hankintakategoria TEXT COLLATE "C",
+  supplier_id BIGINT,
+  sektori TEXT COLLATE "C",
+  source_id TEXT COLLATE "C" NOT NULL DEFAULT 'tutkihankintoja',
+  total_value DOUBLE PRECISION NOT NULL,
+  line_count INTEGER NOT NULL,
+  invoice_count INTEGER NOT NULL,
+  first_invoice_count INTEGER NOT NULL
+);
+
+CREATE INDEX idx_rollups_year ON monthly_rollups(data_year);
+CREATE INDEX idx_rollups_supplier_id ON monthly_rollups(supplier_id);
+CREATE INDEX idx_rollups_category ON monthly_rollups(hankintakategoria);
+
+-- API keys: only a hash of each key is stored. NULL limits fall back to the
+-- RATE_LIMIT_* defaults.
+CREATE TABLE api_keys (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  rate_limit INTEGER,
+  heavy_rate_limit INTEGER,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP(0),
+  revoked_at TIMESTAMP(0),
+  created_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+);
+
+-- System configuration table
+CREATE TABLE system_config (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+);
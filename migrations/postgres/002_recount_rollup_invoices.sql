@@ -0,0 +1,4 @@
+-- Rollup invoice counts now count each invoice in one month only. Dropping
+-- the old rows sends reads back to the lines until the next data update
+-- rebuilds the rollups (yearsMissingRollups).
+DELETE FROM monthly_rollups;
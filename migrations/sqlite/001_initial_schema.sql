@@ -0,0 +1,299 @@
+-- Initial SQLite schema. Tables and indexes are created only if missing so
+-- that databases created before schema migrations were tracked are adopted
+-- as they are; migrateDatabase adds the columns they may lack first.
+
+-- Procurement Invoices table (one row per posting line)
+CREATE TABLE IF NOT EXISTS procurement_invoices (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  line_key TEXT NOT NULL UNIQUE,
+  lasku_id TEXT NOT NULL,
+  hankintayksikko TEXT NOT NULL,
+  hankintayksikko_tunnus TEXT,
+  ylaorganisaatio TEXT,
+  ylaorganisaatio_tunnus TEXT,
+  toimittaja_y_tunnus TEXT,
+  toimittaja_nimi TEXT,
+  toimittaja_kunta TEXT,
+  tili TEXT,
+  hankintakategoria TEXT NOT NULL,
+  tuote_palveluryhma TEXT,
+  tositepvm TEXT NOT NULL,
+  tiliointisumma REAL NOT NULL,
+  sektori TEXT,
+  data_year INTEGER NOT NULL,
+  resource_id TEXT,
+  supplier_id INTEGER,
+  source_id TEXT NOT NULL DEFAULT 'tutkihankintoja',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Staging table: a file's rows are loaded here first and swapped into
+-- procurement_invoices in a single transaction once the file is parsed
+CREATE TABLE IF NOT EXISTS procurement_invoices_staging (
+  lasku_id TEXT NOT NULL,
+  hankintayksikko TEXT NOT NULL,
+  hankintayksikko_tunnus TEXT,
+  ylaorganisaatio TEXT,
+  ylaorganisaatio_tunnus TEXT,
+  toimittaja_y_tunnus TEXT,
+  toimittaja_nimi TEXT,
+  toimittaja_kunta TEXT,
+  tili TEXT,
+  hankintakategoria TEXT NOT NULL,
+  tuote_palveluryhma TEXT,
+  tositepvm TEXT NOT NULL,
+  tiliointisumma REAL NOT NULL,
+  sektori TEXT,
+  data_year INTEGER NOT NULL,
+  resource_id TEXT NOT NULL,
+  line_hash TEXT,
+  supplier_id INTEGER,
+  source_id TEXT NOT NULL DEFAULT 'tutkihankintoja'
+);
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_lasku_id ON procurement_invoices(lasku_id);
+CREATE INDEX IF NOT EXISTS idx_tositepvm ON procurement_invoices(tositepvm);
+CREATE INDEX IF NOT EXISTS idx_hankintakategoria ON procurement_invoices(hankintakategoria);
+CREATE INDEX IF NOT EXISTS idx_toimittaja_nimi ON procurement_invoices(toimittaja_nimi);
+CREATE INDEX IF NOT EXISTS idx_toimittaja_kunta ON procurement_invoices(toimittaja_kunta);
+CREATE INDEX IF NOT EXISTS idx_hankintayksikko ON procurement_invoices(hankintayksikko);
+CREATE INDEX IF NOT EXISTS idx_hankintayksikko_tunnus ON procurement_invoices(hankintayksikko_tunnus);
+CREATE INDEX IF NOT EXISTS idx_ylaorganisaatio_tunnus ON procurement_invoices(ylaorganisaatio_tunnus);
+CREATE INDEX IF NOT EXISTS idx_sektori ON procurement_invoices(sektori);
+CREATE INDEX IF NOT EXISTS idx_data_year ON procurement_invoices(data_year);
+CREATE INDEX IF NOT EXISTS idx_tiliointisumma ON procurement_invoices(tiliointisumma);
+CREATE INDEX IF NOT EXISTS idx_resource_id ON procurement_invoices(resource_id);
+CREATE INDEX IF NOT EXISTS idx_supplier_id ON procurement_invoices(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_source_id ON procurement_invoices(source_id);
+CREATE INDEX IF NOT EXISTS idx_staging_resource_id ON procurement_invoices_staging(resource_id);
+
+-- Invoice-level view: aggregates posting lines back into whole invoices.
+-- Line-specific columns are listed as comma-separated distinct values.
+DROP VIEW IF EXISTS procurement_invoice_totals;
+CREATE VIEW procurement_invoice_totals AS
+SELECT
+  lasku_id,
+  MIN(hankintayksikko) as hankintayksikko,
+  MIN(hankintayksikko_tunnus) as hankintayksikko_tunnus,
+  MIN(ylaorganisaatio) as ylaorganisaatio,
+  MIN(ylaorganisaatio_tunnus) as ylaorganisaatio_tunnus,
+  MIN(toimittaja_y_tunnus) as toimittaja_y_tunnus,
+  MIN(toimittaja_nimi) as toimittaja_nimi,
+  MIN(toimittaja_kunta) as toimittaja_kunta,
+  MIN(supplier_id) as supplier_id,
+  GROUP_CONCAT(DISTINCT tili) as tili,
+  GROUP_CONCAT(DISTINCT hankintakategoria) as hankintakategoria,
+  GROUP_CONCAT(DISTINCT tuote_palveluryhma) as tuote_palveluryhma,
+  MIN(tositepvm) as tositepvm,
+  SUM(tiliointisumma) as tiliointisumma,
+  MIN(sektori) as sektori,
+  MIN(data_year) as data_year,
+  MIN(source_id) as source_id,
+  COUNT(*) as line_count
+FROM procurement_invoices
+GROUP BY lasku_id;
+
+-- Full-text index over the text columns of procurement_invoices (see
+-- SEARCH_COLUMNS). It is an external content table kept in sync by
+-- triggers, so every import path (swap, backfill, legacy copy) updates it
+-- without extra work.
+CREATE VIRTUAL TABLE IF NOT EXISTS invoice_search USING fts5(
+  toimittaja_nimi, hankintayksikko, ylaorganisaatio, hankintakategoria, tuote_palveluryhma, toimittaja_kunta,
+  content = 'procurement_invoices',
+  content_rowid = 'id',
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS invoice_search_insert AFTER INSERT ON procurement_invoices BEGIN
+  INSERT INTO invoice_search (rowid, toimittaja_nimi, hankintayksikko, ylaorganisaatio, hankintakategoria, tuote_palveluryhma, toimittaja_kunta)
+  VALUES (new.id, new.toimittaja_nimi, new.hankintayksikko, new.ylaorganisaatio, new.hankintakategoria, new.tuote_palveluryhma, new.toimittaja_kunta);
+END;
+
+CREATE TRIGGER IF NOT EXISTS invoice_search_delete AFTER DELETE ON procurement_invoices BEGIN
+  INSERT INTO invoice_search (invoice_search, rowid, toimittaja_nimi, hankintayksikko, ylaorganisaatio, hankintakategoria, tuote_palveluryhma, toimittaja_kunta)
+  VALUES ('delete', old.id, old.toimittaja_nimi, old.hankintayksikko, old.ylaorganisaatio, old.hankintakategoria, old.tuote_palveluryhma, old.toimittaja_kunta);
+END;
+
+CREATE TRIGGER IF NOT EXISTS invoice_search_update AFTER UPDATE OF toimittaja_nimi, hankintayksikko, ylaorganisaatio, hankintakategoria, tuote_palveluryhma, toimittaja_kunta ON procurement_invoices BEGIN
+  INSERT INTO invoice_search (invoice_search, rowid, toimittaja_nimi, hankintayksikko, ylaorganisaatio, hankintakategoria, tuote_palveluryhma, toimittaja_kunta)
+  VALUES ('delete', old.id, old.toimittaja_nimi, old.hankintayksikko, old.ylaorganisaatio, old.hankintakategoria, old.tuote_palveluryhma, old.toimittaja_kunta);
+  INSERT INTO invoice_search (rowid, toimittaja_nimi, hankintayksikko, ylaorganisaatio, hankintakategoria, tuote_palveluryhma, toimittaja_kunta)
+  VALUES (new.id, new.toimittaja_nimi, new.hankintayksikko, new.ylaorganisaatio, new.hankintakategoria, new.tuote_palveluryhma, new.toimittaja_kunta);
+END;
+
+-- Index the rows of an adopted database that had none
+INSERT INTO invoice_search (invoice_search) VALUES ('rebuild');
+
+-- Typeahead index: one row per supplier, unit and category, rebuilt after
+-- each import by refreshSuggestIndex
+CREATE VIRTUAL TABLE IF NOT EXISTS search_suggestions USING fts5(
+  name,
+  kind UNINDEXED,
+  ref UNINDEXED,
+  line_count UNINDEXED,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Dataset metadata table (track downloaded files)
+CREATE TABLE IF NOT EXISTS dataset_metadata (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resource_id TEXT NOT NULL UNIQUE,
+  resource_name TEXT NOT NULL,
+  resource_url TEXT NOT NULL,
+  file_format TEXT,
+  data_year INTEGER,
+  last_modified TEXT,
+  file_size INTEGER,
+  file_hash TEXT,
+  downloaded_at DATETIME,
+  records_imported INTEGER DEFAULT 0,
+  status TEXT DEFAULT 'pending',
+  source_id TEXT NOT NULL DEFAULT 'tutkihankintoja',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Canonical suppliers, keyed on a validated Y-tunnus where available
+CREATE TABLE IF NOT EXISTS suppliers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  business_id TEXT UNIQUE,
+  canonical_name TEXT NOT NULL,
+  normalized_name TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Name variants seen for each supplier
+CREATE TABLE IF NOT EXISTS supplier_names (
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  normalized_name TEXT,
+  line_count INTEGER DEFAULT 0,
+  first_year INTEGER,
+  last_year INTEGER,
+  PRIMARY KEY (supplier_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppliers_normalized_name ON suppliers(normalized_name);
+CREATE INDEX IF NOT EXISTS idx_supplier_names_normalized_name ON supplier_names(normalized_name);
+
+-- Import runs: one row per imported file with its quality report
+CREATE TABLE IF NOT EXISTS import_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resource_id TEXT NOT NULL,
+  resource_name TEXT NOT NULL,
+  file_path TEXT,
+  data_year INTEGER,
+  status TEXT NOT NULL DEFAULT 'running',
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME,
+  accepted_count INTEGER DEFAULT 0,
+  rejected_count INTEGER DEFAULT 0,
+  total_amount REAL,
+  report TEXT,
+  error TEXT
+);
+
+-- Quarantine for rows rejected during import
+CREATE TABLE IF NOT EXISTS import_rejects (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  import_run_id INTEGER NOT NULL REFERENCES import_runs(id) ON DELETE CASCADE,
+  resource_id TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  line_number INTEGER,
+  reason TEXT NOT NULL,
+  detail TEXT,
+  raw_text TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_runs_resource_id ON import_runs(resource_id);
+CREATE INDEX IF NOT EXISTS idx_import_rejects_run ON import_rejects(import_run_id, line_number);
+
+-- Spending anomalies flagged after each import, recomputed per data year
+CREATE TABLE IF NOT EXISTS anomalies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  data_year INTEGER NOT NULL,
+  period TEXT,
+  lasku_id TEXT,
+  supplier_id INTEGER,
+  unit_id TEXT,
+  unit_name TEXT,
+  category TEXT,
+  amount REAL,
+  score REAL,
+  explanation TEXT NOT NULL,
+  details TEXT,
+  detected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_anomalies_type_year ON anomalies(type, data_year);
+CREATE INDEX IF NOT EXISTS idx_anomalies_supplier_id ON anomalies(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_anomalies_unit_id ON anomalies(unit_id);
+
+-- Supplier concentration per category, unit and sector per year,
+-- recomputed for the imported years after each import
+CREATE TABLE IF NOT EXISTS concentration_metrics (
+  dimension TEXT NOT NULL,
+  dimension_key TEXT NOT NULL,
+  label TEXT,
+  data_year INTEGER NOT NULL,
+  total_value REAL NOT NULL,
+  supplier_count INTEGER NOT NULL,
+  hhi REAL,
+  top1_share REAL,
+  top5_share REAL,
+  top_supplier_id INTEGER,
+  computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (dimension, dimension_key, data_year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_concentration_year ON concentration_metrics(dimension, data_year);
+
+-- Monthly rollups of procurement_invoices for dashboards, rebuilt for the
+-- imported years after each import. Key columns keep their names from
+-- procurement_invoices so the shared filters apply to both.
+CREATE TABLE IF NOT EXISTS monthly_rollups (
+  data_year INTEGER NOT NULL,
+  month TEXT NOT NULL,
+  hankintayksikko TEXT,
+  hankintayksikko_tunnus TEXT,
+  ylaorganisaatio_tunnus TEXT,
+  hankintakategoria TEXT,
+  supplier_id INTEGER,
+  sektori TEXT,
+  source_id TEXT NOT NULL DEFAULT 'tutkihankintoja',
+  total_value REAL NOT NULL,
+  line_count INTEGER NOT NULL,
+  invoice_count INTEGER NOT NULL,
+  first_invoice_count INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rollups_year ON monthly_rollups(data_year);
+CREATE INDEX IF NOT EXISTS idx_rollups_supplier_id ON monthly_rollups(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_rollups_category ON monthly_rollups(hankintakategoria);
+
+-- API keys: only a hash of each key is stored. NULL limits fall back to the
+-- RATE_LIMIT_* defaults.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  rate_limit INTEGER,
+  heavy_rate_limit INTEGER,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at DATETIME,
+  revoked_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- System configuration table
+CREATE TABLE IF NOT EXISTS system_config (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,260 @@
+import { db } from './database.js';
+import { attachCanonicalSuppliers } from './suppliers.js';
+import { rollupsAvailable } from './rollups.js';
+import { parseInteger } from './pagination.js';
+
+// Dimensions that may be used in groupBy, mapped to their SQL expression
+export const DIMENSIONS = {
+  sektori: 'sektori',
+  hankintakategoria: 'hankintakategoria',
+  tuote_palveluryhma: 'tuote_palveluryhma',
+  tili: 'tili',
+  hankintayksikko: 'hankintayksikko',
+  hankintayksikko_tunnus: 'hankintayksikko_tunnus',
+  ylaorganisaatio: 'ylaorganisaatio',
+  ylaorganisaatio_tunnus: 'ylaorganisaatio_tunnus',
+  toimittaja_kunta: 'toimittaja_kunta',
+  supplier: 'supplier_id',
+  source: 'source_id',
+  data_year: 'data_year'
+};
+
+// Time buckets over tositepvm (stored as YYYY-MM-DD)
+export const TIME_BUCKETS = {
+  month: 'substr(tositepvm, 1, 7)',
+  quarter: "substr(tositepvm, 1, 4) || '-Q' || ((CAST(substr(tositepvm, 6, 2) AS INTEGER) + 2) / 3)",
+  year: 'substr(tositepvm, 1, 4)'
+};
+
+// Measures computed in the main GROUP BY query. median is computed separately.
+export const MEASURES = {
+  sum: 'SUM(tiliointisumma)',
+  count: 'COUNT(*)',
+  invoices: 'COUNT(DISTINCT lasku_id)',
+  avg: 'AVG(tiliointisumma)',
+  median: null,
+  distinct_suppliers: 'COUNT(DISTINCT supplier_id)'
+};
+
+// What monthly_rollups can answer: dimensions it is keyed by, filters on
+// those keys (by buildInvoiceFilters param name) and the additive measures.
+// Key columns share their names with procurement_invoices.
+const ROLLUP_DIMENSIONS = [
+  'sektori', 'hankintakategoria', 'hankintayksikko', 'hankintayksikko_tunnus',
+  'ylaorganisaatio_tunnus', 'supplier', 'source', 'data_year'
+];
+const ROLLUP_FILTERS = ['year', 'sector', 'supplierId', 'category', 'procurementUnit', 'source'];
+
+const ROLLUP_TIME_BUCKETS = {
+  month: 'month',
+  quarter: "substr(month, 1, 4) || '-Q' || ((CAST(substr(month, 6, 2) AS INTEGER) + 2) / 3)",
+  year: 'substr(month, 1, 4)'
+};
+
+const ROLLUP_MEASURES = {
+  sum: 'SUM(total_value)',
+  count: 'SUM(line_count)',
+  avg: 'SUM(total_value) / SUM(line_count)',
+  distinct_suppliers: 'COUNT(DISTINCT supplier_id)'
+};
+
+const MAX_LIMIT = 10000;
+
+function splitList(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Validate aggregation parameters.
+ * Returns { groupBy, bucket, measures, sort, limit } or { error }.
+ */
+export function parseAggregationQuery(query) {
+  const groupBy = splitList(query.groupBy);
+  const measures = splitList(query.measures || 'sum,count');
+  const bucket = query.bucket || null;
+
+  const unknownDimension = groupBy.find(d => !DIMENSIONS[d]);
+  if (unknownDimension) {
+    return { error: `Unknown groupBy dimension "${unknownDimension}". Allowed: ${Object.keys(DIMENSIONS).join(', ')}` };
+  }
+  if (new Set(groupBy).size !== groupBy.length) {
+    return { error: 'groupBy dimensions must be unique' };
+  }
+
+  const unknownMeasure = measures.find(m => !(m in MEASURES));
+  if (unknownMeasure) {
+    return { error: `Unknown measure "${unknownMeasure}". Allowed: ${Object.keys(MEASURES).join(', ')}` };
+  }
+
+  if (bucket && !TIME_BUCKETS[bucket]) {
+    return { error: `Unknown bucket "${bucket}". Allowed: ${Object.keys(TIME_BUCKETS).join(', ')}` };
+  }
+
+  // sort=<measure or dimension>[:asc|desc], defaulting to the first measure
+  const [sortField, sortDirection = 'desc'] = (query.sort || `${measures[0]}:desc`).split(':');
+  const sortable = [...measures, ...groupBy, ...(bucket ? ['period'] : [])];
+  if (!sortable.includes(sortField)) {
+    return { error: `Cannot sort by "${sortField}". Allowed: ${sortable.join(', ')}` };
+  }
+  if (sortDirection !== 'asc' && sortDirection !== 'desc') {
+    return { error: 'Sort direction must be "asc" or "desc"' };
+  }
+
+  const limit = parseInteger(query.limit, 'limit', { defaultValue: 100, min: 1, max: MAX_LIMIT });
+  if (limit.error) {
+    return limit;
+  }
+
+  return {
+    groupBy,
+    bucket,
+    measures,
+    sort: { field: sortField, direction: sortDirection },
+    limit: limit.value
+  };
+}
+
+/**
+ * Measures over monthly_rollups for an aggregation, or null if it needs the
+ * posting lines
+ */
+async function rollupMeasures({ groupBy, bucket, measures }, params) {
+  if (!groupBy.every(d => ROLLUP_DIMENSIONS.includes(d))) return null;
+  if (!Object.keys(params).every(p => ROLLUP_FILTERS.includes(p))) return null;
+
+  // Each invoice is counted in one month only (see refreshRollups), so
+  // invoices per time bucket need the lines. Per category when grouping or
+  // filtering by it, otherwise by first line.
+  const invoices = bucket ? null
+    : groupBy.includes('hankintakategoria') || params.category ? 'SUM(invoice_count)' : 'SUM(first_invoice_count)';
+
+  const available = { ...ROLLUP_MEASURES, ...(invoices ? { invoices } : {}) };
+  if (!measures.every(m => available[m])) return null;
+
+  const year = params.year !== undefined ? params.year : null;
+  return await rollupsAvailable(year) ? available : null;
+}
+
+/**
+ * Aggregate procurement_invoices by the given dimensions and time bucket,
+ * reading monthly_rollups instead when the query allows it.
+ * conditions/params come from buildInvoiceFilters.
+ * Returns { rows, fromRollups }.
+ */
+export async function aggregate(options, { conditions, params }) {
+  const { groupBy, bucket, measures, sort, limit } = options;
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const fromRollups = await rollupMeasures(options, params);
+  const source = fromRollups ? 'monthly_rollups' : 'procurement_invoices';
+  const buckets = fromRollups ? ROLLUP_TIME_BUCKETS : TIME_BUCKETS;
+  const measureExprs = fromRollups || MEASURES;
+
+  // Group columns as [alias, expression]
+  const groups = groupBy.map(d => [d, DIMENSIONS[d]]);
+  if (bucket) {
+    groups.push(['period', buckets[bucket]]);
+  }
+
+  const groupSelect = groups.map(([alias, expr]) => `${expr} as ${alias}`);
+  const measureSelect = measures
+    .filter(m => measureExprs[m])
+    .map(m => `${measureExprs[m]} as ${m}`);
+
+  // Median needs a window over each group; it is joined in by group key
+  if (measures.includes('median')) {
+    const partition = groups.length > 0 ? `PARTITION BY ${groups.map(([, expr]) => expr).join(', ')}` : '';
+    const outerGroups = groups.map(([alias]) => alias);
+
+    const medianQuery = `
+      SELECT ${[...outerGroups, 'AVG(tiliointisumma) as value'].join(', ')}
+      FROM (
+        SELECT
+          ${[...groupSelect, 'tiliointisumma'].join(', ')},
+          ROW_NUMBER() OVER (${partition} ORDER BY tiliointisumma) as rn,
+          COUNT(*) OVER (${partition}) as cnt
+        FROM procurement_invoices
+        ${whereClause}
+      ) numbered
+      WHERE rn IN ((cnt + 1) / 2, (cnt + 2) / 2)
+      ${outerGroups.length > 0 ? `GROUP BY ${outerGroups.join(', ')}` : ''}
+    `;
+
+    const joinOn = outerGroups.length > 0
+      ? `ON ${outerGroups.map(g => `m.${g} IS NOT DISTINCT FROM a.${g}`).join(' AND ')}`
+      : 'ON 1 = 1';
+
+    const innerSelect = [...groupSelect, ...measureSelect];
+    if (innerSelect.length === 0) {
+      innerSelect.push('COUNT(*) as rows');
+    }
+    const outerSelect = [
+      ...outerGroups.map(g => `a.${g}`),
+      ...measures.filter(m => MEASURES[m]).map(m => `a.${m}`),
+      'm.value as median'
+    ];
+
+    const sql = `
+      SELECT ${outerSelect.join(', ')}
+      FROM (
+        SELECT ${innerSelect.join(', ')}
+        FROM procurement_invoices
+        ${whereClause}
+        ${groups.length > 0 ? `GROUP BY ${groups.map(([alias]) => alias).join(', ')}` : ''}
+      ) a
+      LEFT JOIN (${medianQuery}) m ${joinOn}
+      ORDER BY ${sort.field === 'median' ? 'median' : `a.${sort.field}`} ${sort.direction.toUpperCase()}
+      LIMIT @limit
+    `;
+    return { rows: await finalize(await db.prepare(sql).all({ ...params, limit }), groupBy, measures), fromRollups: false };
+  }
+
+  const sql = `
+    SELECT ${[...groupSelect, ...measureSelect].join(', ')}
+    FROM ${source}
+    ${whereClause}
+    ${groups.length > 0 ? `GROUP BY ${groups.map(([alias]) => alias).join(', ')}` : ''}
+    ORDER BY ${sort.field} ${sort.direction.toUpperCase()}
+    LIMIT @limit
+  `;
+
+  return {
+    rows: await finalize(await db.prepare(sql).all({ ...params, limit }), groupBy, measures),
+    fromRollups: Boolean(fromRollups)
+  };
+}
+
+/**
+ * Order measure columns as requested and attach canonical supplier details
+ * when grouping by supplier
+ */
+async function finalize(rows, groupBy, measures) {
+  const ordered = rows.map(row => {
+    const result = {};
+    for (const key of Object.keys(row)) {
+      if (!measures.includes(key)) result[key] = row[key];
+    }
+    for (const measure of measures) {
+      result[measure] = row[measure];
+    }
+    return result;
+  });
+
+  if (!groupBy.includes('supplier')) {
+    return ordered;
+  }
+
+  return (await attachCanonicalSuppliers(ordered.map(row => ({ ...row, supplier_id: row.supplier }))))
+    .map(({ supplier_id: _supplierId, ...row }) => row);
+}
+
+export default {
+  DIMENSIONS,
+  TIME_BUCKETS,
+  MEASURES,
+  parseAggregationQuery,
+  aggregate
+};
@@ -0,0 +1,344 @@
+import { db, dialect } from './database.js';
+import { attachCanonicalSuppliers } from './suppliers.js';
+
+export const ANOMALY_TYPES = ['outlier', 'spike', 'new_supplier', 'duplicate'];
+
+// Detection thresholds
+export const THRESHOLDS = {
+  // Outliers: z-score of log(amount) within a category and unit per year
+  outlierZScore: 4,
+  outlierMinGroupSize: 30,
+  outlierMinAmount: 10000,
+  // Spikes: monthly spend versus the average of the three months before
+  spikeFactor: 5,
+  spikeMinAmount: 20000,
+  // New suppliers: first ever invoice at or above this amount
+  newSupplierMinAmount: 50000,
+  // Duplicates: same supplier, amount and date under different lasku_ids
+  duplicateMinAmount: 1000
+};
+
+// Procurement units without a tunnus are identified by name
+const UNIT_ID = 'COALESCE(hankintayksikko_tunnus, hankintayksikko)';
+
+function euros(value) {
+  return `€${Math.round(value).toLocaleString('en-US')}`;
+}
+
+/**
+ * Invoices whose amount is far above what their unit usually pays within
+ * the category. Amounts are compared on a log scale, since spend is heavily
+ * skewed.
+ */
+async function detectOutliers(year, t) {
+  return (await db.prepare(`
+    WITH items AS (
+      SELECT
+        lasku_id, hankintakategoria, ${UNIT_ID} as unit_id,
+        MIN(hankintayksikko) as unit_name, MIN(supplier_id) as supplier_id,
+        MIN(tositepvm) as tositepvm, SUM(tiliointisumma) as amount
+      FROM procurement_invoices
+      WHERE data_year = @year
+      GROUP BY lasku_id, hankintakategoria, unit_id
+    ),
+    stats AS (
+      SELECT hankintakategoria, unit_id, COUNT(*) as n,
+             AVG(ln(amount)) as mean, AVG(ln(amount) * ln(amount)) as mean_sq
+      FROM items
+      WHERE amount > 0
+      GROUP BY hankintakategoria, unit_id
+      HAVING COUNT(*) >= @minGroupSize
+    )
+    SELECT * FROM (
+      SELECT i.*, s.n, s.mean, (ln(i.amount) - s.mean) / sqrt(s.mean_sq - s.mean * s.mean) as z
+      FROM items i
+      JOIN stats s ON s.hankintakategoria = i.hankintakategoria AND s.unit_id = i.unit_id
+      WHERE i.amount >= @minAmount AND s.mean_sq - s.mean * s.mean > 0
+    ) scored
+    WHERE z >= @zScore
+  `).all({ year, minGroupSize: t.outlierMinGroupSize, minAmount: t.outlierMinAmount, zScore: t.outlierZScore }))
+    .map(row => ({
+      type: 'outlier',
+      period: row.tositepvm.slice(0, 7),
+      lasku_id: row.lasku_id,
+      supplier_id: row.supplier_id,
+      unit_id: row.unit_id,
+      unit_name: row.unit_name,
+      category: row.hankintakategoria,
+      amount: row.amount,
+      score: row.z,
+      explanation: `${euros(row.amount)} is ${row.z.toFixed(1)} standard deviations above the usual ` +
+        `${row.hankintakategoria} invoice at ${row.unit_name} (typically ${euros(Math.exp(row.mean))}, ` +
+        `${row.n} invoices in ${year})`,
+      details: { invoiceCount: row.n, typicalAmount: Math.exp(row.mean), date: row.tositepvm }
+    }));
+}
+
+/**
+ * Months in which a supplier-buyer pair's spend jumps far above the
+ * average of the three months before
+ */
+async function detectSpikes(year, t) {
+  return (await db.prepare(`
+    WITH monthly AS (
+      SELECT
+        supplier_id, ${UNIT_ID} as unit_id, MIN(hankintayksikko) as unit_name,
+        substr(tositepvm, 1, 7) as month,
+        MIN(CAST(substr(tositepvm, 1, 4) AS INTEGER) * 12 + CAST(substr(tositepvm, 6, 2) AS INTEGER)) as month_index,
+        SUM(tiliointisumma) as spend,
+        COUNT(DISTINCT lasku_id) as invoices
+      FROM procurement_invoices
+      WHERE supplier_id IS NOT NULL
+        AND tositepvm >= @from AND tositepvm < @to
+      GROUP BY supplier_id, unit_id, month
+    ),
+    windowed AS (
+      SELECT *, COALESCE(SUM(spend) OVER (
+        PARTITION BY supplier_id, unit_id
+        ORDER BY month_index
+        RANGE BETWEEN 3 PRECEDING AND 1 PRECEDING
+      ), 0) as previous
+      FROM monthly
+    )
+    SELECT * FROM windowed
+    WHERE month LIKE @yearPrefix
+      AND spend >= @minAmount
+      AND previous > 0
+      AND spend >= @factor * previous / 3
+  `).all({
+    from: `${year - 1}-10-01`,
+    to: `${year + 1}-01-01`,
+    yearPrefix: `${year}-%`,
+    minAmount: t.spikeMinAmount,
+    factor: t.spikeFactor
+  })).map(row => {
+    const average = row.previous / 3;
+    return {
+      type: 'spike',
+      period: row.month,
+      lasku_id: null,
+      supplier_id: row.supplier_id,
+      unit_id: row.unit_id,
+      unit_name: row.unit_name,
+      category: null,
+      amount: row.spend,
+      score: row.spend / average,
+      explanation: `${row.unit_name} paid ${euros(row.spend)} in ${row.month}, ` +
+        `${(row.spend / average).toFixed(1)}x its average of ${euros(average)} a month over the previous three months`,
+      details: { invoiceCount: row.invoices, previousMonthlyAverage: average }
+    };
+  });
+}
+
+/**
+ * Suppliers whose first ever invoice is large. The earliest data year is
+ * skipped, since every supplier is new there.
+ */
+async function detectNewSuppliers(year, t) {
+  const { firstYear } = await db.prepare('SELECT MIN(data_year) as "firstYear" FROM procurement_invoices').get();
+  if (year <= firstYear) {
+    return [];
+  }
+
+  return (await db.prepare(`
+    WITH firsts AS (
+      SELECT supplier_id, MIN(tositepvm) as first_date
+      FROM procurement_invoices
+      WHERE supplier_id IS NOT NULL
+      GROUP BY supplier_id
+    )
+    SELECT
+      p.lasku_id, p.supplier_id, MIN(f.first_date) as first_date,
+      MIN(COALESCE(p.hankintayksikko_tunnus, p.hankintayksikko)) as unit_id,
+      MIN(p.hankintayksikko) as unit_name,
+      MIN(p.hankintakategoria) as category,
+      SUM(p.tiliointisumma) as amount
+    FROM firsts f
+    JOIN procurement_invoices p ON p.supplier_id = f.supplier_id AND p.tositepvm = f.first_date
+    WHERE p.data_year = @year
+    GROUP BY p.supplier_id, p.lasku_id
+    HAVING SUM(p.tiliointisumma) >= @minAmount
+  `).all({ year, minAmount: t.newSupplierMinAmount })).map(row => ({
+    type: 'new_supplier',
+    period: row.first_date.slice(0, 7),
+    lasku_id: row.lasku_id,
+    supplier_id: row.supplier_id,
+    unit_id: row.unit_id,
+    unit_name: row.unit_name,
+    category: row.category,
+    amount: row.amount,
+    score: row.amount / t.newSupplierMinAmount,
+    explanation: `First ever payment to this supplier is ${euros(row.amount)}, ` +
+      `paid by ${row.unit_name} on ${row.first_date}`,
+    details: { firstDate: row.first_date }
+  }));
+}
+
+/**
+ * Invoices with the same supplier, total and date but different lasku_ids
+ */
+async function detectDuplicates(year, t) {
+  return (await db.prepare(`
+    WITH invoices AS (
+      SELECT
+        lasku_id, MIN(supplier_id) as supplier_id, MIN(tositepvm) as tositepvm,
+        ROUND(CAST(SUM(tiliointisumma) AS NUMERIC), 2) as amount,
+        MIN(${UNIT_ID}) as unit_id, MIN(hankintayksikko) as unit_name,
+        MIN(hankintakategoria) as category
+      FROM procurement_invoices
+      WHERE data_year = @year AND supplier_id IS NOT NULL
+      GROUP BY lasku_id
+    )
+    SELECT
+      supplier_id, tositepvm, amount, COUNT(*) as n,
+      ${dialect.jsonArrayAgg('lasku_id')} as invoice_ids,
+      ${dialect.jsonArrayAgg('unit_name', { distinct: true })} as unit_names,
+      MIN(lasku_id) as lasku_id, MIN(unit_id) as unit_id, MIN(unit_name) as unit_name,
+      MIN(category) as category
+    FROM invoices
+    WHERE amount >= @minAmount
+    GROUP BY supplier_id, tositepvm, amount
+    HAVING COUNT(*) > 1
+  `).all({ year, minAmount: t.duplicateMinAmount })).map(row => {
+    const invoiceIds = JSON.parse(row.invoice_ids);
+    const unitNames = JSON.parse(row.unit_names);
+    return {
+      type: 'duplicate',
+      period: row.tositepvm.slice(0, 7),
+      lasku_id: row.lasku_id,
+      supplier_id: row.supplier_id,
+      unit_id: row.unit_id,
+      unit_name: row.unit_name,
+      category: row.category,
+      amount: row.amount,
+      score: row.n,
+      explanation: `${row.n} invoices of ${euros(row.amount)} to the same supplier on ${row.tositepvm} ` +
+        `(${invoiceIds.join(', ')})${unitNames.length > 1 ? ` from ${unitNames.join(', ')}` : ''}`,
+      details: { invoiceIds, unitNames, date: row.tositepvm }
+    };
+  });
+}
+
+/**
+ * Recompute anomalies for the given data years, or for every year from
+ * fromYear on (all years if neither is given). New suppliers and spikes
+ * depend on earlier years, so a changed year also changes the years after
+ * it. Returns counts per type.
+ */
+export async function detectAnomalies({ years = null, fromYear = null, thresholds = {} } = {}) {
+  const t = { ...THRESHOLDS, ...thresholds };
+  const counts = Object.fromEntries(ANOMALY_TYPES.map(type => [type, 0]));
+
+  let targetYears = years;
+  if (!targetYears) {
+    targetYears = (await db.prepare('SELECT DISTINCT data_year FROM procurement_invoices').pluck().all())
+      .filter(year => fromYear === null || year >= fromYear);
+
+    // Years left without data keep no anomalies
+    await db.prepare(`
+      DELETE FROM anomalies
+      WHERE data_year >= @fromYear AND data_year NOT IN (SELECT DISTINCT data_year FROM procurement_invoices)
+    `).run({ fromYear: fromYear === null ? 0 : fromYear });
+  }
+
+  for (const year of targetYears) {
+    const found = [
+      ...await detectOutliers(year, t),
+      ...await detectSpikes(year, t),
+      ...await detectNewSuppliers(year, t),
+      ...await detectDuplicates(year, t)
+    ];
+
+    await db.transaction(async (tx) => {
+      await tx.prepare('DELETE FROM anomalies WHERE data_year = ?').run(year);
+
+      const insert = tx.prepare(`
+        INSERT INTO anomalies (type, data_year, period, lasku_id, supplier_id, unit_id, unit_name, category, amount, score, explanation, details)
+        VALUES (@type, @data_year, @period, @lasku_id, @supplier_id, @unit_id, @unit_name, @category, @amount, @score, @explanation, @details)
+      `);
+      for (const anomaly of found) {
+        await insert.run({ ...anomaly, data_year: year, details: JSON.stringify(anomaly.details) });
+        counts[anomaly.type]++;
+      }
+    });
+  }
+
+  return counts;
+}
+
+/**
+ * List flagged anomalies with optional filters, largest amounts first
+ */
+export async function listAnomalies({
+  type = null,
+  year = null,
+  supplierId = null,
+  unit = null,
+  category = null,
+  minAmount = null,
+  minScore = null,
+  limit = 100,
+  offset = 0
+} = {}) {
+  const conditions = [];
+  const params = { limit, offset };
+
+  if (type) {
+    conditions.push(`type IN ${dialect.jsonValues('@types', 'TEXT')}`);
+    params.types = JSON.stringify(type);
+  }
+  if (year) {
+    conditions.push('data_year = @year');
+    params.year = year;
+  }
+  if (supplierId) {
+    conditions.push('supplier_id = @supplierId');
+    params.supplierId = supplierId;
+  }
+  if (unit) {
+    conditions.push('unit_id = @unit');
+    params.unit = unit;
+  }
+  if (category) {
+    conditions.push('category LIKE @category');
+    params.category = `%${category}%`;
+  }
+  if (minAmount !== null) {
+    conditions.push('amount >= @minAmount');
+    params.minAmount = minAmount;
+  }
+  if (minScore !== null) {
+    conditions.push('score >= @minScore');
+    params.minScore = minScore;
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { total } = await db.prepare(`SELECT COUNT(*) as total FROM anomalies ${whereClause}`).get(params);
+  const byType = await db.prepare(`
+    SELECT type, COUNT(*) as count FROM anomalies ${whereClause} GROUP BY type
+  `).all(params);
+
+  const anomalies = (await db.prepare(`
+    SELECT
+      id, type, data_year, period, lasku_id, supplier_id,
+      unit_id, unit_name, category, amount, score, explanation, details, detected_at
+    FROM anomalies
+    ${whereClause}
+    ORDER BY amount DESC, id
+    LIMIT @limit OFFSET @offset
+  `).all(params)).map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+
+  return {
+    anomalies: await attachCanonicalSuppliers(anomalies),
+    total,
+    byType: Object.fromEntries(byType.map(r => [r.type, r.count]))
+  };
+}
+
+export default {
+  ANOMALY_TYPES,
+  THRESHOLDS,
+  detectAnomalies,
+  listAnomalies
+};
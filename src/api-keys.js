@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { db } from './database.js';
+import { checkSchemaVersion } from './migrations.js';
+
+const KEY_PREFIX = 'fpk_';
+const USAGE_FLUSH_MS = 30 * 1000;
+const KEY_CACHE_MS = parseInt(process.env.API_KEY_CACHE_MS) || 60 * 1000;
+const KEY_CACHE_MAX_ENTRIES = 1000;
+
+// Recent lookups by key hash, unknown keys included, so keyed requests don't
+// each need a database read. The oldest entry is evicted first.
+const keyCache = new Map();
+
+// Usage counted in memory and written in batches, so requests don't each
+// need a database write
+const pendingUsage = new Map();
+let flushTimer = null;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create an API key. The key itself is only returned here; the database
+ * keeps its hash and first characters.
+ */
+export async function createApiKey({ name, rateLimit = null, heavyRateLimit = null }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const { id } = await db.prepare(`
+    INSERT INTO api_keys (name, key_hash, key_prefix, rate_limit, heavy_rate_limit)
+    VALUES (?, ?, ?, ?, ?)
+    RETURNING id
+  `).get(name, hashKey(key), key.slice(0, KEY_PREFIX.length + 4), rateLimit, heavyRateLimit);
+
+  return { id, name, key };
+}
+
+/**
+ * Active API key matching a presented key, or null. Results are cached for
+ * API_KEY_CACHE_MS, so a key revoked by another process keeps working until
+ * its entry expires.
+ */
+export async function findApiKey(key) {
+  const hash = hashKey(key);
+  const hit = keyCache.get(hash);
+  if (hit && hit.expires > Date.now()) {
+    return hit.apiKey;
+  }
+
+  const apiKey = await db.prepare(`
+    SELECT id, name, rate_limit, heavy_rate_limit
+    FROM api_keys
+    WHERE key_hash = ? AND revoked_at IS NULL
+  `).get(hash) || null;
+
+  keyCache.delete(hash);
+  keyCache.set(hash, { apiKey, expires: Date.now() + KEY_CACHE_MS });
+  if (keyCache.size > KEY_CACHE_MAX_ENTRIES) {
+    keyCache.delete(keyCache.keys().next().value);
+  }
+  return apiKey;
+}
+
+/**
+ * Count a request made with an API key
+ */
+export function recordApiKeyUsage(id) {
+  pendingUsage.set(id, (pendingUsage.get(id) || 0) + 1);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushApiKeyUsage().catch(error => console.error('Error saving API key usage:', error.message));
+    }, USAGE_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+/**
+ * Write buffered usage counters to the database
+ */
+export async function flushApiKeyUsage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const usage = [...pendingUsage];
+  pendingUsage.clear();
+  if (usage.length === 0) {
+    return;
+  }
+
+  await db.transaction(async (tx) => {
+    const update = tx.prepare(`
+      UPDATE api_keys
+      SET request_count = request_count + ?, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    for (const [id, count] of usage) {
+      await update.run(count, id);
+    }
+  });
+}
+
+/**
+ * All API keys with their quotas and usage, without key hashes
+ */
+export async function listApiKeys() {
+  await flushApiKeyUsage();
+  return db.prepare(`
+    SELECT id, name, key_prefix, rate_limit, heavy_rate_limit, request_count,
+      last_used_at, revoked_at, created_at
+    FROM api_keys
+    ORDER BY id
+  `).all();
+}
+
+/**
+ * Revoke an API key. Returns false if no active key has the id.
+ */
+export async function revokeApiKey(id) {
+  const { changes } = await db.prepare(`
+    UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND revoked_at IS NULL
+  `).run(id);
+
+  keyCache.clear();
+  return changes > 0;
+}
+
+function optionValue(args, name) {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+function optionalLimit(value) {
+  return value === null ? null : parseInt(value);
+}
+
+// Only run the CLI when executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [command, ...args] = process.argv.slice(2);
+  try {
+    await checkSchemaVersion(db);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (command === 'create') {
+    const name = optionValue(args, 'name');
+    if (!name) {
+      console.error('❌ --name is required');
+      process.exit(1);
+    }
+    const { id, key } = await createApiKey({
+      name,
+      rateLimit: optionalLimit(optionValue(args, 'limit')),
+      heavyRateLimit: optionalLimit(optionValue(args, 'heavy-limit'))
+    });
+    console.log(`🔑 Created API key ${id} for "${name}":\n\n  ${key}\n\nStore it now; it cannot be shown again.`);
+  } else if (command === 'list') {
+    console.table(await listApiKeys());
+  } else if (command === 'revoke') {
+    const id = parseInt(args[0]);
+    if (!(await revokeApiKey(id))) {
+      console.error(`❌ No active API key with id ${args[0]}`);
+      process.exit(1);
+    }
+    console.log(`🔒 Revoked API key ${id}`);
+  } else {
+    console.log(`
+API Key Management
+
+Usage:
+  npm run api-keys -- create --name=<name> [--limit=<n>] [--heavy-limit=<n>]
+  npm run api-keys -- list
+  npm run api-keys -- revoke <id>
+
+Limits are requests per RATE_LIMIT_WINDOW_MS; omitted limits use the
+RATE_LIMIT_MAX_REQUESTS and RATE_LIMIT_HEAVY_MAX_REQUESTS defaults.
+  `);
+  }
+
+  await db.close();
+}
+
+export default {
+  createApiKey,
+  findApiKey,
+  recordApiKeyUsage,
+  flushApiKeyUsage,
+  listApiKeys,
+  revokeApiKey
+};
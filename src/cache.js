@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { getConfig, setConfig } from './database.js';
+import { loadThresholdConfig } from './thresholds.js';
+import { loadProfiles } from './column-mapping.js';
+
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+
+// Least recently used entries are evicted first: Map keeps insertion order,
+// and a hit re-inserts its key at the end
+const entries = new Map();
+let entriesVersion = null;
+
+// Hash of the loaded config and when this process first saw it
+let loadedConfig = null;
+
+/**
+ * Current dataset version and when it was bumped. Version 0 means no import
+ * has finished since versioning was introduced.
+ */
+export async function getDatasetVersion() {
+  return {
+    version: parseInt(await getConfig('dataset_version', '0')),
+    updatedAt: await getConfig('dataset_updated_at')
+  };
+}
+
+/**
+ * Mark the data as changed, e.g. after an import. Invalidates cached
+ * responses in every server process sharing the database.
+ */
+export async function bumpDatasetVersion() {
+  const version = (await getDatasetVersion()).version + 1;
+  await setConfig('dataset_version', version);
+  await setConfig('dataset_updated_at', new Date().toISOString());
+  return version;
+}
+
+/**
+ * Short hash of the loaded threshold tables and column profiles. Results
+ * depend on them as well as on the data, so a config change must invalidate
+ * ETags and cached results just like an import does.
+ */
+export function configHash(configs = [loadThresholdConfig(), loadProfiles()]) {
+  return crypto.createHash('sha256').update(JSON.stringify(configs)).digest('hex').slice(0, 12);
+}
+
+function currentConfig() {
+  const hash = configHash();
+  if (loadedConfig?.hash !== hash) {
+    loadedConfig = { hash, loadedAt: new Date() };
+  }
+  return loadedConfig;
+}
+
+/**
+ * Version of everything responses are computed from: the dataset version
+ * and the config hash
+ */
+export async function getCacheVersion() {
+  return `${(await getDatasetVersion()).version}-${currentConfig().hash}`;
+}
+
+/**
+ * Express middleware: sets ETag from the dataset version and config hash and
+ * Last-Modified from the later of the last import and the config load, and
+ * answers matching conditional requests with 304 before any query runs
+ */
+export async function conditionalGet(req, res, next) {
+  let dataset;
+  let config;
+  try {
+    dataset = await getDatasetVersion();
+    config = currentConfig();
+  } catch (error) {
+    return next(error);
+  }
+  const { version, updatedAt } = dataset;
+
+  res.locals.cacheVersion = `${version}-${config.hash}`;
+  res.set('ETag', `W/"dataset-${res.locals.cacheVersion}"`);
+  res.set('Cache-Control', 'no-cache');
+  if (updatedAt) {
+    const modifiedAt = Math.max(new Date(updatedAt).getTime(), config.loadedAt.getTime());
+    res.set('Last-Modified', new Date(modifiedAt).toUTCString());
+  }
+
+  if ((req.method === 'GET' || req.method === 'HEAD') && req.fresh) {
+    return res.status(304).end();
+  }
+  next();
+}
+
+/**
+ * Return the cached value for key, computing and storing it on a miss.
+ * Everything cached under another cache version is dropped.
+ */
+export async function cached(key, compute, version = null) {
+  if (version === null) {
+    version = await getCacheVersion();
+  }
+  if (version !== entriesVersion) {
+    entries.clear();
+    entriesVersion = version;
+  }
+
+  if (entries.has(key)) {
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    return value;
+  }
+
+  const value = await compute();
+  entries.set(key, value);
+  if (entries.size > CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  return value;
+}
+
+export default {
+  getDatasetVersion,
+  bumpDatasetVersion,
+  configHash,
+  getCacheVersion,
+  conditionalGet,
+  cached
+};
@@ -1,45 +1,174 @@
 import fetch from 'node-fetch';
 import fs from 'fs';
-import { createWriteStream } from 'fs';
-import { pipeline } from 'stream/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { readLocalDataset, localResourcePath, createMockCkanServer } from './ckan-mock.js';
+import { DOWNLOAD_SETTINGS, httpError, createThrottle, downloadToFile } from './download.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const CKAN_BASE_URL = process.env.CKAN_BASE_URL || 'https://www.avoindata.fi/data/api/3/action';
 const DATASET_ID = process.env.DATASET_ID || 'tutkihankintoja-data';
-const DOWNLOAD_DIR = join(__dirname, '../data/csv');
+export const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || join(__dirname, '../data/csv');
 
-// Ensure download directory exists
-if (!fs.existsSync(DOWNLOAD_DIR)) {
-  fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
-}
+export const CKAN_SOURCES = ['live', 'local', 'mock'];
+
+// Resource filter of tutkihankintoja-data (see filterProcurementResources)
+export const DEFAULT_RESOURCE_FILTER = {
+  include: '^th_data_',
+  exclude: ['kaannokset', 'translation'],
+  formats: ['csv', 'tsv']
+};
 
 /**
- * Fetch dataset metadata from CKAN API
+ * Source of dataset metadata and files. Every source has
+ * fetchDataset() -> package_show result and
+ * open(resource, { start, signal }) -> { stream, offset }, where offset is
+ * the byte the stream starts at (0 if the source cannot resume at start).
+ *  - live: the CKAN API at baseUrl
+ *  - local: a directory of files (see readLocalDataset)
+ *  - mock: a local directory served by an in-process mock CKAN server, to
+ *    exercise the HTTP path without network access
  */
-export async function fetchDatasetMetadata() {
-  try {
-    console.log(`Fetching dataset metadata for: ${DATASET_ID}`);
-    
-    const response = await fetch(`${CKAN_BASE_URL}/package_show?id=${DATASET_ID}`);
-    
-    if (!response.ok) {
-      throw new Error(`CKAN API error: ${response.status} ${response.statusText}`);
+export function createCkanSource({
+  type = process.env.CKAN_SOURCE || 'live',
+  baseUrl = CKAN_BASE_URL,
+  datasetId = DATASET_ID,
+  dir = process.env.CKAN_LOCAL_DIR
+} = {}) {
+  if (!CKAN_SOURCES.includes(type)) {
+    throw new Error(`Unknown CKAN source "${type}". Allowed: ${CKAN_SOURCES.join(', ')}`);
+  }
+  if (type === 'live') {
+    return httpSource(baseUrl, datasetId);
+  }
+  if (!dir) {
+    throw new Error(`CKAN source "${type}" needs a directory (CKAN_LOCAL_DIR)`);
+  }
+  return type === 'local' ? localSource(dir, datasetId) : mockSource(dir, datasetId);
+}
+
+function httpSource(baseUrl, datasetId, type = 'live') {
+  // Requests to CKAN start at least CKAN_REQUEST_INTERVAL_MS apart
+  const throttle = createThrottle({ concurrency: Infinity, intervalMs: DOWNLOAD_SETTINGS.requestIntervalMs });
+
+  return {
+    type,
+    datasetId,
+    description: baseUrl,
+    async fetchDataset() {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), DOWNLOAD_SETTINGS.timeoutMs);
+      const response = await throttle(() => fetch(`${baseUrl}/package_show?id=${encodeURIComponent(datasetId)}`, {
+        signal: controller.signal
+      })).finally(() => clearTimeout(timer));
+
+      if (!response.ok) {
+        throw new Error(`CKAN API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error('CKAN API returned unsuccessful response');
+      }
+
+      return data.result;
+    },
+    async open(resource, { start = 0, signal } = {}) {
+      const headers = start > 0 ? { Range: `bytes=${start}-` } : {};
+      const response = await throttle(() => fetch(resource.url, { headers, signal }));
+
+      if (!response.ok) {
+        throw httpError(response);
+      }
+
+      // A server that ignores the Range header sends the whole file again
+      const range = /^bytes (\d+)-/.exec(response.headers.get('content-range') || '');
+      const offset = response.status === 206 && range ? parseInt(range[1]) : 0;
+      if (offset !== 0 && offset !== start) {
+        throw Object.assign(new Error(`Unexpected range from ${offset} (asked for ${start})`), { restart: true });
+      }
+
+      return { stream: response.body, offset };
     }
+  };
+}
 
-    const data = await response.json();
-    
-    if (!data.success) {
-      throw new Error('CKAN API returned unsuccessful response');
+function localSource(dir, datasetId) {
+  return {
+    type: 'local',
+    datasetId,
+    description: dir,
+    async fetchDataset() {
+      return readLocalDataset(dir, datasetId);
+    },
+    async open(resource, { start = 0, signal } = {}) {
+      const filePath = localResourcePath(dir, resource);
+      if (!fs.existsSync(filePath)) {
+        throw Object.assign(new Error(`Download failed: ${filePath} not found`), { retryable: false });
+      }
+      return { stream: fs.createReadStream(filePath, { start, signal }), offset: start };
+    }
+  };
+}
+
+function mockSource(dir, datasetId) {
+  let started = null;
+
+  // The server starts on first use, on a free port, and does not keep the
+  // process alive
+  const http = () => {
+    if (!started) {
+      started = new Promise((resolve, reject) => {
+        const server = createMockCkanServer({ dir, datasetId });
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+          server.unref();
+          resolve(httpSource(`http://127.0.0.1:${server.address().port}/api/3/action`, datasetId, 'mock'));
+        });
+      });
+    }
+    return started;
+  };
+
+  return {
+    type: 'mock',
+    datasetId,
+    description: dir,
+    async fetchDataset() {
+      return (await http()).fetchDataset();
+    },
+    async open(resource, options) {
+      return (await http()).open(resource, options);
     }
+  };
+}
+
+let defaultSource = null;
+
+// Source configured by CKAN_SOURCE, created on first use
+function getDefaultSource() {
+  if (!defaultSource) {
+    defaultSource = createCkanSource();
+  }
+  return defaultSource;
+}
+
+/**
+ * Fetch dataset metadata from the CKAN source
+ */
+export async function fetchDatasetMetadata(source = getDefaultSource()) {
+  try {
+    console.log(`Fetching dataset metadata for: ${source.datasetId} (${source.type}: ${source.description})`);
 
-    console.log(`✅ Found dataset: ${data.result.title}`);
-    console.log(`   Resources: ${data.result.resources.length}`);
+    const dataset = await source.fetchDataset();
+
+    console.log(`✅ Found dataset: ${dataset.title}`);
+    console.log(`   Resources: ${dataset.resources.length}`);
     
-    return data.result;
+    return dataset;
   } catch (error) {
     console.error('❌ Error fetching dataset metadata:', error.message);
     throw error;
@@ -47,34 +176,41 @@ export async function fetchDatasetMetadata() {
 }
 
 /**
- * Filter resources to get procurement CSV/TSV files
+ * Filter resources to get procurement CSV/TSV files. A resource is kept when
+ * its name matches filter.include (a case-insensitive regular expression),
+ * contains none of filter.exclude, and its format or extension is one of
+ * filter.formats. The default picks the th_data_YYYY files of
+ * tutkihankintoja-data.
  */
-export function filterProcurementResources(dataset) {
+export function filterProcurementResources(dataset, filter = DEFAULT_RESOURCE_FILTER) {
+  const include = new RegExp(filter.include, 'i');
+  const exclude = (filter.exclude || []).map(text => text.toLowerCase());
+  const formats = filter.formats || ['csv', 'tsv'];
+
   const resources = dataset.resources.filter(resource => {
     const name = resource.name.toLowerCase();
-    const format = resource.format.toLowerCase();
-    
-    // Filter for th_data_YYYY.csv/tsv files
-    const isDataFile = name.startsWith('th_data_') && 
-                       (format === 'csv' || format === 'tsv' || name.endsWith('.csv') || name.endsWith('.tsv'));
-    
-    // Exclude translation files
-    const isNotTranslation = !name.includes('kaannokset') && !name.includes('translation');
-    
-    return isDataFile && isNotTranslation;
+    const format = (resource.format || '').toLowerCase();
+
+    const isDataFile = include.test(name) &&
+                       formats.some(f => format === f || name.endsWith(`.${f}`));
+
+    // Exclude translation files and the like
+    const isExcluded = exclude.some(text => name.includes(text));
+
+    return isDataFile && !isExcluded;
   });
 
   // Sort by year (newest first)
   resources.sort((a, b) => {
-    const yearA = extractYearFromFilename(a.name);
-    const yearB = extractYearFromFilename(b.name);
+    const yearA = resourceYear(a) || 0;
+    const yearB = resourceYear(b) || 0;
     return yearB - yearA;
   });
 
   console.log(`📊 Found ${resources.length} procurement data files`);
   resources.forEach(r => {
-    const year = extractYearFromFilename(r.name);
-    console.log(`   - ${r.name} (${year}, ${r.format.toUpperCase()})`);
+    const year = resourceYear(r);
+    console.log(`   - ${r.name} (${year || 'year from rows'}, ${(r.format || '').toUpperCase()})`);
   });
 
   return resources;
@@ -89,25 +225,57 @@ export function extractYearFromFilename(filename) {
 }
 
 /**
- * Download a CSV/TSV file from URL
+ * Data year of a resource: the year in its file name, else a year field in
+ * its CKAN metadata, else null (e.g. the Helsinki file, whose rows span
+ * several years)
+ */
+export function resourceYear(resource) {
+  const year = extractYearFromFilename(resource.name);
+  if (year !== null) {
+    return year;
+  }
+  return /^\d{4}$/.test(String(resource.year ?? '')) ? parseInt(resource.year) : null;
+}
+
+/**
+ * Whether a resource belongs to one of the given years. Resources without a
+ * known year are kept, since they may hold rows of any year.
+ */
+function matchesYears(resource, years) {
+  const year = resourceYear(resource);
+  if (year === null) {
+    console.log(`   ${resource.name} has no year in its name or metadata; not filtered by year`);
+    return true;
+  }
+  return years.includes(year);
+}
+
+/**
+ * Download a CSV/TSV file from the source into downloadDir. The file only
+ * replaces an earlier copy once complete and verified (see downloadToFile).
  */
-export async function downloadFile(resource) {
+export async function downloadFile(resource, { source = getDefaultSource(), downloadDir = DOWNLOAD_DIR } = {}) {
   const filename = resource.name;
   const url = resource.url;
-  const filePath = join(DOWNLOAD_DIR, filename);
+  const filePath = join(downloadDir, filename);
 
   try {
     console.log(`📥 Downloading: ${filename}`);
     console.log(`   URL: ${url}`);
 
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Download failed: ${response.status} ${response.statusText}`);
-    }
+    fs.mkdirSync(downloadDir, { recursive: true });
 
-    // Stream the file to disk
-    await pipeline(response.body, createWriteStream(filePath));
+    const size = resource.size != null && resource.size !== '' ? parseInt(resource.size) : null;
+    const { attempts, resumedFrom } = await downloadToFile({
+      open: options => source.open(resource, options),
+      filePath,
+      version: [resource.last_modified, size, resource.hash].join('|'),
+      size,
+      hash: resource.hash
+    });
+    if (attempts > 1 || resumedFrom > 0) {
+      console.log(`   Completed after ${attempts} attempt(s)${resumedFrom > 0 ? `, resumed at byte ${resumedFrom}` : ''}`);
+    }
 
     const stats = fs.statSync(filePath);
     const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
@@ -126,56 +294,128 @@ export async function downloadFile(resource) {
 }
 
 /**
- * Download all procurement CSV files
+ * Compare a CKAN resource against what was last imported (dataset_metadata).
+ * Returns 'added', 'changed' or 'unchanged'.
+ */
+export function classifyResource(resource, stored) {
+  if (!stored || stored.status !== 'completed') {
+    return 'added';
+  }
+
+  const size = resource.size != null && resource.size !== '' ? parseInt(resource.size) : null;
+  const hash = resource.hash || null;
+
+  if ((resource.last_modified || null) !== (stored.last_modified || null)) {
+    return 'changed';
+  }
+  if (size !== null && stored.file_size !== null && size !== stored.file_size) {
+    return 'changed';
+  }
+  if (hash && stored.file_hash && hash !== stored.file_hash) {
+    return 'changed';
+  }
+
+  return 'unchanged';
+}
+
+/**
+ * Check whether a resource should be re-downloaded regardless of its state.
+ * forceRedownload may be true (all resources) or a list of years.
+ */
+function isForced(resource, forceRedownload) {
+  if (Array.isArray(forceRedownload)) {
+    return matchesYears(resource, forceRedownload);
+  }
+  return Boolean(forceRedownload);
+}
+
+/**
+ * What the last import recorded for a resource in dataset_metadata, if
+ * anything. The database is imported here rather than at the top so that
+ * importing the client does not open (or create) it.
+ */
+async function getStoredMetadata(resourceId) {
+  const { db } = await import('./database.js');
+  return db.prepare(`
+    SELECT last_modified, file_size, file_hash, status
+    FROM dataset_metadata
+    WHERE resource_id = ?
+  `).get(resourceId);
+}
+
+/**
+ * Download all procurement CSV files that were added or changed upstream.
+ * Each result carries a `change` of 'added', 'changed', 'unchanged' or 'forced';
+ * unchanged resources are skipped and need no re-import. getStored(resourceId)
+ * looks up what the last import recorded (default: dataset_metadata).
  */
 export async function downloadAllProcurementFiles(options = {}) {
-  const { yearsToDownload = null, forceRedownload = false } = options;
+  const {
+    yearsToDownload = null,
+    forceRedownload = false,
+    source = getDefaultSource(),
+    downloadDir = DOWNLOAD_DIR,
+    resourceFilter = DEFAULT_RESOURCE_FILTER,
+    getStored = getStoredMetadata
+  } = options;
 
   try {
-    const dataset = await fetchDatasetMetadata();
-    const resources = filterProcurementResources(dataset);
+    const dataset = await fetchDatasetMetadata(source);
+    const resources = filterProcurementResources(dataset, resourceFilter);
 
     let resourcesToDownload = resources;
 
     // Filter by years if specified
     if (yearsToDownload && yearsToDownload.length > 0) {
-      resourcesToDownload = resources.filter(r => {
-        const year = extractYearFromFilename(r.name);
-        return yearsToDownload.includes(year);
-      });
+      resourcesToDownload = resources.filter(r => matchesYears(r, yearsToDownload));
       console.log(`🎯 Filtering to years: ${yearsToDownload.join(', ')}`);
     }
 
-    const downloadResults = [];
+    // Up to DOWNLOAD_CONCURRENCY files download at once; results keep the
+    // order of the resources
+    const throttle = createThrottle({ concurrency: DOWNLOAD_SETTINGS.concurrency });
 
-    for (const resource of resourcesToDownload) {
+    const settled = await Promise.allSettled(resourcesToDownload.map(async resource => {
       const filename = resource.name;
-      const filePath = join(DOWNLOAD_DIR, filename);
-
-      // Skip if file exists and not forcing redownload
-      if (fs.existsSync(filePath) && !forceRedownload) {
-        const stats = fs.statSync(filePath);
-        const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
-        console.log(`⏭️  Skipping (already exists): ${filename} (${sizeMB} MB)`);
-        downloadResults.push({
+      const filePath = join(downloadDir, filename);
+      const forced = isForced(resource, forceRedownload);
+      const change = forced ? 'forced' : classifyResource(resource, await getStored(resource.id));
+
+      // Skip resources that have not changed since the last import
+      if (change === 'unchanged') {
+        console.log(`⏭️  Skipping (unchanged): ${filename}`);
+        return {
           filePath,
-          size: stats.size,
+          size: fs.existsSync(filePath) ? fs.statSync(filePath).size : null,
           resource,
+          change,
           skipped: true
-        });
-        continue;
+        };
       }
 
-      const result = await downloadFile(resource);
-      downloadResults.push({
+      const result = await throttle(() => {
+        console.log(`🔄 ${change === 'added' ? 'New' : change === 'changed' ? 'Changed' : 'Forced'}: ${filename}`);
+        return downloadFile(resource, { source, downloadDir });
+      });
+      return {
         ...result,
+        change,
         skipped: false
-      });
+      };
+    }));
+
+    const failed = settled.find(r => r.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
     }
+    const downloadResults = settled.map(r => r.value);
 
-    console.log(`\n✅ Download complete: ${downloadResults.length} files`);
-    console.log(`   Downloaded: ${downloadResults.filter(r => !r.skipped).length}`);
-    console.log(`   Skipped: ${downloadResults.filter(r => r.skipped).length}`);
+    const summary = summarizeChanges(downloadResults);
+
+    console.log(`\n✅ Sync complete: ${downloadResults.length} files`);
+    console.log(`   Added: ${summary.added.length}`);
+    console.log(`   Changed: ${summary.changed.length + summary.forced.length}`);
+    console.log(`   Unchanged: ${summary.unchanged.length}`);
 
     return downloadResults;
   } catch (error) {
@@ -184,10 +424,28 @@ export async function downloadAllProcurementFiles(options = {}) {
   }
 }
 
+/**
+ * Group download results by change type (resource names per group)
+ */
+export function summarizeChanges(downloadResults) {
+  const summary = { added: [], changed: [], forced: [], unchanged: [] };
+  for (const result of downloadResults) {
+    summary[result.change].push(result.resource.name);
+  }
+  return summary;
+}
+
 export default {
+  DOWNLOAD_DIR,
+  CKAN_SOURCES,
+  DEFAULT_RESOURCE_FILTER,
+  createCkanSource,
   fetchDatasetMetadata,
   filterProcurementResources,
+  classifyResource,
   downloadFile,
   downloadAllProcurementFiles,
-  extractYearFromFilename
+  summarizeChanges,
+  extractYearFromFilename,
+  resourceYear
 };
@@ -0,0 +1,132 @@
+import http from 'http';
+import fs from 'fs';
+import { join, basename, extname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const PACKAGE_FILE = 'package_show.json';
+
+/**
+ * Dataset metadata for a local directory of files, in the shape of a CKAN
+ * package_show result. A package_show.json in the directory (a full API
+ * response or just its result) is used as is; otherwise every file becomes a
+ * resource, with its modification time as last_modified. Resource URLs are
+ * file names relative to the directory.
+ */
+export function readLocalDataset(dir, datasetId) {
+  const packagePath = join(dir, PACKAGE_FILE);
+
+  if (fs.existsSync(packagePath)) {
+    const data = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+    return data.result || data;
+  }
+
+  const resources = fs.readdirSync(dir)
+    .filter(name => fs.statSync(join(dir, name)).isFile())
+    .sort()
+    .map(name => {
+      const stats = fs.statSync(join(dir, name));
+      return {
+        id: `local-${name}`,
+        name,
+        format: extname(name).slice(1).toUpperCase(),
+        url: name,
+        size: stats.size,
+        last_modified: stats.mtime.toISOString()
+      };
+    });
+
+  return { name: datasetId, title: `${datasetId} (${dir})`, resources };
+}
+
+/**
+ * Path of a local dataset's resource file. Only the file name of the URL is
+ * used, so resources cannot point outside the directory.
+ */
+export function localResourcePath(dir, resource) {
+  return join(dir, basename(resource.url || resource.name));
+}
+
+/**
+ * HTTP server standing in for CKAN: serves package_show for datasetId from a
+ * local directory, with resource URLs pointing back at the server's /files/.
+ * Call listen() on the returned server.
+ */
+export function createMockCkanServer({ dir, datasetId }) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname.endsWith('/package_show')) {
+      if (url.searchParams.get('id') !== datasetId) {
+        return send(404, { success: false, error: { message: 'Not found' } });
+      }
+
+      const dataset = readLocalDataset(dir, datasetId);
+      const resources = dataset.resources.map(resource => ({
+        ...resource,
+        url: `http://${req.headers.host}/files/${encodeURIComponent(basename(resource.url || resource.name))}`
+      }));
+      return send(200, { success: true, result: { ...dataset, resources } });
+    }
+
+    if (url.pathname.startsWith('/files/')) {
+      const filePath = join(dir, basename(decodeURIComponent(url.pathname.slice('/files/'.length))));
+      if (!fs.existsSync(filePath)) {
+        return send(404, { success: false, error: { message: 'Not found' } });
+      }
+
+      // Open-ended ranges (bytes=N-), as used to resume downloads
+      const size = fs.statSync(filePath).size;
+      const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+      if (range && parseInt(range[1]) >= size) {
+        res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+        return res.end();
+      }
+      if (range) {
+        const start = parseInt(range[1]);
+        res.writeHead(206, {
+          'Content-Length': size - start,
+          'Content-Range': `bytes ${start}-${size - 1}/${size}`
+        });
+        return fs.createReadStream(filePath, { start }).pipe(res);
+      }
+
+      res.writeHead(200, { 'Content-Length': size, 'Accept-Ranges': 'bytes' });
+      return fs.createReadStream(filePath).pipe(res);
+    }
+
+    send(404, { success: false, error: { message: 'Not found' } });
+  });
+}
+
+// Only run the CLI when executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [dir, port = '4555'] = process.argv.slice(2);
+  if (!dir) {
+    console.log(`
+Mock CKAN server
+
+Usage:
+  npm run mock-ckan -- <directory> [port]
+
+Serves the files in <directory> as the ${process.env.DATASET_ID || 'tutkihankintoja-data'} dataset.
+Point the updater at it with CKAN_BASE_URL=http://localhost:<port>/api/3/action
+  `);
+    process.exit(0);
+  }
+
+  const datasetId = process.env.DATASET_ID || 'tutkihankintoja-data';
+  createMockCkanServer({ dir: resolve(dir), datasetId }).listen(parseInt(port), () => {
+    console.log(`🧪 Mock CKAN serving ${resolve(dir)} as "${datasetId}" on http://localhost:${port}/api/3/action`);
+  });
+}
+
+export default {
+  readLocalDataset,
+  localResourcePath,
+  createMockCkanServer
+};
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseAmount, parseDate } from './csv-format.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PROFILES_PATH = process.env.COLUMN_PROFILES_PATH || join(__dirname, '../config/column-profiles.json');
+
+// Type coercions available to profiles. Each returns null for an
+// unparseable value.
+const COERCIONS = {
+  string: value => value,
+  amount: parseAmount,
+  date: parseDate,
+  integer: value => (/^-?\d+$/.test(value) ? parseInt(value) : null)
+};
+
+let cachedProfiles = null;
+
+/**
+ * Load and validate column mapping profiles
+ */
+export function loadProfiles(path = PROFILES_PATH) {
+  if (path === PROFILES_PATH && cachedProfiles) {
+    return cachedProfiles;
+  }
+
+  const { profiles } = JSON.parse(fs.readFileSync(path, 'utf-8'));
+
+  for (const profile of profiles) {
+    for (const [field, column] of Object.entries(profile.columns)) {
+      if (!Array.isArray(column.aliases) || column.aliases.length === 0) {
+        throw new Error(`Profile "${profile.name}": column "${field}" has no aliases`);
+      }
+      if (!COERCIONS[column.type || 'string']) {
+        throw new Error(`Profile "${profile.name}": column "${field}" has unknown type "${column.type}"`);
+      }
+    }
+  }
+
+  if (path === PROFILES_PATH) {
+    cachedProfiles = profiles;
+  }
+  return profiles;
+}
+
+function normalizeHeader(header) {
+  return String(header).replace(/^\uFEFF/, '').trim().toLowerCase();
+}
+
+/**
+ * Resolve each profile field to a header in the file.
+ * Returns { columns: { field: header }, missing: [required fields not found] }
+ */
+function resolveColumns(profile, headers) {
+  const byName = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const columns = {};
+  const missing = [];
+
+  for (const [field, column] of Object.entries(profile.columns)) {
+    const alias = column.aliases.find(a => byName.has(normalizeHeader(a)));
+    if (alias) {
+      columns[field] = byName.get(normalizeHeader(alias));
+    } else if (column.required && column.default === undefined) {
+      missing.push(field);
+    }
+  }
+
+  return { columns, missing };
+}
+
+function appliesTo(profile, { year }) {
+  if (!profile.years || year === null || year === undefined) {
+    return true;
+  }
+  const [from, to] = profile.years;
+  return (from === null || year >= from) && (to === null || year <= to);
+}
+
+/**
+ * Profile with fixed values for fields a file lacks, e.g. the organisation
+ * of a dataset published by a single municipality. They apply like column
+ * defaults, and fields the profile does not map are added.
+ */
+function withDefaults(profile, defaults) {
+  if (!defaults || Object.keys(defaults).length === 0) {
+    return profile;
+  }
+
+  const columns = { ...profile.columns };
+  for (const [field, value] of Object.entries(defaults)) {
+    columns[field] = { aliases: [], ...columns[field], default: value };
+  }
+  return { ...profile, columns };
+}
+
+/**
+ * Pick the profile that fits a file's header row: every required column must
+ * be present, and among those the profile matching the most columns wins.
+ * context.profile limits the choice to the named profile, and
+ * context.defaults supplies values for missing fields (see withDefaults).
+ * Throws if no profile fits, naming the missing columns.
+ */
+export function selectProfile(headers, context = {}, profiles = loadProfiles()) {
+  const candidates = profiles
+    .filter(profile => !context.profile || profile.name === context.profile)
+    .filter(profile => appliesTo(profile, context))
+    .map(profile => withDefaults(profile, context.defaults))
+    .map(profile => ({ profile, ...resolveColumns(profile, headers) }));
+
+  const matching = candidates
+    .filter(c => c.missing.length === 0)
+    .sort((a, b) => Object.keys(b.columns).length - Object.keys(a.columns).length);
+
+  if (matching.length > 0) {
+    return { profile: matching[0].profile, columns: matching[0].columns };
+  }
+
+  const details = candidates
+    .map(c => `${c.profile.name}: missing ${c.missing.join(', ')}`)
+    .join('; ');
+  throw new Error(`No column mapping profile matches the header row (${details || 'no profiles apply'})`);
+}
+
+/**
+ * Create a function that maps a parsed CSV record to invoice fields.
+ * Returns { values } or { error: { reason, detail } } for a row that fails
+ * coercion or lacks a required value.
+ */
+export function createRecordMapper({ profile, columns }) {
+  const fields = Object.entries(profile.columns);
+
+  return (record) => {
+    const values = {};
+    const missing = [];
+
+    for (const [field, column] of fields) {
+      const type = column.type || 'string';
+      const header = columns[field];
+      const raw = header !== undefined ? record[header] : undefined;
+
+      let value = null;
+      if (raw !== undefined && raw !== null && raw !== '') {
+        value = COERCIONS[type](raw);
+        if (value === null) {
+          return { error: { reason: `invalid_${type}`, detail: `Unparseable ${field}: "${raw}"` } };
+        }
+      } else if (column.default !== undefined) {
+        value = column.default;
+      }
+
+      if (value === null && column.required) {
+        missing.push(field);
+      }
+      values[field] = value;
+    }
+
+    if (missing.length > 0) {
+      return { error: { reason: 'missing_required', detail: `Missing: ${missing.join(', ')}` } };
+    }
+
+    return { values };
+  };
+}
+
+export default {
+  loadProfiles,
+  selectProfile,
+  createRecordMapper
+};
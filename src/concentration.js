@@ -0,0 +1,212 @@
+import { db } from './database.js';
+import { attachCanonicalSuppliers } from './suppliers.js';
+
+// Dimensions with precomputed concentration, as [key, label] expressions
+export const CONCENTRATION_DIMENSIONS = {
+  category: ['hankintakategoria', 'hankintakategoria'],
+  unit: ['COALESCE(hankintayksikko_tunnus, hankintayksikko)', 'MAX(hankintayksikko)'],
+  sector: ["COALESCE(sektori, '')", 'MAX(sektori)']
+};
+
+export const CONCENTRATION_SORT_FIELDS = {
+  hhi: 'c.hhi',
+  top1Share: 'c.top1_share',
+  top5Share: 'c.top5_share',
+  supplierCount: 'c.supplier_count',
+  totalValue: 'c.total_value'
+};
+
+/**
+ * Concentration per group from a spend query selecting dimension_key,
+ * label, supplier_id and value (a supplier's positive spend in the group):
+ * supplier count, Herfindahl-Hirschman index (0-10000) and top-1/top-5 share.
+ * The one definition behind the stored metrics and the unit and
+ * organization profiles.
+ */
+function concentrationSql(spendSql) {
+  return `
+    WITH spend AS (${spendSql}),
+    ranked AS (
+      SELECT *,
+        SUM(value) OVER (PARTITION BY dimension_key) as total,
+        ROW_NUMBER() OVER (PARTITION BY dimension_key ORDER BY value DESC) as supplier_rank
+      FROM spend
+    )
+    SELECT
+      dimension_key,
+      MAX(label) as label,
+      MAX(total) as total_value,
+      COUNT(*) as supplier_count,
+      SUM((value * 100.0 / total) * (value * 100.0 / total)) as hhi,
+      SUM(CASE WHEN supplier_rank = 1 THEN value END) / MAX(total) as top1_share,
+      SUM(CASE WHEN supplier_rank <= 5 THEN value END) / MAX(total) as top5_share,
+      MAX(CASE WHEN supplier_rank = 1 THEN supplier_id END) as top_supplier_id
+    FROM ranked
+    GROUP BY dimension_key
+  `;
+}
+
+/**
+ * Supplier concentration of the rows matching a WHERE clause
+ */
+export async function supplierConcentration(whereClause, params) {
+  const metrics = await db.prepare(concentrationSql(`
+    SELECT 1 as dimension_key, NULL as label, supplier_id, SUM(tiliointisumma) as value
+    FROM procurement_invoices
+    WHERE ${whereClause} AND supplier_id IS NOT NULL
+    GROUP BY supplier_id
+    HAVING SUM(tiliointisumma) > 0
+  `)).get(params);
+
+  if (!metrics) {
+    return { supplierCount: 0, hhi: null, top1Share: null, top5Share: null };
+  }
+  return {
+    supplierCount: metrics.supplier_count,
+    hhi: metrics.hhi,
+    top1Share: metrics.top1_share,
+    top5Share: metrics.top5_share
+  };
+}
+
+/**
+ * Recompute concentration metrics for the given data years (all years if
+ * none given)
+ */
+export async function refreshConcentration({ years = null } = {}) {
+  const targetYears = years || await db.prepare('SELECT DISTINCT data_year FROM procurement_invoices').pluck().all();
+
+  const statements = Object.entries(CONCENTRATION_DIMENSIONS).map(([dimension, [key, label]]) => `
+    INSERT INTO concentration_metrics (
+      dimension, dimension_key, label, data_year, total_value, supplier_count,
+      hhi, top1_share, top5_share, top_supplier_id
+    )
+    SELECT
+      '${dimension}', dimension_key, label, @year, total_value, supplier_count,
+      hhi, top1_share, top5_share, top_supplier_id
+    FROM (${concentrationSql(`
+      SELECT ${key} as dimension_key, ${label} as label, supplier_id, SUM(tiliointisumma) as value
+      FROM procurement_invoices
+      WHERE data_year = @year AND supplier_id IS NOT NULL
+      GROUP BY dimension_key, supplier_id
+      HAVING SUM(tiliointisumma) > 0
+    `)}) metrics
+  `);
+
+  await db.transaction(async (tx) => {
+    for (const year of targetYears) {
+      await tx.prepare('DELETE FROM concentration_metrics WHERE data_year = ?').run(year);
+      for (const statement of statements) {
+        await tx.prepare(statement).run({ year });
+      }
+    }
+  });
+
+  return targetYears;
+}
+
+/**
+ * Years with data but no concentration metrics yet, e.g. after upgrading an
+ * existing database
+ */
+export async function yearsMissingConcentration() {
+  return db.prepare(`
+    SELECT DISTINCT data_year FROM procurement_invoices
+    WHERE data_year NOT IN (SELECT DISTINCT data_year FROM concentration_metrics)
+  `).pluck().all();
+}
+
+function formatMetrics(row) {
+  return {
+    year: row.data_year,
+    totalValue: row.total_value,
+    supplierCount: row.supplier_count,
+    hhi: row.hhi,
+    top1Share: row.top1_share,
+    top5Share: row.top5_share,
+    topSupplier: row.supplier
+  };
+}
+
+/**
+ * Concentration of every category, unit or sector in a year, with the
+ * change in HHI from the previous year
+ */
+export async function listConcentration({
+  dimension,
+  year,
+  minSuppliers = null,
+  minValue = null,
+  sort = { field: 'hhi', direction: 'desc' },
+  limit = 100,
+  offset = 0
+}) {
+  const conditions = ['c.dimension = @dimension', 'c.data_year = @year'];
+  const params = { dimension, year, limit, offset };
+
+  if (minSuppliers !== null) {
+    conditions.push('c.supplier_count >= @minSuppliers');
+    params.minSuppliers = minSuppliers;
+  }
+  if (minValue !== null) {
+    conditions.push('c.total_value >= @minValue');
+    params.minValue = minValue;
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const { total } = await db.prepare(`SELECT COUNT(*) as total FROM concentration_metrics c ${whereClause}`).get(params);
+  const rows = await db.prepare(`
+    SELECT c.*, p.hhi as previous_hhi, c.top_supplier_id as supplier_id
+    FROM concentration_metrics c
+    LEFT JOIN concentration_metrics p
+      ON p.dimension = c.dimension AND p.dimension_key = c.dimension_key AND p.data_year = c.data_year - 1
+    ${whereClause}
+    ORDER BY ${CONCENTRATION_SORT_FIELDS[sort.field]} ${sort.direction.toUpperCase()}, c.dimension_key
+    LIMIT @limit OFFSET @offset
+  `).all(params);
+
+  return {
+    rows: (await attachCanonicalSuppliers(rows)).map(row => ({
+      key: row.dimension_key,
+      label: row.label,
+      ...formatMetrics(row),
+      previousHhi: row.previous_hhi,
+      hhiChange: row.previous_hhi !== null && row.hhi !== null ? row.hhi - row.previous_hhi : null
+    })),
+    total
+  };
+}
+
+/**
+ * Concentration of one category, unit or sector across all years
+ */
+export async function getConcentrationTrend(dimension, key) {
+  const rows = await db.prepare(`
+    SELECT *, top_supplier_id as supplier_id
+    FROM concentration_metrics
+    WHERE dimension = ? AND dimension_key = ?
+    ORDER BY data_year
+  `).all(dimension, key);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    dimension,
+    key,
+    label: rows[rows.length - 1].label,
+    trend: (await attachCanonicalSuppliers(rows)).map(formatMetrics)
+  };
+}
+
+export default {
+  CONCENTRATION_DIMENSIONS,
+  CONCENTRATION_SORT_FIELDS,
+  supplierConcentration,
+  refreshConcentration,
+  yearsMissingConcentration,
+  listConcentration,
+  getConcentrationTrend
+};
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import { Transform } from 'stream';
+
+const SAMPLE_SIZE = 64 * 1024;
+const CANDIDATE_DELIMITERS = [';', '\t', ','];
+
+/**
+ * Read the first bytes of a file for format detection
+ */
+function readSample(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Detect file encoding: 'utf-8', 'utf-16le' or 'windows-1252'.
+ * A UTF-8 or UTF-16 BOM wins; otherwise a sample that is not valid UTF-8
+ * is treated as Windows-1252 (a superset of Latin-1 for printable text).
+ */
+export function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return 'utf-8';
+  }
+  if (sample[0] === 0xff && sample[1] === 0xfe) {
+    return 'utf-16le';
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * Detect the delimiter from the header line: the candidate that occurs most
+ * often outside quoted sections. Falls back to the resource format.
+ */
+export function detectDelimiter(text, format) {
+  const headerLine = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0];
+  const unquoted = headerLine.replace(/"[^"]*"/g, '');
+
+  let best = null;
+  let bestCount = 0;
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  if (best) {
+    return best;
+  }
+  return format?.toLowerCase() === 'tsv' ? '\t' : ',';
+}
+
+/**
+ * Sniff encoding and delimiter of a CSV/TSV file
+ */
+export function detectFileFormat(filePath, format) {
+  try {
+    const sample = readSample(filePath);
+    const encoding = detectEncoding(sample);
+    const text = new TextDecoder(encoding).decode(sample, { stream: true });
+    return { encoding, delimiter: detectDelimiter(text, format) };
+  } catch (err) {
+    // Fallback to format-based detection
+    return { encoding: 'utf-8', delimiter: format?.toLowerCase() === 'tsv' ? '\t' : ',' };
+  }
+}
+
+/**
+ * Stream that decodes the given encoding to UTF-8 text.
+ * Returns null for UTF-8, which the CSV parser reads directly.
+ */
+export function createDecoder(encoding) {
+  if (encoding === 'utf-8') {
+    return null;
+  }
+
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+}
+
+/**
+ * Parse an amount that may use a Finnish decimal comma and space or
+ * non-breaking space thousands separators (e.g. "1 234,56").
+ * Returns null if the value is not a valid number.
+ */
+export function parseAmount(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  let text = String(value).replace(/[\s\u00a0\u202f]/g, '').replace(/^\u2212/, '-');
+  if (text === '') {
+    return null;
+  }
+
+  if (text.includes(',') && text.lastIndexOf(',') > text.lastIndexOf('.')) {
+    // Decimal comma: "1.234,56" -> "1234.56"
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    // Decimal point: "1,234.56" -> "1234.56"
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = Number(text);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Normalize a date to ISO format (YYYY-MM-DD).
+ * Accepts d.m.yyyy (Finnish), yyyy-mm-dd and ISO timestamps.
+ * Returns null if the value is not a valid calendar date.
+ */
+export function parseDate(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  let match;
+  let year;
+  let month;
+  let day;
+
+  if ((match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s.*)?$/))) {
+    [, day, month, year] = match;
+  } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/))) {
+    [, year, month, day] = match;
+  } else {
+    return null;
+  }
+
+  year = parseInt(year);
+  month = parseInt(month);
+  day = parseInt(day);
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export default {
+  detectEncoding,
+  detectDelimiter,
+  detectFileFormat,
+  createDecoder,
+  parseAmount,
+  parseDate
+};
@@ -1,101 +1,138 @@
 import fs from 'fs';
+import { createHash } from 'crypto';
 import { parse } from 'csv-parse';
 import { db } from './database.js';
 import { extractYearFromFilename } from './ckan-client.js';
+import { detectFileFormat, createDecoder } from './csv-format.js';
+import { selectProfile, createRecordMapper } from './column-mapping.js';
+import { createSupplierResolver, deleteUnusedSuppliers, refreshSupplierNames } from './suppliers.js';
+import { startImportRun, createQualityTracker, finishImportRun, failImportRun } from './import-report.js';
+import { primaryDatasetSource } from './dataset-sources.js';
+
+const INVOICE_COLUMNS = [
+  'lasku_id', 'hankintayksikko', 'hankintayksikko_tunnus',
+  'ylaorganisaatio', 'ylaorganisaatio_tunnus',
+  'toimittaja_y_tunnus', 'toimittaja_nimi', 'toimittaja_kunta',
+  'tili', 'hankintakategoria', 'tuote_palveluryhma',
+  'tositepvm', 'tiliointisumma', 'sektori', 'data_year', 'resource_id', 'supplier_id', 'source_id'
+];
+
+const STAGING_COLUMNS = [...INVOICE_COLUMNS, 'line_hash'];
+
+// Records per staging INSERT, within the parameter limits of SQLite and
+// PostgreSQL
+const STAGE_BATCH_SIZE = 1000;
+let fullBatchInsert = null;
+
+// Fields that identify a posting line within an invoice
+const LINE_KEY_FIELDS = [
+  'hankintayksikko_tunnus', 'toimittaja_y_tunnus', 'tili',
+  'hankintakategoria', 'tuote_palveluryhma', 'tositepvm', 'tiliointisumma'
+];
 
 /**
- * Parse and import CSV/TSV file into database
+ * Parse and import CSV/TSV file into database.
+ *
+ * Rows are staged first and then swapped in atomically, replacing every row
+ * previously imported from this resource (or, for rows imported before
+ * resources were tracked, from this data year).
+ *
+ * The dataset source (see loadDatasetSources) decides the column profile,
+ * default values and invoice ID prefix, and is recorded on every row. Files
+ * without a year in their name take each row's year from its date.
  */
-export async function importCSVFile(filePath, resource) {
+export async function importCSVFile(filePath, resource, datasetSource = primaryDatasetSource()) {
   const filename = resource.name;
   const year = extractYearFromFilename(filename);
   const format = resource.format.toLowerCase();
   
-  // Detect delimiter by reading just the first line of the file
-  const detectDelimiter = (format) => {
-    try {
-      const fd = fs.openSync(filePath, 'r');
-      const buffer = Buffer.alloc(1024);
-      fs.readSync(fd, buffer, 0, 1024, 0);
-      fs.closeSync(fd);
-      
-      const firstLine = buffer.toString('utf-8').split('\n')[0];
-      
-      // Semicolon is most common in Finnish data
-      if (firstLine.includes(';')) {
-        return ';';
-      }
-      // Tab for TSV format
-      if (format?.toLowerCase() === 'tsv') {
-        return '\t';
-      }
-      // Default to comma
-      return ',';
-    } catch (err) {
-      // Fallback to format-based detection
-      return format?.toLowerCase() === 'tsv' ? '\t' : ',';
-    }
-  };
-
-  const delimiter = detectDelimiter(format);
+  // Detect encoding and delimiter from a sample of the file
+  const { encoding, delimiter } = detectFileFormat(filePath, format);
 
   console.log(`\n📊 Importing: ${filename}`);
-  console.log(`   Year: ${year}`);
+  console.log(`   Source: ${datasetSource.id}`);
+  console.log(`   Year: ${year || 'from rows'}`);
   console.log(`   Format: ${format.toUpperCase()}`);
+  console.log(`   Encoding: ${encoding.toUpperCase()}`);
   console.log(`   Delimiter: ${delimiter === '\t' ? 'TAB' : delimiter === ';' ? 'SEMICOLON' : 'COMMA'}`);
 
-  return new Promise((resolve, reject) => {
-    const records = [];
-    let headerParsed = false;
-    let recordCount = 0;
-    let errorCount = 0;
+  // Drop leftovers from an earlier interrupted import of this resource
+  await clearStaging(db, resource.id);
+
+  const resolveSupplier = createSupplierResolver();
+  const runId = await startImportRun(resource, filePath, year);
+  const quality = createQualityTracker(runId, resource);
+
+  const records = [];
+  const dataYears = new Set();
+  let recordCount = 0;
+
+  let input = fs.createReadStream(filePath);
+  const decoder = createDecoder(encoding);
+  if (decoder) {
+    input = input.pipe(decoder);
+  }
 
-  const parser = fs.createReadStream(filePath).pipe(
+  // The mapping profile is chosen from the header row
+  let mapRecord = null;
+  let profileName = null;
+
+  const parser = input.pipe(
     parse({
       delimiter,
-      columns: true,
+      columns: (headers) => {
+        const mapping = selectProfile(headers, {
+          year,
+          profile: datasetSource.columnProfile,
+          defaults: datasetSource.defaults
+        });
+        profileName = mapping.profile.name;
+        console.log(`   Column profile: ${profileName}`);
+        mapRecord = createRecordMapper(mapping);
+        return headers;
+      },
+      bom: true,
       skip_empty_lines: true,
       trim: true,
-      relax_quotes: true,
+      quote: '"',
+      relax_quotes: true,  // Tolerate stray quotes inside unquoted fields
       relax_column_count: true,
-      quote: false  // Disable quote parsing to handle malformed data
+      info: true,
+      raw: true
     })
-  );    parser.on('data', (record) => {
+  );
+
+  try {
+    // Records are read one at a time, so the parser waits while suppliers
+    // are resolved and batches are written
+    for await (const { record, info, raw } of parser) {
+      const lineNumber = info.lines;
+      const rawText = raw.replace(/\r?\n$/, '');
+
       try {
-        // Transform CSV record to database format
-        const invoice = {
-          lasku_id: record.lasku_id || record.invoice_id || '',
-          hankintayksikko: record.hankintayksikko || record.procurement_unit || '',
-          hankintayksikko_tunnus: record.hankintayksikko_tunnus || record.procurement_unit_id || null,
-          ylaorganisaatio: record.ylaorganisaatio || record.parent_organization || null,
-          ylaorganisaatio_tunnus: record.ylaorganisaatio_tunnus || record.parent_organization_id || null,
-          toimittaja_y_tunnus: record.toimittaja_y_tunnus || record.supplier_business_id || null,
-          toimittaja_nimi: record.toimittaja_nimi || record.supplier_name || null,
-          toimittaja_kunta: record.toimittaja_kunta || record.supplier_city || null,
-          tili: record.tili || record.account || null,
-          hankintakategoria: record.hankintakategoria || record.procurement_category || '',
-          tuote_palveluryhma: record.tuote_palveluryhma || record.product_service_group || null,
-          tositepvm: record.tositepvm || record.invoice_entry_date || '',
-          tiliointisumma: parseFloat(record.tiliointisumma || record.posting_sum || '0'),
-          sektori: record.sektori || record.sector || null,
-          data_year: year
-        };
-
-        // Validate required fields
-        if (!invoice.lasku_id || !invoice.hankintayksikko || !invoice.hankintakategoria || !invoice.tositepvm) {
-          errorCount++;
-          if (errorCount <= 5) {
-            console.warn(`   ⚠️  Skipping invalid record (missing required fields):`, invoice);
-          }
-          return;
+        const { values, error } = mapRecord(record);
+        if (error) {
+          await quality.reject(lineNumber, error.reason, error.detail, rawText);
+          continue;
         }
 
+        // Fields a profile does not map are stored as null
+        const invoice = Object.fromEntries(INVOICE_COLUMNS.map(c => [c, values[c] ?? null]));
+        invoice.lasku_id = `${datasetSource.invoiceIdPrefix}${invoice.lasku_id}`;
+        invoice.data_year = year || parseInt(invoice.tositepvm.slice(0, 4));
+        invoice.resource_id = resource.id;
+        invoice.source_id = datasetSource.id;
+        invoice.supplier_id = await resolveSupplier(invoice.toimittaja_y_tunnus, invoice.toimittaja_nimi);
+        dataYears.add(invoice.data_year);
+
+        invoice.line_hash = lineHash(invoice);
         records.push(invoice);
+        quality.accept(invoice);
         recordCount++;
 
-        // Batch insert every 1000 records
-        if (records.length >= 1000) {
-          insertBatch(records.splice(0, 1000));
+        // Batch insert every STAGE_BATCH_SIZE records
+        if (records.length >= STAGE_BATCH_SIZE) {
+          await stageBatch(records.splice(0, STAGE_BATCH_SIZE));
         }
 
         // Progress indicator
@@ -103,87 +140,182 @@ export async function importCSVFile(filePath, resource) {
           console.log(`   ... processed ${recordCount.toLocaleString()} records`);
         }
       } catch (error) {
-        errorCount++;
-        if (errorCount <= 5) {
-          console.error(`   ❌ Error parsing record:`, error.message);
-        }
+        await quality.reject(lineNumber, 'parse_error', error.message, rawText);
       }
-    });
+    }
+  } catch (error) {
+    console.error(`❌ CSV parsing error:`, error.message);
+    await clearStaging(db, resource.id);
+    await deleteUnusedSuppliers(resolveSupplier.created);
+    await quality.flush();
+    await failImportRun(runId, error, quality.report());
+    throw error;
+  }
 
-    parser.on('end', () => {
-      // Insert remaining records
-      if (records.length > 0) {
-        insertBatch(records);
-      }
+  try {
+    // Insert remaining records
+    if (records.length > 0) {
+      await stageBatch(records);
+    }
+    await quality.flush();
 
-      console.log(`✅ Import complete: ${filename}`);
-      console.log(`   Records imported: ${recordCount.toLocaleString()}`);
-      console.log(`   Errors skipped: ${errorCount.toLocaleString()}`);
+    // Never replace a year's data with an empty or unreadable file
+    if (recordCount === 0) {
+      throw new Error(`No valid records found in ${filename}`);
+    }
 
-      // Update metadata
-      updateMetadata(resource, recordCount);
+    const { removed, supplierIds, replacedYears } = await swapInStagedRows(resource, year, recordCount, datasetSource.id);
+    await refreshSupplierNames(supplierIds);
+    const report = { ...quality.report(), profile: profileName };
+    await finishImportRun(runId, report);
 
-      resolve({ recordCount, errorCount });
-    });
+    console.log(`✅ Import complete: ${filename}`);
+    console.log(`   Records imported: ${recordCount.toLocaleString()}`);
+    console.log(`   Previous records replaced: ${removed.toLocaleString()}`);
+    console.log(`   Rows quarantined: ${report.rejected.toLocaleString()} (see /api/imports/${runId})`);
 
-    parser.on('error', (error) => {
-      console.error(`❌ CSV parsing error:`, error.message);
-      reject(error);
-    });
-  });
+    return {
+      recordCount,
+      errorCount: report.rejected,
+      removedCount: removed,
+      importRunId: runId,
+      dataYear: year,
+      dataYears: [...dataYears].sort((a, b) => a - b),
+      replacedYears: replacedYears.sort((a, b) => a - b),
+      sourceId: datasetSource.id
+    };
+  } catch (error) {
+    // Suppliers first seen in this file go with its rows
+    await clearStaging(db, resource.id);
+    await deleteUnusedSuppliers(resolveSupplier.created);
+    await failImportRun(runId, error, quality.report());
+    throw error;
+  }
 }
 
 /**
- * Insert a batch of records into the database
+ * Hash of a posting line's content, prefixed with its invoice ID.
+ * Identical lines of the same invoice are told apart by their occurrence
+ * number when the line_key is built (see swapInStagedRows).
  */
-function insertBatch(records) {
-  const insert = db.prepare(`
-    INSERT OR REPLACE INTO procurement_invoices (
-      lasku_id, hankintayksikko, hankintayksikko_tunnus,
-      ylaorganisaatio, ylaorganisaatio_tunnus,
-      toimittaja_y_tunnus, toimittaja_nimi, toimittaja_kunta,
-      tili, hankintakategoria, tuote_palveluryhma,
-      tositepvm, tiliointisumma, sektori, data_year
-    ) VALUES (
-      @lasku_id, @hankintayksikko, @hankintayksikko_tunnus,
-      @ylaorganisaatio, @ylaorganisaatio_tunnus,
-      @toimittaja_y_tunnus, @toimittaja_nimi, @toimittaja_kunta,
-      @tili, @hankintakategoria, @tuote_palveluryhma,
-      @tositepvm, @tiliointisumma, @sektori, @data_year
-    )
+function lineHash(invoice) {
+  const content = LINE_KEY_FIELDS.map(field => invoice[field] ?? '').join('\u001f');
+  const digest = createHash('sha1').update(content).digest('hex').slice(0, 16);
+  return `${invoice.lasku_id}:${digest}`;
+}
+
+function prepareStagingInsert(rowCount) {
+  const row = `(${STAGING_COLUMNS.map(() => '?').join(', ')})`;
+  return db.prepare(`
+    INSERT INTO procurement_invoices_staging (${STAGING_COLUMNS.join(', ')})
+    VALUES ${Array(rowCount).fill(row).join(', ')}
   `);
+}
 
-  const insertMany = db.transaction((invoices) => {
-    for (const invoice of invoices) {
-      insert.run(invoice);
-    }
-  });
+/**
+ * Insert a batch of records into the staging table with a single
+ * multi-row INSERT
+ */
+async function stageBatch(records) {
+  const insert = records.length === STAGE_BATCH_SIZE
+    ? (fullBatchInsert ||= prepareStagingInsert(STAGE_BATCH_SIZE))
+    : prepareStagingInsert(records.length);
+
+  await insert.run(records.flatMap(record => STAGING_COLUMNS.map(c => record[c])));
+}
+
+/**
+ * Remove staged rows for a resource
+ */
+async function clearStaging(queryable, resourceId) {
+  await queryable.prepare('DELETE FROM procurement_invoices_staging WHERE resource_id = ?').run(resourceId);
+}
+
+/**
+ * Replace a resource's rows with the staged rows in a single transaction,
+ * so readers see either the old or the new data for the year, never a mix.
+ */
+function swapInStagedRows(resource, year, recordCount, sourceId) {
+  return db.transaction(async (tx) => {
+    // Suppliers whose name variants may change: those in the old and new rows
+    const supplierIds = await tx.prepare(`
+      SELECT supplier_id FROM procurement_invoices
+      WHERE resource_id = @resourceId OR (resource_id IS NULL AND data_year = @year AND source_id = @sourceId)
+      UNION
+      SELECT supplier_id FROM procurement_invoices_staging WHERE resource_id = @resourceId
+    `).pluck().all({ resourceId: resource.id, year, sourceId });
+
+    // Years the replaced rows belonged to, which may lose rows or all of them
+    const replacedYears = await tx.prepare(`
+      SELECT DISTINCT data_year FROM procurement_invoices
+      WHERE resource_id = @resourceId OR (resource_id IS NULL AND data_year = @year AND source_id = @sourceId)
+    `).pluck().all({ resourceId: resource.id, year, sourceId });
 
-  insertMany(records);
+    const { changes: removed } = await tx.prepare(`
+      DELETE FROM procurement_invoices
+      WHERE resource_id = @resourceId
+         OR (resource_id IS NULL AND data_year = @year AND source_id = @sourceId)
+    `).run({ resourceId: resource.id, year, sourceId });
+
+    // A line already imported from another resource is taken over
+    await tx.prepare(`
+      INSERT INTO procurement_invoices (line_key, ${INVOICE_COLUMNS.join(', ')})
+      SELECT
+        line_hash || ':' || (ROW_NUMBER() OVER (PARTITION BY line_hash ORDER BY rowid) - 1),
+        ${INVOICE_COLUMNS.join(', ')}
+      FROM procurement_invoices_staging
+      WHERE resource_id = ?
+      ON CONFLICT (line_key) DO UPDATE SET
+        ${INVOICE_COLUMNS.map(c => `${c} = excluded.${c}`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+    `).run(resource.id);
+
+    await clearStaging(tx, resource.id);
+    await updateMetadata(tx, resource, recordCount, sourceId);
+
+    return { removed, supplierIds, replacedYears };
+  });
 }
 
 /**
  * Update dataset metadata after import
  */
-function updateMetadata(resource, recordCount) {
-  db.prepare(`
-    INSERT OR REPLACE INTO dataset_metadata (
+async function updateMetadata(queryable, resource, recordCount, sourceId) {
+  await queryable.prepare(`
+    INSERT INTO dataset_metadata (
       resource_id, resource_name, resource_url, file_format,
-      data_year, last_modified, downloaded_at, records_imported, status
-    ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, 'completed')
+      data_year, last_modified, file_size, file_hash,
+      downloaded_at, records_imported, status, source_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, 'completed', ?)
+    ON CONFLICT (resource_id) DO UPDATE SET
+      resource_name = excluded.resource_name,
+      resource_url = excluded.resource_url,
+      file_format = excluded.file_format,
+      data_year = excluded.data_year,
+      last_modified = excluded.last_modified,
+      file_size = excluded.file_size,
+      file_hash = excluded.file_hash,
+      downloaded_at = excluded.downloaded_at,
+      records_imported = excluded.records_imported,
+      status = excluded.status,
+      source_id = excluded.source_id,
+      updated_at = CURRENT_TIMESTAMP
   `).run(
     resource.id,
     resource.name,
     resource.url,
     resource.format,
     extractYearFromFilename(resource.name),
-    resource.last_modified,
-    recordCount
+    resource.last_modified || null,
+    resource.size != null && resource.size !== '' ? parseInt(resource.size) : null,
+    resource.hash || null,
+    recordCount,
+    sourceId
   );
 }
 
 /**
- * Import all downloaded CSV files
+ * Import all downloaded CSV files (unchanged resources are skipped)
  */
 export async function importAllFiles(downloadResults) {
   console.log('\n📦 Starting database import...\n');
@@ -191,8 +323,12 @@ export async function importAllFiles(downloadResults) {
   const results = [];
   
   for (const download of downloadResults) {
+    if (download.skipped) {
+      continue;
+    }
+
     try {
-      const result = await importCSVFile(download.filePath, download.resource);
+      const result = await importCSVFile(download.filePath, download.resource, download.datasetSource);
       results.push({
         filename: download.resource.name,
         success: true,
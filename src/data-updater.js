@@ -1,18 +1,34 @@
 import dotenv from 'dotenv';
-import { initializeDatabase, clearInvoiceData, getDatabaseStats } from './database.js';
-import { downloadAllProcurementFiles } from './ckan-client.js';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { db, clearInvoiceData, getDatabaseStats } from './database.js';
+import { checkSchemaVersion } from './migrations.js';
+import { downloadAllProcurementFiles, summarizeChanges, DOWNLOAD_DIR } from './ckan-client.js';
+import { selectDatasetSources, ckanSourceFor } from './dataset-sources.js';
 import { importAllFiles } from './csv-importer.js';
+import { backfillSupplierIds } from './suppliers.js';
+import { refreshSuggestIndex } from './search.js';
+import { detectAnomalies } from './anomalies.js';
+import { refreshConcentration, yearsMissingConcentration } from './concentration.js';
+import { refreshRollups, yearsMissingRollups } from './rollups.js';
+import { bumpDatasetVersion } from './cache.js';
 
 dotenv.config();
 
 /**
  * Main data update workflow
+ *
+ * Throws on failure so callers (the CLI or the in-process scheduler)
+ * can decide how to react.
  */
-async function updateProcurementData(options = {}) {
+export async function updateProcurementData(options = {}) {
   const { 
     years = null, // null = all years, or array like [2023, 2024, 2025]
-    forceRedownload = false,
-    clearExisting = false
+    forceRedownload = false, // true = all resources, or array of years
+    clearExisting = false,
+    sources = null, // null = every enabled dataset source, or array of source ids
+    ckan = {}, // CKAN source type and local directory (see ckanSourceFor)
+    downloadDir = DOWNLOAD_DIR // each dataset source downloads into a subdirectory
   } = options;
 
   console.log('\n╔════════════════════════════════════════════════════════════╗');
@@ -20,39 +36,102 @@ async function updateProcurementData(options = {}) {
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 
   try {
-    // Step 1: Initialize database
-    console.log('📦 Step 1: Initialize Database\n');
-    initializeDatabase();
+    // Step 1: Check the schema; only npm run migrate changes it
+    console.log('📦 Step 1: Check Database Schema\n');
+    console.log(`✅ Database schema version ${await checkSchemaVersion(db)}`);
 
     // Step 2: Clear existing data if requested
     if (clearExisting) {
       console.log('\n🗑️  Step 2: Clear Existing Data\n');
-      clearInvoiceData();
+      await clearInvoiceData();
+      await bumpDatasetVersion();
     }
 
-    // Step 3: Download CSV files from Avoindata.fi
+    // Step 3: Download CSV files of each dataset source from Avoindata.fi
     console.log('\n📥 Step 3: Download CSV Files from Avoindata.fi\n');
-    const downloadResults = await downloadAllProcurementFiles({
-      yearsToDownload: years,
-      forceRedownload
-    });
+    const downloadResults = [];
+    for (const datasetSource of selectDatasetSources(sources)) {
+      console.log(`\n📚 Dataset source: ${datasetSource.title} (${datasetSource.id})\n`);
+      const results = await downloadAllProcurementFiles({
+        yearsToDownload: years,
+        forceRedownload,
+        source: ckanSourceFor(datasetSource, ckan),
+        downloadDir: join(downloadDir, datasetSource.id),
+        resourceFilter: datasetSource.resources
+      });
+      downloadResults.push(...results.map(result => ({ ...result, datasetSource })));
+    }
+
+    const changes = summarizeChanges(downloadResults);
 
     if (downloadResults.length === 0) {
       console.log('\n⚠️  No files to process. Exiting.');
-      return;
+      return { downloadResults, importResults: [], changes };
+    }
+
+    if (downloadResults.every(r => r.skipped)) {
+      console.log('\n✅ All files are up to date. Nothing to import.');
+      return { downloadResults, importResults: [], changes };
     }
 
-    // Step 4: Import CSV files into database
+    // Step 4: Import changed CSV files into database
     console.log('\n💾 Step 4: Import Data into Database\n');
     const importResults = await importAllFiles(downloadResults);
 
+    // Link rows imported before supplier resolution to canonical suppliers
+    const backfilled = await backfillSupplierIds();
+    if (backfilled > 0) {
+      console.log(`\n🏢 Linked ${backfilled.toLocaleString()} existing rows to canonical suppliers`);
+    }
+
+    const suggestions = await refreshSuggestIndex();
+    console.log(`\n🔎 Search suggestions refreshed (${suggestions.toLocaleString()} entries)`);
+
+    // Years the imports wrote to, and years the replaced rows came from
+    const importedYears = [...new Set(importResults.filter(r => r.success).flatMap(r => r.dataYears))];
+    const replacedYears = importResults.filter(r => r.success).flatMap(r => r.replacedYears);
+
+    // Flag unusual spending from the earliest changed year on: later years
+    // compare against it
+    if (importedYears.length > 0) {
+      const fromYear = Math.min(...importedYears, ...replacedYears);
+      const anomalies = await detectAnomalies({ fromYear });
+      const summary = Object.entries(anomalies).map(([type, count]) => `${type}: ${count}`).join(', ');
+      console.log(`\n🚩 Anomalies for ${fromYear} onward (${summary})`);
+    }
+
+    // Concentration metrics for the imported years and any never computed
+    const concentrationYears = [...new Set([...importedYears, ...await yearsMissingConcentration()])];
+    if (concentrationYears.length > 0) {
+      await refreshConcentration({ years: concentrationYears });
+      console.log(`\n📐 Concentration metrics refreshed for ${concentrationYears.join(', ')}`);
+    }
+
+    // Monthly rollups for the imported years, the years the replaced rows
+    // came from and any not yet rolled up; a supplier backfill can touch any
+    // year, so it rebuilds them all. A year left without rows rolls up to
+    // nothing.
+    const rollupYears = backfilled > 0
+      ? await refreshRollups()
+      : await refreshRollups({ years: [...new Set([...importedYears, ...replacedYears, ...await yearsMissingRollups()])] });
+    if (rollupYears.length > 0) {
+      console.log(`\n🗓️  Monthly rollups rebuilt for ${rollupYears.join(', ')}`);
+    }
+
+    // New dataset version: invalidates cached API responses and ETags
+    if (importedYears.length > 0 || backfilled > 0) {
+      const version = await bumpDatasetVersion();
+      console.log(`\n🏷️  Dataset version ${version}`);
+    }
+
     // Step 5: Show final statistics
     console.log('\n📊 Step 5: Final Statistics\n');
-    const stats = getDatabaseStats();
+    const stats = await getDatabaseStats();
     
     console.log('✅ Data update complete!\n');
     console.log('Database Summary:');
     console.log(`  Total invoices: ${stats.totalInvoices.toLocaleString()}`);
+    console.log(`  Posting lines: ${stats.totalLines.toLocaleString()}`);
     console.log(`  Dataset files: ${stats.datasetFiles}`);
     console.log(`  Last update: ${stats.lastUpdate || 'Just now'}`);
     
@@ -71,48 +150,78 @@ async function updateProcurementData(options = {}) {
     console.log('║   ✅ All operations completed successfully!              ║');
     console.log('╚════════════════════════════════════════════════════════════╝\n');
 
+    return { downloadResults, importResults, changes };
   } catch (error) {
     console.error('\n❌ Error during data update:');
     console.error(error);
-    process.exit(1);
+    throw error;
   }
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const options = {
-  years: null,
-  forceRedownload: args.includes('--force'),
-  clearExisting: args.includes('--clear')
-};
-
-// Check for specific years
-const yearArg = args.find(arg => arg.startsWith('--years='));
-if (yearArg) {
-  options.years = yearArg.split('=')[1].split(',').map(y => parseInt(y.trim()));
+/**
+ * Parse command line arguments into updater options
+ */
+export function parseArgs(args) {
+  const options = {
+    years: null,
+    forceRedownload: args.includes('--force'),
+    clearExisting: args.includes('--clear')
+  };
+
+  // Update specific dataset sources only
+  const sourcesArg = args.find(arg => arg.startsWith('--sources='));
+  if (sourcesArg) {
+    options.sources = sourcesArg.split('=')[1].split(',').map(id => id.trim()).filter(Boolean);
+  }
+
+  // Force specific years only
+  const forceArg = args.find(arg => arg.startsWith('--force='));
+  if (forceArg) {
+    options.forceRedownload = forceArg.split('=')[1].split(',').map(y => parseInt(y.trim()));
+  }
+
+  // Check for specific years
+  const yearArg = args.find(arg => arg.startsWith('--years='));
+  if (yearArg) {
+    options.years = yearArg.split('=')[1].split(',').map(y => parseInt(y.trim()));
+  }
+
+  return options;
 }
 
-// Show help
-if (args.includes('--help') || args.includes('-h')) {
-  console.log(`
+// Only run the CLI when executed directly (not when imported by the server)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+
+  // Show help
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
 Finnish Procurement Data Updater
 
 Usage:
   npm run update-data [options]
 
 Options:
-  --years=2023,2024,2025    Download specific years only
-  --force                   Force re-download even if files exist
+  --years=2023,2024,2025    Download specific years only (files without a
+                            year are always included)
+  --force                   Force re-download and re-import of all files
+  --force=2024,2025         Force re-download of specific years only
   --clear                   Clear all existing data before import
+  --sources=helsinki        Update specific dataset sources only (see
+                            config/dataset-sources.json), enabled or not
   --help, -h                Show this help message
 
 Examples:
-  npm run update-data                      # Download and import all years
+  npm run update-data                      # Sync all years (changed files only)
   npm run update-data -- --years=2024,2025 # Only 2024 and 2025
   npm run update-data -- --force --clear   # Fresh start, redownload everything
+  npm run update-data -- --sources=tutkihankintoja
   `);
-  process.exit(0);
-}
+    process.exit(0);
+  }
 
-// Run the update
-updateProcurementData(options);
+  // Run the update; closing the database lets the process exit
+  updateProcurementData(parseArgs(args))
+    .then(() => db.close())
+    .catch(() => process.exit(1));
+}
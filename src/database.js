@@ -1,128 +1,210 @@
-import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { createSqliteStorage } from './storage-sqlite.js';
+import { createPostgresStorage } from './storage-postgres.js';
+import { runMigrations } from './migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const DB_PATH = process.env.DB_PATH || join(__dirname, '../data/procurement.db');
 
-// Ensure data directory exists
-const dataDir = dirname(DB_PATH);
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
+// PostgreSQL when DATABASE_URL is set, e.g. on hosts whose filesystem does
+// not survive a redeploy; a SQLite file at DB_PATH otherwise
+function createStorage() {
+  if (process.env.DATABASE_URL) {
+    return createPostgresStorage(process.env.DATABASE_URL);
+  }
+
+  // Ensure data directory exists
+  const dataDir = dirname(DB_PATH);
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  return createSqliteStorage(DB_PATH);
 }
 
 // Initialize database
-export const db = new Database(DB_PATH);
+export const db = createStorage();
+
+// SQL fragments for the active backend (see storage-sqlite.js)
+export const dialect = db.dialect;
+
+// Text columns covered by the full-text index (invoice_search, created by
+// migrations/sqlite/001_initial_schema.sql)
+export const SEARCH_COLUMNS = [
+  'toimittaja_nimi',
+  'hankintayksikko',
+  'ylaorganisaatio',
+  'hankintakategoria',
+  'tuote_palveluryhma',
+  'toimittaja_kunta'
+];
 
-// Enable WAL mode for better concurrency
-db.pragma('journal_mode = WAL');
-db.pragma('foreign_keys = ON');
+// Rows imported before dataset sources were tracked all came from
+// tutkihankintoja-data
+export const LEGACY_SOURCE_ID = 'tutkihankintoja';
+const SOURCE_ID_COLUMN = `TEXT NOT NULL DEFAULT '${LEGACY_SOURCE_ID}'`;
 
 /**
- * Initialize database schema
+ * Bring the schema up to date with the numbered migrations in
+ * migrations/<dialect>. With dryRun, returns the pending migrations without
+ * touching the database; otherwise returns the applied ones.
  */
-export function initializeDatabase() {
-  console.log('Initializing database schema...');
-
-  // Procurement Invoices table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS procurement_invoices (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      lasku_id TEXT NOT NULL UNIQUE,
-      hankintayksikko TEXT NOT NULL,
-      hankintayksikko_tunnus TEXT,
-      ylaorganisaatio TEXT,
-      ylaorganisaatio_tunnus TEXT,
-      toimittaja_y_tunnus TEXT,
-      toimittaja_nimi TEXT,
-      toimittaja_kunta TEXT,
-      tili TEXT,
-      hankintakategoria TEXT NOT NULL,
-      tuote_palveluryhma TEXT,
-      tositepvm TEXT NOT NULL,
-      tiliointisumma REAL NOT NULL,
-      sektori TEXT,
-      data_year INTEGER NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+export async function migrateDatabase({ dryRun = false } = {}) {
+  if (dryRun || dialect.name === 'postgres') {
+    return runMigrations(db, { dryRun });
+  }
 
-  // Create indexes for common queries
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_tositepvm ON procurement_invoices(tositepvm);
-    CREATE INDEX IF NOT EXISTS idx_hankintakategoria ON procurement_invoices(hankintakategoria);
-    CREATE INDEX IF NOT EXISTS idx_toimittaja_nimi ON procurement_invoices(toimittaja_nimi);
-    CREATE INDEX IF NOT EXISTS idx_toimittaja_kunta ON procurement_invoices(toimittaja_kunta);
-    CREATE INDEX IF NOT EXISTS idx_hankintayksikko ON procurement_invoices(hankintayksikko);
-    CREATE INDEX IF NOT EXISTS idx_sektori ON procurement_invoices(sektori);
-    CREATE INDEX IF NOT EXISTS idx_data_year ON procurement_invoices(data_year);
-    CREATE INDEX IF NOT EXISTS idx_tiliointisumma ON procurement_invoices(tiliointisumma);
-  `);
+  const legacy = adoptSqliteDatabase(db.database);
+  const applied = await runMigrations(db);
 
-  // Dataset metadata table (track downloaded files)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS dataset_metadata (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      resource_id TEXT NOT NULL UNIQUE,
-      resource_name TEXT NOT NULL,
-      resource_url TEXT NOT NULL,
-      file_format TEXT,
-      data_year INTEGER,
-      last_modified TEXT,
-      downloaded_at DATETIME,
-      records_imported INTEGER DEFAULT 0,
-      status TEXT DEFAULT 'pending',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+  if (legacy) {
+    copyLegacyInvoices(db.database);
+  }
+  return applied;
+}
+
+/**
+ * Prepare a SQLite database created before migrations were tracked for the
+ * initial migration, which only creates what is missing: add the columns
+ * its indexes need and drop the view it recreates. Returns true if a legacy
+ * invoices table was moved aside and must be copied back afterwards.
+ */
+function adoptSqliteDatabase(sqlite) {
+  const exists = (table) => sqlite.prepare(dialect.tableExists('?')).get(table);
+  if (exists('schema_migrations') || !exists('procurement_invoices')) {
+    return false;
+  }
+
+  console.log('Adopting existing database into schema migrations...');
+
+  // Databases created before posting lines were modelled have a UNIQUE
+  // lasku_id; move that table aside so the migration creates it anew
+  const legacy = renameLegacyInvoicesTable(sqlite);
 
-  // System configuration table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS system_config (
-      key TEXT PRIMARY KEY,
-      value TEXT,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
+  // Columns added after the initial release
+  ensureColumn(sqlite, 'procurement_invoices', 'resource_id', 'TEXT');
+  ensureColumn(sqlite, 'procurement_invoices', 'supplier_id', 'INTEGER');
+  ensureColumn(sqlite, 'procurement_invoices', 'source_id', SOURCE_ID_COLUMN);
+  ensureColumn(sqlite, 'procurement_invoices_staging', 'line_hash', 'TEXT');
+  ensureColumn(sqlite, 'procurement_invoices_staging', 'supplier_id', 'INTEGER');
+  ensureColumn(sqlite, 'procurement_invoices_staging', 'source_id', SOURCE_ID_COLUMN);
+  ensureColumn(sqlite, 'dataset_metadata', 'file_size', 'INTEGER');
+  ensureColumn(sqlite, 'dataset_metadata', 'file_hash', 'TEXT');
+  ensureColumn(sqlite, 'dataset_metadata', 'source_id', SOURCE_ID_COLUMN);
+  ensureColumn(sqlite, 'monthly_rollups', 'source_id', SOURCE_ID_COLUMN);
+
+  sqlite.exec('DROP VIEW IF EXISTS procurement_invoice_totals');
+  return legacy;
+}
+
+/**
+ * Add a column to an existing table if it is missing. Tables that do not
+ * exist yet are left to the migrations.
+ */
+function ensureColumn(sqlite, table, column, definition) {
+  const columns = sqlite.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.length > 0 && !columns.some(c => c.name === column)) {
+    sqlite.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Rename a procurement_invoices table that still has a UNIQUE lasku_id.
+ * Returns true if a legacy table was moved aside.
+ */
+function renameLegacyInvoicesTable(sqlite) {
+  const table = sqlite.prepare(`
+    SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'procurement_invoices'
+  `).get();
+
+  if (!table || !/lasku_id TEXT NOT NULL UNIQUE/.test(table.sql)) {
+    return false;
+  }
+
+  console.log('Upgrading procurement_invoices to posting lines...');
+  sqlite.exec(`
+    DROP VIEW IF EXISTS procurement_invoice_totals;
+    ALTER TABLE procurement_invoices RENAME TO procurement_invoices_legacy;
   `);
+  return true;
+}
+
+/**
+ * Copy rows from the legacy table (one line per lasku_id) and drop it
+ */
+function copyLegacyInvoices(sqlite) {
+  const columns = sqlite.prepare('PRAGMA table_info(procurement_invoices_legacy)').all()
+    .map(c => c.name)
+    .filter(name => name !== 'id');
 
-  console.log('✅ Database schema initialized successfully');
+  sqlite.transaction(() => {
+    sqlite.exec(`
+      INSERT INTO procurement_invoices (line_key, ${columns.join(', ')})
+      SELECT lasku_id || ':legacy', ${columns.join(', ')}
+      FROM procurement_invoices_legacy;
+      DROP TABLE procurement_invoices_legacy;
+    `);
+  })();
 }
 
 /**
  * Get database statistics
  */
-export function getDatabaseStats() {
+export async function getDatabaseStats() {
   const stats = {
-    totalInvoices: db.prepare('SELECT COUNT(*) as count FROM procurement_invoices').get().count,
-    yearBreakdown: db.prepare(`
-      SELECT data_year, COUNT(*) as count, SUM(tiliointisumma) as total_value
+    totalInvoices: (await db.prepare('SELECT COUNT(DISTINCT lasku_id) as count FROM procurement_invoices').get()).count,
+    totalLines: (await db.prepare('SELECT COUNT(*) as count FROM procurement_invoices').get()).count,
+    yearBreakdown: await db.prepare(`
+      SELECT data_year, COUNT(DISTINCT lasku_id) as count, COUNT(*) as lines, SUM(tiliointisumma) as total_value
       FROM procurement_invoices
       GROUP BY data_year
       ORDER BY data_year DESC
     `).all(),
-    lastUpdate: db.prepare(`
+    lastUpdate: (await db.prepare(`
       SELECT MAX(downloaded_at) as last_update
       FROM dataset_metadata
       WHERE status = 'completed'
-    `).get().last_update,
-    datasetFiles: db.prepare('SELECT COUNT(*) as count FROM dataset_metadata').get().count
+    `).get()).last_update,
+    datasetFiles: (await db.prepare('SELECT COUNT(*) as count FROM dataset_metadata').get()).count
   };
 
   return stats;
 }
 
+/**
+ * Read a value from system_config
+ */
+export async function getConfig(key, defaultValue = null) {
+  const row = await db.prepare('SELECT value FROM system_config WHERE key = ?').get(key);
+  return row ? row.value : defaultValue;
+}
+
+/**
+ * Write a value to system_config
+ */
+export async function setConfig(key, value) {
+  await db.prepare(`
+    INSERT INTO system_config (key, value, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `).run(key, value === null || value === undefined ? null : String(value));
+}
+
 /**
  * Clear all invoice data (for re-import)
  */
-export function clearInvoiceData() {
+export async function clearInvoiceData() {
   console.log('Clearing all invoice data...');
-  db.prepare('DELETE FROM procurement_invoices').run();
-  db.prepare('DELETE FROM dataset_metadata').run();
+  await db.prepare('DELETE FROM procurement_invoices').run();
+  await db.prepare('DELETE FROM procurement_invoices_staging').run();
+  await db.prepare('DELETE FROM dataset_metadata').run();
+  await db.prepare('DELETE FROM search_suggestions').run();
+  await db.prepare('DELETE FROM anomalies').run();
+  await db.prepare('DELETE FROM concentration_metrics').run();
+  await db.prepare('DELETE FROM monthly_rollups').run();
   console.log('✅ All invoice data cleared');
 }
 
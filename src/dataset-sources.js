@@ -0,0 +1,173 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { db } from './database.js';
+import { createCkanSource, DEFAULT_RESOURCE_FILTER } from './ckan-client.js';
+import { loadProfiles } from './column-mapping.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SOURCES_PATH = process.env.DATASET_SOURCES_PATH || join(__dirname, '../config/dataset-sources.json');
+
+let cachedSources = null;
+
+/**
+ * Load and validate the registry of dataset sources. Each source is a CKAN
+ * dataset with its own resource filter, column profile (null picks one by
+ * the header row), sector tag and default values for fields its files lack.
+ * DATASET_ID overrides the dataset of the first source.
+ */
+export function loadDatasetSources(path = SOURCES_PATH) {
+  if (path === SOURCES_PATH && cachedSources) {
+    return cachedSources;
+  }
+
+  const { sources } = JSON.parse(fs.readFileSync(path, 'utf-8'));
+  const profiles = new Set(loadProfiles().map(p => p.name));
+  const ids = new Set();
+
+  const loaded = sources.map((source, index) => {
+    if (!/^[a-z0-9-]+$/.test(source.id || '')) {
+      throw new Error(`Dataset source ${index + 1}: id must be lowercase letters, digits and dashes`);
+    }
+    if (ids.has(source.id)) {
+      throw new Error(`Dataset source "${source.id}" is defined twice`);
+    }
+    ids.add(source.id);
+
+    if (!source.datasetId) {
+      throw new Error(`Dataset source "${source.id}" has no datasetId`);
+    }
+    if (source.columnProfile && !profiles.has(source.columnProfile)) {
+      throw new Error(`Dataset source "${source.id}": unknown column profile "${source.columnProfile}"`);
+    }
+
+    const resources = { ...DEFAULT_RESOURCE_FILTER, ...source.resources };
+    try {
+      new RegExp(resources.include, 'i');
+    } catch (error) {
+      throw new Error(`Dataset source "${source.id}": invalid resources.include (${error.message})`);
+    }
+
+    return {
+      id: source.id,
+      title: source.title || source.datasetId,
+      datasetId: index === 0 && process.env.DATASET_ID ? process.env.DATASET_ID : source.datasetId,
+      baseUrl: source.baseUrl || null,
+      enabled: source.enabled !== false,
+      resources,
+      columnProfile: source.columnProfile || null,
+      sector: source.sector || null,
+      // The sector tag fills sektori where a file has none
+      defaults: { ...(source.sector ? { sektori: source.sector } : {}), ...source.defaults },
+      invoiceIdPrefix: source.invoiceIdPrefix || ''
+    };
+  });
+
+  if (loaded.length === 0) {
+    throw new Error('No dataset sources configured');
+  }
+
+  if (path === SOURCES_PATH) {
+    cachedSources = loaded;
+  }
+  return loaded;
+}
+
+/**
+ * The first registered source: tutkihankintoja-data unless reconfigured
+ */
+export function primaryDatasetSource() {
+  return loadDatasetSources()[0];
+}
+
+/**
+ * Sources to update: the named ones (enabled or not), or every enabled one.
+ * Throws for an unknown id.
+ */
+export function selectDatasetSources(ids = null) {
+  const sources = loadDatasetSources();
+  if (!ids || ids.length === 0) {
+    return sources.filter(source => source.enabled);
+  }
+
+  return ids.map(id => {
+    const source = sources.find(s => s.id === id);
+    if (!source) {
+      throw new Error(`Unknown dataset source "${id}". Available: ${sources.map(s => s.id).join(', ')}`);
+    }
+    return source;
+  });
+}
+
+/**
+ * CKAN source (see createCkanSource) for a dataset source. options.type and
+ * options.dir override CKAN_SOURCE and CKAN_LOCAL_DIR; a local directory may
+ * hold each dataset in a subdirectory named after its datasetId.
+ */
+export function ckanSourceFor(datasetSource, { type, dir = process.env.CKAN_LOCAL_DIR } = {}) {
+  const datasetDir = dir && fs.existsSync(join(dir, datasetSource.datasetId))
+    ? join(dir, datasetSource.datasetId)
+    : dir;
+
+  return createCkanSource({
+    type,
+    baseUrl: datasetSource.baseUrl || undefined,
+    datasetId: datasetSource.datasetId,
+    dir: datasetDir
+  });
+}
+
+/**
+ * Registered sources with what has been imported from each: files from
+ * dataset_metadata, lines, invoices, value and years from monthly_rollups
+ */
+export async function getDatasetSourceSummaries() {
+  const files = new Map((await db.prepare(`
+    SELECT source_id, COUNT(*) as files, MAX(downloaded_at) as last_import
+    FROM dataset_metadata
+    WHERE status = 'completed'
+    GROUP BY source_id
+  `).all()).map(row => [row.source_id, row]));
+
+  const totals = new Map((await db.prepare(`
+    SELECT
+      source_id,
+      SUM(line_count) as lines,
+      SUM(first_invoice_count) as invoices,
+      SUM(total_value) as total_value,
+      MIN(data_year) as first_year,
+      MAX(data_year) as last_year
+    FROM monthly_rollups
+    GROUP BY source_id
+  `).all()).map(row => [row.source_id, row]));
+
+  return loadDatasetSources().map(source => {
+    const imported = files.get(source.id) || { files: 0, last_import: null };
+    const total = totals.get(source.id);
+
+    return {
+      id: source.id,
+      title: source.title,
+      datasetId: source.datasetId,
+      enabled: source.enabled,
+      sector: source.sector,
+      columnProfile: source.columnProfile,
+      files: imported.files,
+      lines: total ? total.lines : 0,
+      invoices: total ? total.invoices : 0,
+      totalValue: total ? total.total_value : 0,
+      years: total ? [total.first_year, total.last_year] : null,
+      lastImport: imported.last_import
+    };
+  });
+}
+
+export default {
+  loadDatasetSources,
+  primaryDatasetSource,
+  selectDatasetSources,
+  ckanSourceFor,
+  getDatasetSourceSummaries
+};
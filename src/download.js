@@ -0,0 +1,234 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { basename, dirname, join } from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+function envInt(name, defaultValue) {
+  const value = process.env[name];
+  return value !== undefined && value !== '' ? parseInt(value) : defaultValue;
+}
+
+export const DOWNLOAD_SETTINGS = {
+  retries: envInt('DOWNLOAD_RETRIES', 3),
+  retryDelayMs: envInt('DOWNLOAD_RETRY_DELAY_MS', 1000),
+  timeoutMs: envInt('DOWNLOAD_TIMEOUT_MS', 60 * 1000),
+  concurrency: envInt('DOWNLOAD_CONCURRENCY', 2),
+  requestIntervalMs: envInt('CKAN_REQUEST_INTERVAL_MS', 250)
+};
+
+const HASH_LENGTHS = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' };
+
+/**
+ * Error for an unsuccessful HTTP response. Server errors and 429 are worth
+ * retrying; 416 means a partial file cannot be resumed and must restart.
+ */
+export function httpError(response, action = 'Download') {
+  const error = new Error(`${action} failed: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.retryable = response.status >= 500 || response.status === 429 || response.status === 416;
+  error.restart = response.status === 416;
+  return error;
+}
+
+/**
+ * Parse a CKAN resource hash: "sha256:<hex>" or bare hex, whose length
+ * gives the algorithm. Returns { algorithm, digest } or null.
+ */
+export function parseExpectedHash(hash) {
+  const match = /^(?:(md5|sha1|sha256|sha512)[:-])?([0-9a-f]+)$/i.exec(String(hash || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const digest = match[2].toLowerCase();
+  const algorithm = match[1] ? match[1].toLowerCase() : HASH_LENGTHS[digest.length];
+  return algorithm ? { algorithm, digest } : null;
+}
+
+async function hashFile(path, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  for await (const chunk of fs.createReadStream(path)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Check a downloaded file against the size and hash CKAN reports, where
+ * given. A mismatch is retried from scratch.
+ */
+export async function verifyFile(path, { size = null, hash = null } = {}) {
+  const actualSize = fs.statSync(path).size;
+  if (size !== null && actualSize !== size) {
+    throw Object.assign(new Error(`Size mismatch: expected ${size} bytes, got ${actualSize}`), {
+      retryable: true,
+      restart: true
+    });
+  }
+
+  const expected = parseExpectedHash(hash);
+  if (expected) {
+    const actual = await hashFile(path, expected.algorithm);
+    if (actual !== expected.digest) {
+      throw Object.assign(new Error(`Hash mismatch: expected ${expected.algorithm} ${expected.digest}, got ${actual}`), {
+        retryable: true,
+        restart: true
+      });
+    }
+  }
+}
+
+/**
+ * Run tasks with at most `concurrency` at once, starting them at least
+ * `intervalMs` apart. Returns run(task) -> promise of the task's result.
+ */
+export function createThrottle({ concurrency = 1, intervalMs = 0 } = {}) {
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  const next = () => {
+    if (timer || active >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    const wait = lastStart + intervalMs - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        next();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    lastStart = Date.now();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+    next();
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Partial download path for one version of a file. A new upstream version
+ * gets a new path, so a stale partial file is never resumed.
+ */
+function partialPath(filePath, version) {
+  const tag = crypto.createHash('sha1').update(String(version)).digest('hex').slice(0, 8);
+  return `${filePath}.${tag}.part`;
+}
+
+function removeStalePartials(filePath, keep) {
+  const prefix = `${basename(filePath)}.`;
+  for (const name of fs.readdirSync(dirname(filePath))) {
+    const path = join(dirname(filePath), name);
+    if (name.startsWith(prefix) && name.endsWith('.part') && path !== keep) {
+      fs.rmSync(path, { force: true });
+    }
+  }
+}
+
+/**
+ * One download attempt into tempPath, resuming from its current size. Fails
+ * when no data arrives for timeoutMs.
+ */
+async function attemptDownload(open, tempPath, timeoutMs) {
+  const start = fs.existsSync(tempPath) ? fs.statSync(tempPath).size : 0;
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  arm();
+  try {
+    const { stream, offset } = await open({ start, signal: controller.signal });
+    const activity = new Transform({
+      transform(chunk, _encoding, callback) {
+        arm();
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(stream, activity, fs.createWriteStream(tempPath, { flags: offset > 0 ? 'a' : 'w' }));
+    return { resumedFrom: offset };
+  } catch (error) {
+    if (timedOut) {
+      throw Object.assign(new Error(`No data received for ${timeoutMs} ms`), { retryable: true });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Download to filePath through a partial file that is resumed after dropped
+ * connections, retried with exponential backoff, verified against the
+ * expected size and hash, and only then renamed into place.
+ *
+ * open({ start, signal }) must resolve to { stream, offset }, where offset is
+ * where the stream starts (0 if the source cannot resume). Failed attempts
+ * are retried unless the error has retryable: false.
+ */
+export async function downloadToFile({
+  open,
+  filePath,
+  version = '',
+  size = null,
+  hash = null,
+  retries = DOWNLOAD_SETTINGS.retries,
+  retryDelayMs = DOWNLOAD_SETTINGS.retryDelayMs,
+  timeoutMs = DOWNLOAD_SETTINGS.timeoutMs
+}) {
+  const tempPath = partialPath(filePath, version);
+  removeStalePartials(filePath, tempPath);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { resumedFrom } = await attemptDownload(open, tempPath, timeoutMs);
+      await verifyFile(tempPath, { size, hash });
+      fs.renameSync(tempPath, filePath);
+      return { attempts: attempt + 1, resumedFrom };
+    } catch (error) {
+      if (error.restart) {
+        fs.rmSync(tempPath, { force: true });
+      }
+      if (error.retryable === false || attempt >= retries) {
+        throw error;
+      }
+
+      const delay = retryDelayMs * 2 ** attempt;
+      console.warn(`⚠️  ${basename(filePath)}: ${error.message}; retrying in ${delay} ms (${attempt + 1}/${retries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export default {
+  DOWNLOAD_SETTINGS,
+  httpError,
+  parseExpectedHash,
+  verifyFile,
+  createThrottle,
+  downloadToFile
+};
@@ -0,0 +1,292 @@
+import { db } from './database.js';
+import { attachCanonicalSuppliers } from './suppliers.js';
+import { toWhereClause } from './invoice-query.js';
+import { keysetCondition, sortClauses, parseInteger } from './pagination.js';
+
+// Rows read from the database per page. Pages are read with keyset conditions so
+// the connection is never held by an open iterator while the response waits
+// on a slow client.
+const PAGE_SIZE = 1000;
+
+// Upper bound for a single export, overridable per request with a lower limit
+export const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 1000000;
+
+// Excel sheets hold at most 1,048,576 rows including the header
+const XLSX_MAX_ROWS = 1048575;
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  parquet: { extension: 'parquet', contentType: 'application/vnd.apache.parquet' }
+};
+
+const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t'
+};
+
+/**
+ * Validate export options from request query parameters.
+ * Returns { format, limit, delimiter, decimal } or { error }.
+ */
+export function parseExportOptions(query) {
+  const { format = 'csv', delimiter = 'comma' } = query;
+
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Unknown format "${format}". Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const separator = DELIMITERS[delimiter] || Object.values(DELIMITERS).find(d => d === delimiter);
+  if (!separator) {
+    return { error: `Unknown delimiter "${delimiter}". Allowed: ${Object.keys(DELIMITERS).join(', ')}` };
+  }
+
+  // A semicolon-separated file is what Finnish Excel expects, together with
+  // a decimal comma
+  const decimal = query.decimal || (separator === ';' ? 'comma' : 'point');
+  if (decimal !== 'comma' && decimal !== 'point') {
+    return { error: 'decimal must be "comma" or "point"' };
+  }
+  if (decimal === 'comma' && separator === ',') {
+    return { error: 'decimal=comma cannot be combined with a comma delimiter' };
+  }
+
+  const maxRows = format === 'xlsx' ? Math.min(EXPORT_MAX_ROWS, XLSX_MAX_ROWS) : EXPORT_MAX_ROWS;
+  const limit = parseInteger(query.limit, 'limit', { defaultValue: maxRows, min: 1, max: maxRows });
+  if (limit.error) {
+    return limit;
+  }
+
+  return { format, limit: limit.value, delimiter: separator, decimal };
+}
+
+/**
+ * Export file name, e.g. procurement-lines-2025-2026-10-18.csv
+ */
+export function exportFileName({ level, params }, format) {
+  const parts = ['procurement', level === 'invoice' ? 'invoices' : 'lines'];
+  if (params.year) {
+    parts.push(params.year);
+  }
+  parts.push(new Date().toISOString().slice(0, 10));
+  return `${parts.join('-')}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Read the query's rows page by page in sort order, up to limit rows
+ */
+async function* readPages({ sort, params, source, where, columns }, limit) {
+  const { orderBy, select: sortSelect } = sortClauses(sort);
+  const prepare = (conditions) => db.prepare(`
+    SELECT ${columns.join(', ')}, ${sortSelect}
+    FROM ${source}
+    ${toWhereClause(conditions)}
+    ORDER BY ${orderBy}
+    LIMIT @pageSize
+  `);
+
+  const first = prepare(where);
+  let next = null;
+  let keyset = { params: {} };
+  let remaining = limit;
+
+  while (remaining > 0) {
+    const pageSize = Math.min(PAGE_SIZE, remaining);
+    const rows = await (next || first).all({ ...params, ...keyset.params, pageSize });
+    if (rows.length === 0) {
+      return;
+    }
+
+    yield rows;
+    remaining -= rows.length;
+    if (rows.length < pageSize) {
+      return;
+    }
+
+    const last = rows[rows.length - 1];
+    keyset = keysetCondition(sort, sort.map((_, i) => last[`sort_${i}`]));
+    next = next || prepare([...where, keyset.condition]);
+  }
+}
+
+/**
+ * Flatten a row for export: drop internal sort keys and replace the
+ * canonical supplier object with plain columns
+ */
+function exportRow(row, columns) {
+  const result = {};
+  for (const column of columns) {
+    if (column !== 'id') result[column] = row[column];
+  }
+  result.supplier_name = row.supplier ? row.supplier.name : null;
+  result.supplier_business_id = row.supplier ? row.supplier.businessId : null;
+  return result;
+}
+
+function exportColumns(columns) {
+  return [...columns.filter(c => c !== 'id'), 'supplier_name', 'supplier_business_id'];
+}
+
+/**
+ * Resolves once the response can take more data, or right away when the
+ * client has gone: a closed response never drains
+ */
+function drained(res) {
+  if (res.destroyed) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+async function write(res, chunk) {
+  if (!res.destroyed && !res.write(chunk)) {
+    await drained(res);
+  }
+}
+
+// Excel only reads a CSV file as UTF-8 (rather than the locale's code page)
+// when it starts with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+function createCsvWriter(res, columns, { delimiter, decimal }) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = typeof value === 'number' && decimal === 'comma'
+      ? String(value).replace('.', ',')
+      : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  };
+
+  return {
+    start: () => write(res, UTF8_BOM + columns.join(delimiter) + '\r\n'),
+    rows: (rows) => write(res, rows.map(row => columns.map(c => escape(row[c])).join(delimiter) + '\r\n').join('')),
+    end: async () => res.end()
+  };
+}
+
+function createNdjsonWriter(res) {
+  return {
+    start: async () => {},
+    rows: (rows) => write(res, rows.map(row => JSON.stringify(row) + '\n').join('')),
+    end: async () => res.end()
+  };
+}
+
+async function createXlsxWriter(res, columns) {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Invoices');
+  sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+  return {
+    start: async () => {},
+    rows: async (rows) => {
+      for (const row of rows) {
+        sheet.addRow(row).commit();
+      }
+      // Let the zip stream flush before reading the next page
+      if (res.writableNeedDrain) {
+        await drained(res);
+      }
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+async function createParquetWriter(res, columns) {
+  const { default: parquet } = await import('parquetjs-lite');
+  const types = {
+    tiliointisumma: 'DOUBLE',
+    supplier_id: 'INT64',
+    line_count: 'INT64'
+  };
+  const schema = new parquet.ParquetSchema(Object.fromEntries(columns.map(column => [
+    column,
+    { type: types[column] || 'UTF8', optional: true, compression: 'SNAPPY' }
+  ])));
+  const writer = await parquet.ParquetWriter.openStream(schema, res);
+
+  return {
+    start: async () => {},
+    rows: async (rows) => {
+      for (const row of rows) {
+        const record = {};
+        for (const column of columns) {
+          if (row[column] !== null && row[column] !== undefined) {
+            record[column] = types[column] ? row[column] : String(row[column]);
+          }
+        }
+        await writer.appendRow(record);
+      }
+      if (res.writableNeedDrain) {
+        await drained(res);
+      }
+    },
+    end: () => writer.close()
+  };
+}
+
+/**
+ * Stream the rows of an invoice query to the response in the given format.
+ * Headers must already be set. Stops early if the client disconnects.
+ * Returns the number of rows written.
+ */
+export async function streamInvoiceExport(res, invoiceQuery, options) {
+  const columns = exportColumns(invoiceQuery.columns);
+
+  let writer;
+  if (options.format === 'xlsx') {
+    writer = await createXlsxWriter(res, columns);
+  } else if (options.format === 'parquet') {
+    writer = await createParquetWriter(res, columns);
+  } else if (options.format === 'ndjson') {
+    writer = createNdjsonWriter(res);
+  } else {
+    writer = createCsvWriter(res, columns, options);
+  }
+
+  // Leaving the loop early ends readPages, so no further page is read once
+  // the client has disconnected
+  let count = 0;
+  await writer.start();
+  for await (const page of readPages(invoiceQuery, options.limit)) {
+    if (res.destroyed) {
+      return count;
+    }
+    const rows = (await attachCanonicalSuppliers(page)).map(row => exportRow(row, invoiceQuery.columns));
+    await writer.rows(rows);
+    count += rows.length;
+    if (res.destroyed) {
+      return count;
+    }
+  }
+  await writer.end();
+
+  return count;
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_MAX_ROWS,
+  parseExportOptions,
+  exportFileName,
+  streamInvoiceExport
+};
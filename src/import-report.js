@@ -0,0 +1,226 @@
+import { db } from './database.js';
+
+// Columns whose null rates are tracked in the import report
+const REPORT_COLUMNS = [
+  'lasku_id', 'hankintayksikko', 'hankintayksikko_tunnus',
+  'ylaorganisaatio', 'ylaorganisaatio_tunnus',
+  'toimittaja_y_tunnus', 'toimittaja_nimi', 'toimittaja_kunta',
+  'tili', 'hankintakategoria', 'tuote_palveluryhma',
+  'tositepvm', 'tiliointisumma', 'sektori'
+];
+
+/**
+ * Record the start of a file import and return its run ID
+ */
+export async function startImportRun(resource, filePath, dataYear) {
+  const { id } = await db.prepare(`
+    INSERT INTO import_runs (resource_id, resource_name, file_path, data_year, status)
+    VALUES (?, ?, ?, ?, 'running')
+    RETURNING id
+  `).get(resource.id, resource.name, filePath, dataYear);
+
+  return id;
+}
+
+/**
+ * Track accepted and rejected rows of one import run.
+ * Rejected rows are written to the import_rejects quarantine table in batches.
+ */
+export function createQualityTracker(runId, resource) {
+  const nullCounts = Object.fromEntries(REPORT_COLUMNS.map(c => [c, 0]));
+  const rejectReasons = {};
+  const pendingRejects = [];
+  let accepted = 0;
+  let rejected = 0;
+  let totalAmount = 0;
+  let minDate = null;
+  let maxDate = null;
+
+  const flush = async () => {
+    if (pendingRejects.length === 0) {
+      return;
+    }
+
+    const rows = pendingRejects.splice(0, pendingRejects.length);
+    await db.transaction(async (tx) => {
+      const insertReject = tx.prepare(`
+        INSERT INTO import_rejects (import_run_id, resource_id, file_name, line_number, reason, detail, raw_text)
+        VALUES (@import_run_id, @resource_id, @file_name, @line_number, @reason, @detail, @raw_text)
+      `);
+      for (const row of rows) {
+        await insertReject.run(row);
+      }
+    });
+  };
+
+  return {
+    accept(invoice) {
+      accepted++;
+      totalAmount += invoice.tiliointisumma;
+      for (const column of REPORT_COLUMNS) {
+        if (invoice[column] === null || invoice[column] === undefined || invoice[column] === '') {
+          nullCounts[column]++;
+        }
+      }
+      if (minDate === null || invoice.tositepvm < minDate) minDate = invoice.tositepvm;
+      if (maxDate === null || invoice.tositepvm > maxDate) maxDate = invoice.tositepvm;
+    },
+
+    // Resolves once a full batch of rejects has been written
+    async reject(lineNumber, reason, detail, rawText) {
+      rejected++;
+      rejectReasons[reason] = (rejectReasons[reason] || 0) + 1;
+      pendingRejects.push({
+        import_run_id: runId,
+        resource_id: resource.id,
+        file_name: resource.name,
+        line_number: lineNumber,
+        reason,
+        detail,
+        raw_text: rawText
+      });
+      if (pendingRejects.length >= 1000) {
+        await flush();
+      }
+    },
+
+    flush,
+
+    get rejectedCount() {
+      return rejected;
+    },
+
+    report() {
+      const nullRates = {};
+      for (const column of REPORT_COLUMNS) {
+        nullRates[column] = accepted > 0 ? nullCounts[column] / accepted : 0;
+      }
+      return {
+        accepted,
+        rejected,
+        rejectReasons,
+        nullRates,
+        totals: {
+          amount: totalAmount,
+          minDate,
+          maxDate
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Mark an import run as completed and store its report
+ */
+export async function finishImportRun(runId, report) {
+  await db.prepare(`
+    UPDATE import_runs
+    SET status = 'completed',
+        finished_at = CURRENT_TIMESTAMP,
+        accepted_count = ?,
+        rejected_count = ?,
+        total_amount = ?,
+        report = ?
+    WHERE id = ?
+  `).run(report.accepted, report.rejected, report.totals.amount, JSON.stringify(report), runId);
+}
+
+/**
+ * Mark an import run as failed
+ */
+export async function failImportRun(runId, error, report = null) {
+  await db.prepare(`
+    UPDATE import_runs
+    SET status = 'failed',
+        finished_at = CURRENT_TIMESTAMP,
+        accepted_count = ?,
+        rejected_count = ?,
+        report = ?,
+        error = ?
+    WHERE id = ?
+  `).run(
+    report ? report.accepted : 0,
+    report ? report.rejected : 0,
+    report ? JSON.stringify(report) : null,
+    error.message,
+    runId
+  );
+}
+
+/**
+ * List import runs, newest first
+ */
+export async function listImportRuns({ limit = 50, offset = 0, resourceId = null, status = null } = {}) {
+  const conditions = [];
+  const params = { limit, offset };
+
+  if (resourceId) {
+    conditions.push('resource_id = @resourceId');
+    params.resourceId = resourceId;
+  }
+
+  if (status) {
+    conditions.push('status = @status');
+    params.status = status;
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { total } = await db.prepare(`SELECT COUNT(*) as total FROM import_runs ${whereClause}`).get(params);
+  const runs = await db.prepare(`
+    SELECT
+      id, resource_id, resource_name, data_year, status,
+      started_at, finished_at, accepted_count, rejected_count, total_amount, error
+    FROM import_runs
+    ${whereClause}
+    ORDER BY id DESC
+    LIMIT @limit OFFSET @offset
+  `).all(params);
+
+  return { runs, total };
+}
+
+/**
+ * Get one import run with its report and a page of quarantined rows
+ */
+export async function getImportRun(runId, { limit = 100, offset = 0, reason = null } = {}) {
+  const run = await db.prepare('SELECT * FROM import_runs WHERE id = ?').get(runId);
+  if (!run) {
+    return null;
+  }
+
+  const reasonCondition = reason ? 'AND reason = @reason' : '';
+  const params = { runId, limit, offset, reason };
+
+  const { total } = await db.prepare(`
+    SELECT COUNT(*) as total FROM import_rejects
+    WHERE import_run_id = @runId ${reasonCondition}
+  `).get(params);
+
+  const rejects = await db.prepare(`
+    SELECT line_number, reason, detail, raw_text
+    FROM import_rejects
+    WHERE import_run_id = @runId ${reasonCondition}
+    ORDER BY line_number
+    LIMIT @limit OFFSET @offset
+  `).all(params);
+
+  const { report, ...summary } = run;
+
+  return {
+    ...summary,
+    report: report ? JSON.parse(report) : null,
+    rejects,
+    rejectsTotal: total
+  };
+}
+
+export default {
+  startImportRun,
+  createQualityTracker,
+  finishImportRun,
+  failImportRun,
+  listImportRuns,
+  getImportRun
+};
@@ -1,5 +1,2 @@
-import { initializeDatabase } from './database.js';
-
-console.log('Initializing database...');
-initializeDatabase();
-console.log('Done!');
+// Same as npm run migrate, for scripts written before migrations existed
+import './migrate.js';
@@ -0,0 +1,136 @@
+import { parseDate } from './csv-format.js';
+import { toMatchQuery, searchCondition } from './search.js';
+import { loadDatasetSources } from './dataset-sources.js';
+import { parseInteger, parseNumber } from './pagination.js';
+
+// Condition added for q=; the invoices endpoint swaps it for a ranked join
+export const SEARCH_CONDITION = searchCondition('@q');
+
+/**
+ * Build WHERE conditions for procurement_invoices from request query
+ * parameters. Shared by every endpoint that accepts the invoice filters.
+ *
+ * Returns { conditions, params } or { error } for an invalid parameter.
+ */
+export function buildInvoiceFilters(query) {
+  const {
+    q,
+    supplier,
+    supplierId,
+    category,
+    city,
+    minAmount,
+    maxAmount,
+    startDate,
+    endDate,
+    sector,
+    procurementUnit,
+    source,
+    year
+  } = query;
+
+  const numbers = {
+    supplierId: parseInteger(supplierId, 'supplierId', { min: 1 }),
+    minAmount: parseNumber(minAmount, 'minAmount'),
+    maxAmount: parseNumber(maxAmount, 'maxAmount'),
+    year: parseInteger(year, 'year')
+  };
+  const invalid = Object.values(numbers).find(n => n.error);
+  if (invalid) {
+    return invalid;
+  }
+
+  const conditions = [];
+  const params = {};
+
+  if (q) {
+    // Full-text search with prefix matching over supplier, unit, category and city
+    const match = toMatchQuery(q);
+    if (!match) {
+      return { error: 'q must contain at least one word' };
+    }
+    conditions.push(SEARCH_CONDITION);
+    params.q = match;
+  }
+
+  if (supplier) {
+    // Match the invoice's own supplier fields or any name of its canonical supplier
+    conditions.push(`(toimittaja_nimi LIKE @supplier OR toimittaja_y_tunnus LIKE @supplier
+      OR supplier_id IN (SELECT id FROM suppliers WHERE canonical_name LIKE @supplier OR business_id LIKE @supplier)
+      OR supplier_id IN (SELECT supplier_id FROM supplier_names WHERE name LIKE @supplier))`);
+    params.supplier = `%${supplier}%`;
+  }
+
+  if (numbers.supplierId.value !== null) {
+    conditions.push('supplier_id = @supplierId');
+    params.supplierId = numbers.supplierId.value;
+  }
+
+  if (category) {
+    conditions.push('hankintakategoria LIKE @category');
+    params.category = `%${category}%`;
+  }
+
+  if (city) {
+    conditions.push('toimittaja_kunta LIKE @city');
+    params.city = `%${city}%`;
+  }
+
+  if (numbers.minAmount.value !== null) {
+    conditions.push('tiliointisumma >= @minAmount');
+    params.minAmount = numbers.minAmount.value;
+  }
+
+  if (numbers.maxAmount.value !== null) {
+    conditions.push('tiliointisumma <= @maxAmount');
+    params.maxAmount = numbers.maxAmount.value;
+  }
+
+  // Dates are stored as ISO (YYYY-MM-DD), so normalize before comparing
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value && !parseDate(value)) {
+      return { error: `${name} must be a date (YYYY-MM-DD or d.m.yyyy)` };
+    }
+  }
+
+  if (startDate) {
+    conditions.push('tositepvm >= @startDate');
+    params.startDate = parseDate(startDate);
+  }
+
+  if (endDate) {
+    conditions.push('tositepvm <= @endDate');
+    params.endDate = parseDate(endDate);
+  }
+
+  if (sector) {
+    conditions.push('sektori = @sector');
+    params.sector = sector;
+  }
+
+  if (procurementUnit) {
+    conditions.push('hankintayksikko LIKE @procurementUnit');
+    params.procurementUnit = `%${procurementUnit}%`;
+  }
+
+  if (source) {
+    const sources = loadDatasetSources().map(s => s.id);
+    if (!sources.includes(source)) {
+      return { error: `Unknown source "${source}". Allowed: ${sources.join(', ')}` };
+    }
+    conditions.push('source_id = @source');
+    params.source = source;
+  }
+
+  if (numbers.year.value !== null) {
+    conditions.push('data_year = @year');
+    params.year = numbers.year.value;
+  }
+
+  return { conditions, params };
+}
+
+export default {
+  SEARCH_CONDITION,
+  buildInvoiceFilters
+};
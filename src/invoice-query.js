@@ -0,0 +1,103 @@
+import { buildInvoiceFilters, SEARCH_CONDITION } from './invoice-filters.js';
+import { parseSort } from './pagination.js';
+import { rankedMatches } from './search.js';
+
+// Columns returned for every posting line or invoice
+export const OUTPUT_COLUMNS = [
+  'lasku_id', 'hankintayksikko', 'hankintayksikko_tunnus',
+  'ylaorganisaatio', 'ylaorganisaatio_tunnus',
+  'toimittaja_y_tunnus', 'toimittaja_nimi', 'toimittaja_kunta',
+  'tili', 'hankintakategoria', 'tuote_palveluryhma',
+  'tositepvm', 'tiliointisumma', 'sektori', 'supplier_id', 'source_id'
+];
+
+/**
+ * Build the query behind the invoice listing from request parameters:
+ * level, filters and sort. Shared by the paginated endpoint and export.
+ *
+ * Returns { level, sort, params, source, where, columns } or { error }.
+ * source is the FROM clause, where a list of conditions, and columns the
+ * level-specific select list.
+ */
+export function buildInvoiceQuery(query) {
+  const { level = 'line' } = query;
+
+  if (level !== 'line' && level !== 'invoice') {
+    return { error: 'level must be "line" or "invoice"' };
+  }
+
+  const { conditions, params, error } = buildInvoiceFilters(query);
+  if (error) {
+    return { error };
+  }
+
+  const sort = parseSort(query.sort, { level, search: Boolean(params.q) });
+  if (sort.error) {
+    return { error: sort.error };
+  }
+
+  if (level === 'invoice') {
+    // Match invoices that have at least one matching line, and apply the
+    // amount filters to the invoice total rather than to single lines
+    const amountConditions = [];
+    const lineConditions = conditions.filter(c => {
+      if (c.startsWith('tiliointisumma')) {
+        amountConditions.push(c);
+        return false;
+      }
+      return true;
+    });
+
+    if (lineConditions.length > 0) {
+      amountConditions.unshift(`lasku_id IN (
+        SELECT lasku_id FROM procurement_invoices WHERE ${lineConditions.join(' AND ')}
+      )`);
+    }
+
+    return {
+      level,
+      sort,
+      params,
+      source: 'procurement_invoice_totals',
+      where: amountConditions,
+      columns: [...OUTPUT_COLUMNS, 'line_count']
+    };
+  }
+
+  if (params.q) {
+    // Join the full-text matches instead of filtering on them, so lines
+    // can be ordered by relevance
+    return {
+      level,
+      sort,
+      params,
+      source: `procurement_invoices
+      JOIN (${rankedMatches('@q')}
+      ) matches ON search_id = id`,
+      where: conditions.filter(c => c !== SEARCH_CONDITION),
+      columns: [...OUTPUT_COLUMNS, 'id', 'line_key']
+    };
+  }
+
+  return {
+    level,
+    sort,
+    params,
+    source: 'procurement_invoices',
+    where: conditions,
+    columns: [...OUTPUT_COLUMNS, 'line_key']
+  };
+}
+
+/**
+ * Join conditions into a WHERE clause, or an empty string
+ */
+export function toWhereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+export default {
+  OUTPUT_COLUMNS,
+  buildInvoiceQuery,
+  toWhereClause
+};
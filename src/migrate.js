@@ -0,0 +1,62 @@
+import fs from 'fs';
+import { db, migrateDatabase } from './database.js';
+import { getMigrationStatus } from './migrations.js';
+
+const args = process.argv.slice(2);
+const command = args.includes('--dry-run') ? 'dry-run' : (args[0] || 'up');
+let failed = false;
+
+try {
+  if (command === 'up') {
+    console.log(`📦 Migrating ${db.dialect.name} database...`);
+    const applied = await migrateDatabase();
+    const { current } = await getMigrationStatus(db);
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration(s); schema version ${current}`
+      : `✅ Schema is up to date (version ${current})`);
+  } else if (command === 'status') {
+    const { current, latest, applied, pending } = await getMigrationStatus(db);
+    console.log(`📊 Schema version ${current} (code expects ${latest})`);
+    for (const migration of applied) {
+      console.log(`   ✔ ${migration.version}: ${migration.name} (applied ${migration.applied_at})`);
+    }
+    for (const migration of pending) {
+      console.log(`   … ${migration.version}: ${migration.name} (pending)`);
+    }
+    if (current > latest) {
+      console.log('⚠️  The database is newer than this code');
+    }
+  } else if (command === 'dry-run') {
+    const pending = await migrateDatabase({ dryRun: true });
+    if (pending.length === 0) {
+      console.log('✅ Schema is up to date; nothing to apply');
+    }
+    for (const migration of pending) {
+      console.log(`-- Migration ${migration.version}: ${migration.name} (${migration.path})\n`);
+      console.log(fs.readFileSync(migration.path, 'utf-8'));
+    }
+    if (pending.length > 0) {
+      console.log(`🔍 Dry run: ${pending.length} migration(s) would be applied; nothing was changed`);
+    }
+  } else {
+    console.log(`
+Schema Migrations
+
+Usage:
+  npm run migrate                 Apply pending migrations
+  npm run migrate -- status       Show the schema version and each migration
+  npm run migrate -- --dry-run    Print the pending migrations without applying them
+
+Migrations are numbered SQL files in migrations/sqlite and
+migrations/postgres; DATABASE_URL selects PostgreSQL, DB_PATH SQLite.
+  `);
+  }
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  failed = true;
+}
+
+await db.close();
+if (failed) {
+  process.exit(1);
+}
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MIGRATIONS_DIR = join(__dirname, '../migrations');
+
+/**
+ * Numbered migrations of a dialect (migrations/<dialect>/NNN_name.sql),
+ * in order
+ */
+export function listMigrations(dialect) {
+  const dir = join(MIGRATIONS_DIR, dialect);
+
+  return fs.readdirSync(dir)
+    .map(file => /^(\d+)_(.+)\.sql$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version),
+      name,
+      path: join(dir, file)
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Schema version the code expects: the number of its last migration
+ */
+export function latestVersion(dialect) {
+  const migrations = listMigrations(dialect);
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Migrations recorded in schema_migrations, oldest first. Empty for a
+ * database that has never been migrated; nothing is created.
+ */
+async function appliedMigrations(db) {
+  const tracked = await db.prepare(db.dialect.tableExists('?')).get('schema_migrations');
+  if (!tracked) {
+    return [];
+  }
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+/**
+ * Schema version of the database and the code, with the applied and the
+ * pending migrations
+ */
+export async function getMigrationStatus(db) {
+  const applied = await appliedMigrations(db);
+  const versions = new Set(applied.map(m => m.version));
+  const pending = listMigrations(db.dialect.name).filter(m => !versions.has(m.version));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: latestVersion(db.dialect.name),
+    applied,
+    pending
+  };
+}
+
+/**
+ * Apply the migrations that have not run yet, each in its own transaction,
+ * recording them in schema_migrations. Returns the applied migrations, or
+ * with dryRun the ones that would be applied, leaving the database as it is.
+ */
+export async function runMigrations(db, { dryRun = false } = {}) {
+  const { pending } = await getMigrationStatus(db);
+  if (dryRun || pending.length === 0) {
+    return pending;
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const migration of pending) {
+    console.log(`   Applying migration ${migration.version}: ${migration.name}`);
+    await db.transaction(async (tx) => {
+      await tx.exec(fs.readFileSync(migration.path, 'utf-8'));
+      await tx.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+        .run(migration.version, migration.name);
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * Throw unless the database schema is at the version the code expects
+ */
+export async function checkSchemaVersion(db) {
+  const { current, latest, pending } = await getMigrationStatus(db);
+
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this code (version ${latest}); deploy the matching code`);
+  }
+  if (pending.length > 0) {
+    throw new Error(`Database schema version ${current} does not match this code (version ${latest}, ${pending.length} pending migration(s)); run npm run migrate`);
+  }
+  return current;
+}
+
+export default {
+  MIGRATIONS_DIR,
+  listMigrations,
+  latestVersion,
+  getMigrationStatus,
+  runMigrations,
+  checkSchemaVersion
+};
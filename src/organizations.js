@@ -0,0 +1,181 @@
+import { db } from './database.js';
+import { supplierConcentration } from './concentration.js';
+
+/**
+ * Spend summary, category mix, top suppliers and monthly trend for the rows
+ * matching a WHERE clause
+ */
+async function spendBreakdown(whereClause, params, { topSuppliers = 10 } = {}) {
+  const totals = await db.prepare(`
+    SELECT
+      COALESCE(SUM(tiliointisumma), 0) as "totalValue",
+      COUNT(DISTINCT lasku_id) as "invoiceCount",
+      COUNT(*) as "lineCount",
+      MIN(tositepvm) as "firstInvoiceDate",
+      MAX(tositepvm) as "lastInvoiceDate"
+    FROM procurement_invoices
+    WHERE ${whereClause}
+  `).get(params);
+
+  const categories = (await db.prepare(`
+    SELECT hankintakategoria as category, SUM(tiliointisumma) as "totalValue", COUNT(*) as "lineCount"
+    FROM procurement_invoices
+    WHERE ${whereClause}
+    GROUP BY hankintakategoria
+    ORDER BY "totalValue" DESC
+  `).all(params)).map(c => ({
+    ...c,
+    share: totals.totalValue !== 0 ? c.totalValue / totals.totalValue : 0
+  }));
+
+  const suppliers = await db.prepare(`
+    SELECT
+      s.id as "supplierId",
+      s.canonical_name as name,
+      s.business_id as "businessId",
+      t."totalValue",
+      t."invoiceCount"
+    FROM (
+      SELECT supplier_id, SUM(tiliointisumma) as "totalValue", COUNT(DISTINCT lasku_id) as "invoiceCount"
+      FROM procurement_invoices
+      WHERE ${whereClause} AND supplier_id IS NOT NULL
+      GROUP BY supplier_id
+      ORDER BY "totalValue" DESC
+      LIMIT @topSuppliers
+    ) t
+    JOIN suppliers s ON s.id = t.supplier_id
+    ORDER BY t."totalValue" DESC
+  `).all({ ...params, topSuppliers });
+
+  const trend = await db.prepare(`
+    SELECT substr(tositepvm, 1, 7) as month, SUM(tiliointisumma) as "totalValue", COUNT(DISTINCT lasku_id) as "invoiceCount"
+    FROM procurement_invoices
+    WHERE ${whereClause}
+    GROUP BY month
+    ORDER BY month
+  `).all(params);
+
+  return {
+    ...totals,
+    categories,
+    topSuppliers: suppliers,
+    monthlyTrend: trend,
+    concentration: await supplierConcentration(whereClause, params)
+  };
+}
+
+function yearFilter(whereClause, params, year) {
+  if (!year) {
+    return { whereClause, params };
+  }
+  return {
+    whereClause: `${whereClause} AND data_year = @year`,
+    params: { ...params, year }
+  };
+}
+
+/**
+ * Procurement unit (buyer) profile by hankintayksikko_tunnus, or by exact
+ * unit name for units without an ID
+ */
+export async function getUnitProfile(unitId, { year = null } = {}) {
+  const unit = await db.prepare(`
+    SELECT hankintayksikko, hankintayksikko_tunnus, ylaorganisaatio, ylaorganisaatio_tunnus
+    FROM procurement_invoices
+    WHERE hankintayksikko_tunnus = @unitId
+       OR (hankintayksikko = @unitId AND hankintayksikko_tunnus IS NULL)
+    ORDER BY data_year DESC
+    LIMIT 1
+  `).get({ unitId });
+
+  if (!unit) {
+    return null;
+  }
+
+  const base = unit.hankintayksikko_tunnus
+    ? { whereClause: 'hankintayksikko_tunnus = @unitId', params: { unitId: unit.hankintayksikko_tunnus } }
+    : { whereClause: 'hankintayksikko = @unitId AND hankintayksikko_tunnus IS NULL', params: { unitId } };
+  const { whereClause, params } = yearFilter(base.whereClause, base.params, year);
+
+  return {
+    id: unit.hankintayksikko_tunnus,
+    name: unit.hankintayksikko,
+    organization: unit.ylaorganisaatio_tunnus || unit.ylaorganisaatio
+      ? { id: unit.ylaorganisaatio_tunnus, name: unit.ylaorganisaatio }
+      : null,
+    year: year || 'all',
+    ...(await spendBreakdown(whereClause, params))
+  };
+}
+
+/**
+ * Parent organisation (ylaorganisaatio) profile rolling up all its units
+ */
+export async function getOrganizationProfile(organizationId, { year = null } = {}) {
+  const organization = await db.prepare(`
+    SELECT ylaorganisaatio, ylaorganisaatio_tunnus
+    FROM procurement_invoices
+    WHERE ylaorganisaatio_tunnus = ?
+    ORDER BY data_year DESC
+    LIMIT 1
+  `).get(organizationId);
+
+  if (!organization) {
+    return null;
+  }
+
+  const { whereClause, params } = yearFilter(
+    'ylaorganisaatio_tunnus = @organizationId',
+    { organizationId },
+    year
+  );
+
+  const units = await db.prepare(`
+    SELECT
+      hankintayksikko_tunnus as id,
+      MAX(hankintayksikko) as name,
+      SUM(tiliointisumma) as "totalValue",
+      COUNT(DISTINCT lasku_id) as "invoiceCount",
+      COUNT(DISTINCT supplier_id) as "supplierCount"
+    FROM procurement_invoices
+    WHERE ${whereClause}
+    GROUP BY hankintayksikko_tunnus
+    ORDER BY "totalValue" DESC
+  `).all(params);
+
+  return {
+    id: organization.ylaorganisaatio_tunnus,
+    name: organization.ylaorganisaatio,
+    year: year || 'all',
+    unitCount: units.length,
+    units,
+    ...(await spendBreakdown(whereClause, params))
+  };
+}
+
+/**
+ * All parent organisations with their spend totals, for comparison
+ */
+export async function listOrganizations({ year = null } = {}) {
+  const { whereClause, params } = yearFilter('ylaorganisaatio_tunnus IS NOT NULL', {}, year);
+
+  return db.prepare(`
+    SELECT
+      ylaorganisaatio_tunnus as id,
+      MAX(ylaorganisaatio) as name,
+      COUNT(DISTINCT hankintayksikko_tunnus) as "unitCount",
+      SUM(tiliointisumma) as "totalValue",
+      COUNT(DISTINCT lasku_id) as "invoiceCount",
+      COUNT(DISTINCT supplier_id) as "supplierCount"
+    FROM procurement_invoices
+    WHERE ${whereClause}
+    GROUP BY ylaorganisaatio_tunnus
+    ORDER BY "totalValue" DESC
+  `).all(params);
+}
+
+export default {
+  getUnitProfile,
+  getOrganizationProfile,
+  listOrganizations
+};
@@ -0,0 +1,184 @@
+// Sortable fields for /api/procurement/invoices, mapped to SQL expressions.
+// Nullable text columns are coalesced so keyset comparisons never meet NULL.
+export const SORT_FIELDS = {
+  date: 'tositepvm',
+  amount: 'tiliointisumma',
+  supplier: "COALESCE(toimittaja_nimi, '')",
+  unit: 'hankintayksikko',
+  category: 'hankintakategoria',
+  city: "COALESCE(toimittaja_kunta, '')",
+  // Only with q= on posting lines; bm25 ranks lower is better
+  relevance: '-search_rank'
+};
+
+// Unique column appended to every sort so the order is total
+const TIEBREAKERS = {
+  line: 'id',
+  invoice: 'lasku_id'
+};
+
+// total=estimate counts at most this many rows
+export const TOTAL_ESTIMATE_CAP = 10000;
+
+// Largest page a listing endpoint returns
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Parse an optional integer query parameter within [min, max].
+ * Returns { value }, defaultValue when the parameter is absent, or { error }.
+ */
+export function parseInteger(value, name, { defaultValue = null, min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  if (value === undefined || value === '') {
+    return { value: defaultValue };
+  }
+
+  const number = /^-?\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+  if (!(number >= min && number <= max)) {
+    return {
+      error: max === Number.MAX_SAFE_INTEGER
+        ? `${name} must be an integer of at least ${min}`
+        : `${name} must be an integer from ${min} to ${max}`
+    };
+  }
+  return { value: number };
+}
+
+/**
+ * Parse an optional numeric query parameter. Returns { value },
+ * defaultValue when the parameter is absent, or { error }.
+ */
+export function parseNumber(value, name, { defaultValue = null } = {}) {
+  if (value === undefined || value === '') {
+    return { value: defaultValue };
+  }
+
+  const number = String(value).trim() === '' ? NaN : Number(value);
+  if (!Number.isFinite(number)) {
+    return { error: `${name} must be a number` };
+  }
+  return { value: number };
+}
+
+/**
+ * Validate the limit and offset query parameters of a listing endpoint.
+ * Returns { limit, offset } or { error }.
+ */
+export function parsePagination(query, { defaultLimit = 100, maxLimit = MAX_PAGE_SIZE } = {}) {
+  const limit = parseInteger(query.limit, 'limit', { defaultValue: defaultLimit, min: 1, max: maxLimit });
+  if (limit.error) {
+    return limit;
+  }
+
+  const offset = parseInteger(query.offset, 'offset', { defaultValue: 0 });
+  if (offset.error) {
+    return offset;
+  }
+  return { limit: limit.value, offset: offset.value };
+}
+
+/**
+ * Parse sort=field[:asc|desc][,field[:asc|desc]...] for a result level.
+ * Returns [{ field, expression, direction }] ending with the tiebreaker,
+ * or { error }.
+ */
+export function parseSort(value, { level, search }) {
+  const defaultSort = search && level === 'line' ? 'relevance:desc' : 'date:desc';
+  const parts = String(value || defaultSort).split(',').map(p => p.trim()).filter(Boolean);
+  const allowed = Object.keys(SORT_FIELDS)
+    .filter(field => field !== 'relevance' || (search && level === 'line'));
+
+  const sort = [];
+  for (const part of parts) {
+    const [field, direction = 'desc'] = part.split(':');
+    if (!allowed.includes(field)) {
+      return { error: `Cannot sort by "${field}". Allowed: ${allowed.join(', ')}` };
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+      return { error: 'Sort direction must be "asc" or "desc"' };
+    }
+    if (sort.some(s => s.field === field)) {
+      return { error: `Sort field "${field}" is listed twice` };
+    }
+    sort.push({ field, expression: SORT_FIELDS[field], direction });
+  }
+
+  const last = sort[sort.length - 1];
+  sort.push({ field: '_key', expression: TIEBREAKERS[level], direction: last.direction });
+  return sort;
+}
+
+function signature(sort, level) {
+  return [level, ...sort.map(s => `${s.field}:${s.direction}`)].join(',');
+}
+
+/**
+ * Opaque cursor pointing just past the given row's sort values
+ */
+export function encodeCursor(sort, level, values) {
+  return Buffer.from(JSON.stringify({ s: signature(sort, level), v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor. Returns the row's sort values, or { error } if the
+ * cursor is malformed or was issued for a different sort.
+ */
+export function decodeCursor(cursor, sort, level) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== sort.length) {
+    return { error: 'Invalid cursor' };
+  }
+  // Sort values are bound as query parameters
+  if (!decoded.v.every(v => v === null || typeof v === 'string' || Number.isFinite(v))) {
+    return { error: 'Invalid cursor' };
+  }
+  if (decoded.s !== signature(sort, level)) {
+    return { error: 'Cursor was issued for a different sort or level' };
+  }
+  return { values: decoded.v };
+}
+
+/**
+ * WHERE condition selecting rows after the cursor position in sort order.
+ * Expands the row comparison so each column can have its own direction.
+ */
+export function keysetCondition(sort, values) {
+  const params = {};
+  const alternatives = sort.map((s, i) => {
+    const equal = sort.slice(0, i).map((prev, j) => `${prev.expression} = @cursor${j}`);
+    const after = `${s.expression} ${s.direction === 'desc' ? '<' : '>'} @cursor${i}`;
+    params[`cursor${i}`] = values[i];
+    return `(${[...equal, after].join(' AND ')})`;
+  });
+
+  return { condition: `(${alternatives.join(' OR ')})`, params };
+}
+
+/**
+ * ORDER BY clause and the select list exposing each sort value as sort_N
+ */
+export function sortClauses(sort) {
+  return {
+    orderBy: sort.map(s => `${s.expression} ${s.direction.toUpperCase()}`).join(', '),
+    select: sort.map((s, i) => `${s.expression} as sort_${i}`).join(', ')
+  };
+}
+
+export default {
+  SORT_FIELDS,
+  TOTAL_ESTIMATE_CAP,
+  MAX_PAGE_SIZE,
+  parseInteger,
+  parseNumber,
+  parsePagination,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  sortClauses
+};
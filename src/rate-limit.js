@@ -0,0 +1,71 @@
+import rateLimit from 'express-rate-limit';
+import { findApiKey, recordApiKeyUsage } from './api-keys.js';
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+const HEAVY_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_HEAVY_MAX_REQUESTS) || 10;
+
+/**
+ * Express middleware: resolves an X-API-Key or Authorization: Bearer header
+ * to req.apiKey. Requests without a key pass through anonymously; unknown or
+ * revoked keys are rejected.
+ */
+export async function apiKeyAuth(req, res, next) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const key = req.get('X-API-Key') || (bearer && bearer[1]);
+  if (!key) {
+    return next();
+  }
+
+  let apiKey;
+  try {
+    apiKey = await findApiKey(key);
+  } catch (error) {
+    return next(error);
+  }
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  req.apiKey = apiKey;
+  recordApiKeyUsage(apiKey.id);
+  next();
+}
+
+/**
+ * Fixed-window limiter counting per API key, or per client IP without one.
+ * Sends the standard RateLimit-* headers.
+ */
+function createLimiter({ limit, message, skip }) {
+  return rateLimit({
+    windowMs: WINDOW_MS,
+    limit,
+    skip,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: req => req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`,
+    message: { success: false, error: message }
+  });
+}
+
+// Every API request except health checks
+export const generalLimiter = createLimiter({
+  limit: req => (req.apiKey && req.apiKey.rate_limit) || MAX_REQUESTS,
+  message: 'Too many requests, please try again later',
+  skip: req => req.originalUrl.split('?')[0] === '/api/health'
+});
+
+// Exports and aggregations, on top of the general limit
+export const heavyLimiter = createLimiter({
+  limit: req => (req.apiKey && req.apiKey.heavy_rate_limit) || HEAVY_MAX_REQUESTS,
+  message: 'Too many export or aggregation requests, please try again later'
+});
+
+export default {
+  apiKeyAuth,
+  generalLimiter,
+  heavyLimiter
+};
@@ -0,0 +1,163 @@
+import { db } from './database.js';
+
+/**
+ * Rebuild monthly rollups for the given data years (all years if none given).
+ *
+ * An invoice's lines may fall in different months and categories, so each
+ * invoice is counted in one row only: invoice_count in the row holding its
+ * first line of the category, first_invoice_count in the row holding its
+ * first line. Summed over months, invoice_count gives the invoices per
+ * category and first_invoice_count the invoices overall; neither splits into
+ * months. Both rely on an invoice's lines sharing unit, supplier and sector,
+ * as they do in the source data. Years are rolled up separately, so over all
+ * years an invoice with lines in two data years counts twice.
+ */
+export async function refreshRollups({ years = null } = {}) {
+  const targetYears = years || await dataYears();
+
+  const insert = `
+    INSERT INTO monthly_rollups (
+      data_year, month, hankintayksikko, hankintayksikko_tunnus, ylaorganisaatio_tunnus,
+      hankintakategoria, supplier_id, sektori, source_id,
+      total_value, line_count, invoice_count, first_invoice_count
+    )
+    WITH first_lines AS (
+      SELECT MIN(id) as id
+      FROM procurement_invoices
+      WHERE data_year = @year
+      GROUP BY lasku_id
+    ),
+    first_category_lines AS (
+      SELECT MIN(id) as id
+      FROM procurement_invoices
+      WHERE data_year = @year
+      GROUP BY lasku_id, hankintakategoria
+    )
+    SELECT
+      p.data_year, substr(p.tositepvm, 1, 7), p.hankintayksikko, p.hankintayksikko_tunnus,
+      p.ylaorganisaatio_tunnus, p.hankintakategoria, p.supplier_id, p.sektori, p.source_id,
+      SUM(p.tiliointisumma), COUNT(*), COUNT(c.id), COUNT(f.id)
+    FROM procurement_invoices p
+    LEFT JOIN first_category_lines c ON c.id = p.id
+    LEFT JOIN first_lines f ON f.id = p.id
+    WHERE p.data_year = @year
+    GROUP BY 1, 2, 3, 4, 5, 6, 7, 8, 9
+  `;
+
+  await db.transaction(async (tx) => {
+    // Rebuilding everything also drops years that no longer have data
+    if (!years) {
+      await tx.prepare('DELETE FROM monthly_rollups').run();
+    }
+    for (const year of targetYears) {
+      await tx.prepare('DELETE FROM monthly_rollups WHERE data_year = ?').run(year);
+      await tx.prepare(insert).run({ year });
+    }
+  });
+
+  return targetYears;
+}
+
+/**
+ * Distinct data years in procurement_invoices, found with one index seek
+ * per year instead of a scan
+ */
+function dataYears() {
+  return db.prepare(`
+    WITH RECURSIVE years(year) AS (
+      SELECT MIN(data_year) FROM procurement_invoices
+      UNION ALL
+      SELECT (SELECT MIN(data_year) FROM procurement_invoices WHERE data_year > year)
+      FROM years WHERE year IS NOT NULL
+    )
+    SELECT year FROM years WHERE year IS NOT NULL
+  `).pluck().all();
+}
+
+/**
+ * Years with data but no rollups yet, e.g. after upgrading an existing
+ * database
+ */
+export async function yearsMissingRollups() {
+  const rolledUp = new Set(await db.prepare('SELECT DISTINCT data_year FROM monthly_rollups').pluck().all());
+  return (await dataYears()).filter(year => !rolledUp.has(year));
+}
+
+/**
+ * Whether the rollups cover a year (or every year with data when no year is
+ * given), so reads may use them instead of procurement_invoices
+ */
+export async function rollupsAvailable(year = null) {
+  if (year !== null) {
+    return Boolean(await db.prepare('SELECT 1 FROM monthly_rollups WHERE data_year = ? LIMIT 1').get(year));
+  }
+  return (await yearsMissingRollups()).length === 0;
+}
+
+/**
+ * Dashboard statistics from the rollups, in the shape of /api/procurement/stats
+ */
+export async function getRollupStats(year = null) {
+  const yearCondition = year !== null ? 'WHERE data_year = ?' : '';
+  const yearParam = year !== null ? [year] : [];
+
+  const totals = await db.prepare(`
+    SELECT
+      COALESCE(SUM(total_value), 0) as "totalValue",
+      COALESCE(SUM(first_invoice_count), 0) as "totalInvoices",
+      COALESCE(SUM(line_count), 0) as "totalLines",
+      COUNT(DISTINCT supplier_id) as "uniqueSuppliers"
+    FROM monthly_rollups
+    ${yearCondition}
+  `).get(yearParam);
+
+  return {
+    totalValue: totals.totalValue,
+    totalInvoices: totals.totalInvoices,
+    totalLines: totals.totalLines,
+    averageInvoice: totals.totalInvoices > 0 ? totals.totalValue / totals.totalInvoices : 0,
+    uniqueSuppliers: totals.uniqueSuppliers,
+
+    topCategories: await db.prepare(`
+      SELECT
+        hankintakategoria as category,
+        SUM(invoice_count) as count,
+        SUM(total_value) as total_value
+      FROM monthly_rollups
+      ${yearCondition}
+      GROUP BY hankintakategoria
+      ORDER BY total_value DESC
+      LIMIT 10
+    `).all(yearParam),
+
+    topSuppliers: await db.prepare(`
+      SELECT
+        s.id as supplier_id,
+        s.canonical_name as supplier,
+        s.business_id as business_id,
+        t.invoice_count,
+        t.total_value
+      FROM (
+        SELECT
+          supplier_id,
+          SUM(first_invoice_count) as invoice_count,
+          SUM(total_value) as total_value
+        FROM monthly_rollups
+        WHERE supplier_id IS NOT NULL
+        ${yearCondition ? 'AND data_year = ?' : ''}
+        GROUP BY supplier_id
+        ORDER BY total_value DESC
+        LIMIT 10
+      ) t
+      JOIN suppliers s ON s.id = t.supplier_id
+      ORDER BY t.total_value DESC
+    `).all(yearParam)
+  };
+}
+
+export default {
+  refreshRollups,
+  yearsMissingRollups,
+  rollupsAvailable,
+  getRollupStats
+};
@@ -0,0 +1,135 @@
+import { Cron } from 'croner';
+import { getConfig, setConfig } from './database.js';
+import { updateProcurementData } from './data-updater.js';
+
+const DEFAULT_SCHEDULE = '0 2 * * 1';
+
+let job = null;
+let running = false;
+
+/**
+ * Run the download and import workflow once.
+ * Returns null if a run is already in progress (runs never overlap).
+ */
+export async function runScheduledUpdate(options = {}) {
+  if (running) {
+    console.warn('⏭️  Data update already running, skipping this run');
+    return null;
+  }
+
+  running = true;
+  try {
+    await setConfig('last_update_status', 'running');
+    await setConfig('last_update_started_at', new Date().toISOString());
+    await setConfig('last_update_error', null);
+
+    const { importResults, changes } = await updateProcurementData(options);
+    const failed = importResults.filter(r => !r.success);
+
+    await setConfig('last_update_changes', JSON.stringify(changes));
+
+    await setConfig('last_update_status', failed.length > 0 ? 'partial' : 'success');
+    if (failed.length > 0) {
+      await setConfig('last_update_error', `Failed to import: ${failed.map(r => r.filename).join(', ')}`);
+    }
+    return importResults;
+  } catch (error) {
+    // Log and record the failure, but keep the API running
+    console.error('❌ Scheduled data update failed:', error.message);
+    await recordStatus(async () => {
+      await setConfig('last_update_status', 'failed');
+      await setConfig('last_update_error', error.message);
+    });
+    return null;
+  } finally {
+    running = false;
+    await recordStatus(async () => {
+      await setConfig('last_update_finished_at', new Date().toISOString());
+      await recordNextRun();
+    });
+  }
+}
+
+/**
+ * Write run status to system_config, logging failures instead of throwing:
+ * the run is over either way, and croner would not handle the rejection
+ */
+async function recordStatus(write) {
+  try {
+    await write();
+  } catch (error) {
+    console.error('Error recording data update status:', error.message);
+  }
+}
+
+/**
+ * Start the in-process update scheduler using UPDATE_SCHEDULE (cron format).
+ * Set UPDATE_SCHEDULE=off to disable it.
+ */
+export async function startScheduler() {
+  const schedule = (process.env.UPDATE_SCHEDULE || DEFAULT_SCHEDULE).trim();
+
+  if (schedule === 'off' || schedule === 'false') {
+    console.log('⏸️  Scheduled data updates disabled');
+    await setConfig('next_update_at', null);
+    return null;
+  }
+
+  // A run left as 'running' means the previous process died mid-update
+  if (await getConfig('last_update_status') === 'running') {
+    await setConfig('last_update_status', 'interrupted');
+  }
+
+  job = new Cron(schedule, {
+    name: 'data-update',
+    timezone: process.env.UPDATE_TIMEZONE || undefined,
+    protect: true
+  }, () => runScheduledUpdate());
+
+  await setConfig('update_schedule', schedule);
+  await recordNextRun();
+
+  console.log(`⏰ Scheduled data updates: ${schedule} (next: ${await getConfig('next_update_at')})`);
+  return job;
+}
+
+/**
+ * Stop the scheduler
+ */
+export function stopScheduler() {
+  if (job) {
+    job.stop();
+    job = null;
+  }
+}
+
+/**
+ * Current scheduler state as recorded in system_config
+ */
+export async function getSchedulerStatus() {
+  return {
+    enabled: job !== null,
+    schedule: job ? await getConfig('update_schedule') : null,
+    running,
+    nextRun: await getConfig('next_update_at'),
+    lastRun: {
+      status: await getConfig('last_update_status'),
+      startedAt: await getConfig('last_update_started_at'),
+      finishedAt: await getConfig('last_update_finished_at'),
+      error: await getConfig('last_update_error'),
+      changes: JSON.parse(await getConfig('last_update_changes', 'null'))
+    }
+  };
+}
+
+async function recordNextRun() {
+  const next = job ? job.nextRun() : null;
+  await setConfig('next_update_at', next ? next.toISOString() : null);
+}
+
+export default {
+  runScheduledUpdate,
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus
+};
@@ -0,0 +1,202 @@
+import { db, dialect, SEARCH_COLUMNS } from './database.js';
+
+const MAX_TERMS = 10;
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+
+// Full-text SQL of each backend: FTS5 tables (invoice_search and
+// search_suggestions) in SQLite, tsvector columns with the fpapi text search
+// configuration in PostgreSQL. Ranks sort best first in ascending order.
+const FULL_TEXT = {
+  sqlite: {
+    query: terms => terms.map(term => `"${term}"*`).join(' '),
+    lineCondition: param => `id IN (SELECT rowid FROM invoice_search WHERE invoice_search MATCH ${param})`,
+    rankedLines: param => `
+      SELECT rowid as search_id, rank as search_rank
+      FROM invoice_search
+      WHERE invoice_search MATCH ${param}`,
+    highlights: () => `
+      SELECT rowid as id, ${SEARCH_COLUMNS.map((column, index) =>
+        `highlight(invoice_search, ${index}, @open, @close) as ${column}`).join(', ')}
+      FROM invoice_search
+      WHERE invoice_search MATCH @match
+        AND rowid IN ${dialect.jsonValues('@ids')}`,
+    suggestionCondition: param => `search_suggestions MATCH ${param}`,
+    suggestionRank: () => 'rank'
+  },
+  postgres: {
+    query: terms => terms.map(term => `${term}:*`).join(' & '),
+    lineCondition: param => `search_vector @@ to_tsquery('fpapi', ${param})`,
+    rankedLines: param => `
+      SELECT id as search_id, -ts_rank(search_vector, to_tsquery('fpapi', ${param})) as search_rank
+      FROM procurement_invoices
+      WHERE search_vector @@ to_tsquery('fpapi', ${param})`,
+    highlights: () => `
+      SELECT id, ${SEARCH_COLUMNS.map(column =>
+        `ts_headline('fpapi', ${column}, to_tsquery('fpapi', @match),
+          'HighlightAll=true, StartSel=' || @open || ', StopSel=' || @close) as ${column}`).join(', ')}
+      FROM procurement_invoices
+      WHERE id IN ${dialect.jsonValues('@ids')}`,
+    suggestionCondition: param => `name_vector @@ to_tsquery('fpapi', ${param})`,
+    suggestionRank: param => `-ts_rank(name_vector, to_tsquery('fpapi', ${param}))`
+  }
+}[dialect.name];
+
+/**
+ * Turn free text into a full-text query: every word must match, each as a
+ * prefix. Punctuation and query operators are dropped so user input can
+ * never produce a syntax error. Returns null if nothing searchable remains.
+ */
+export function toMatchQuery(text) {
+  const terms = String(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+
+  if (terms.length === 0) {
+    return null;
+  }
+  return FULL_TEXT.query(terms);
+}
+
+/**
+ * Condition on procurement_invoices selecting lines that match the query
+ * in the given parameter
+ */
+export function searchCondition(param) {
+  return FULL_TEXT.lineCondition(param);
+}
+
+/**
+ * Subquery of the lines matching the query in the given parameter, as
+ * search_id and search_rank (lower is more relevant)
+ */
+export function rankedMatches(param) {
+  return FULL_TEXT.rankedLines(param);
+}
+
+/**
+ * Attach highlighted matches to posting lines returned by a q= search.
+ * Each row gets highlight: { column: text with <mark> tags } for the
+ * columns that matched.
+ */
+export async function attachHighlights(rows, match) {
+  const ids = rows.map(row => row.id);
+  if (ids.length === 0) {
+    return rows;
+  }
+
+  const byId = new Map((await db.prepare(FULL_TEXT.highlights())
+    .all({ match, ids: JSON.stringify(ids), open: HIGHLIGHT_OPEN, close: HIGHLIGHT_CLOSE }))
+    .map(row => [row.id, row]));
+
+  return rows.map(row => {
+    const found = byId.get(row.id);
+    const highlight = {};
+    for (const column of SEARCH_COLUMNS) {
+      if (found && found[column] && found[column].includes(HIGHLIGHT_OPEN)) {
+        highlight[column] = found[column];
+      }
+    }
+    return { ...row, highlight };
+  });
+}
+
+/**
+ * Rebuild the typeahead index from suppliers (every name variant, pointing
+ * at the canonical supplier), procurement units and categories
+ */
+export async function refreshSuggestIndex() {
+  await db.transaction(async (tx) => {
+    await tx.exec(`
+      DELETE FROM search_suggestions;
+
+      INSERT INTO search_suggestions (name, kind, ref, line_count)
+      SELECT sn.name, 'supplier', sn.supplier_id, t.line_count
+      FROM supplier_names sn
+      JOIN (
+        SELECT supplier_id, SUM(line_count) as line_count
+        FROM supplier_names
+        GROUP BY supplier_id
+      ) t ON t.supplier_id = sn.supplier_id;
+
+      INSERT INTO search_suggestions (name, kind, ref, line_count)
+      SELECT MAX(hankintayksikko), 'unit', COALESCE(hankintayksikko_tunnus, hankintayksikko), COUNT(*)
+      FROM procurement_invoices
+      GROUP BY COALESCE(hankintayksikko_tunnus, hankintayksikko);
+
+      INSERT INTO search_suggestions (name, kind, ref, line_count)
+      SELECT hankintakategoria, 'category', hankintakategoria, COUNT(*)
+      FROM procurement_invoices
+      GROUP BY hankintakategoria;
+    `);
+  });
+
+  return (await db.prepare('SELECT COUNT(*) as count FROM search_suggestions').get()).count;
+}
+
+/**
+ * Best matches of one kind, ranked by relevance and then by line count.
+ * Supplier name variants collapse onto their canonical supplier, so a few
+ * extra rows are read to fill the limit.
+ */
+async function suggestKind(kind, match, limit) {
+  const rows = await db.prepare(`
+    SELECT ref, name, CAST(line_count AS INTEGER) as count
+    FROM search_suggestions
+    WHERE ${FULL_TEXT.suggestionCondition('@match')} AND kind = @kind
+    ORDER BY ${FULL_TEXT.suggestionRank('@match')}, count DESC
+    LIMIT @scan
+  `).all({ match, kind, scan: limit * 5 });
+
+  const seen = new Set();
+  return rows.filter(row => {
+    if (seen.has(row.ref)) return false;
+    seen.add(row.ref);
+    return true;
+  }).slice(0, limit);
+}
+
+/**
+ * Typeahead suggestions for a partial query: matching suppliers, units and
+ * categories with their posting line counts
+ */
+export async function suggest(text, { limit = 5 } = {}) {
+  const match = toMatchQuery(text);
+  if (!match) {
+    return { suppliers: [], units: [], categories: [] };
+  }
+
+  const supplierRows = await suggestKind('supplier', match, limit);
+  const suppliers = supplierRows.length === 0 ? [] : await db.prepare(`
+    SELECT id, canonical_name as name, business_id as "businessId"
+    FROM suppliers
+    WHERE id IN ${dialect.jsonValues('?')}
+  `).all(JSON.stringify(supplierRows.map(row => Number(row.ref))));
+  const supplierById = new Map(suppliers.map(s => [s.id, s]));
+
+  return {
+    suppliers: supplierRows
+      .filter(row => supplierById.has(Number(row.ref)))
+      .map(row => ({ ...supplierById.get(Number(row.ref)), count: row.count })),
+    // Units without a tunnus are keyed by name, which /api/units/:id accepts
+    units: (await suggestKind('unit', match, limit)).map(row => ({
+      id: row.ref,
+      name: row.name,
+      count: row.count
+    })),
+    categories: (await suggestKind('category', match, limit)).map(row => ({
+      name: row.name,
+      count: row.count
+    }))
+  };
+}
+
+export default {
+  toMatchQuery,
+  searchCondition,
+  rankedMatches,
+  attachHighlights,
+  refreshSuggestIndex,
+  suggest
+};
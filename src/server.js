@@ -3,7 +3,27 @@ import cors from 'cors';
 import compression from 'compression';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import { db, initializeDatabase, getDatabaseStats } from './database.js';
+import { fileURLToPath } from 'url';
+import { db, getDatabaseStats } from './database.js';
+import { checkSchemaVersion } from './migrations.js';
+import { startScheduler, getSchedulerStatus } from './scheduler.js';
+import { listImportRuns, getImportRun } from './import-report.js';
+import { ANOMALY_TYPES, listAnomalies } from './anomalies.js';
+import { THRESHOLD_STATUSES, analyzeThresholds, thresholdNames } from './thresholds.js';
+import { CONCENTRATION_DIMENSIONS, CONCENTRATION_SORT_FIELDS, listConcentration, getConcentrationTrend } from './concentration.js';
+import { buildInvoiceFilters } from './invoice-filters.js';
+import { buildInvoiceQuery, toWhereClause } from './invoice-query.js';
+import { EXPORT_FORMATS, parseExportOptions, exportFileName, streamInvoiceExport } from './export.js';
+import { attachHighlights, suggest } from './search.js';
+import { decodeCursor, encodeCursor, keysetCondition, sortClauses, parseInteger, parseNumber, parsePagination, TOTAL_ESTIMATE_CAP } from './pagination.js';
+import { parseAggregationQuery, aggregate } from './aggregation.js';
+import { rollupsAvailable, getRollupStats } from './rollups.js';
+import { getDatasetVersion, conditionalGet, cached } from './cache.js';
+import { apiKeyAuth, generalLimiter, heavyLimiter } from './rate-limit.js';
+import { flushApiKeyUsage } from './api-keys.js';
+import { getDatasetSourceSummaries } from './dataset-sources.js';
+import { attachCanonicalSuppliers, searchSuppliers, getSupplierProfile } from './suppliers.js';
+import { getUnitProfile, getOrganizationProfile, listOrganizations } from './organizations.js';
 
 dotenv.config();
 
@@ -16,10 +36,18 @@ const allowedOrigins = [
   'http://localhost:3000',      // Alternative local port
   'http://localhost:4173',      // Vite preview
   process.env.FRONTEND_URL,     // Production frontend URL from environment
-  // Add your Vercel domain when deployed, e.g.:
-  // 'https://paymentfinder.vercel.app',
-  // 'https://your-custom-domain.com'
-];
+  // Further comma-separated origins, e.g. your Vercel and custom domains
+  ...(process.env.CORS_ORIGINS || '').split(',').map(o => o.trim())
+].filter(Boolean);
+
+// Client IPs for rate limiting come from X-Forwarded-For only behind a
+// trusted proxy: a hop count, "true", or addresses as Express accepts them.
+// Railway puts one proxy in front of every service, so one hop is trusted
+// there unless TRUST_PROXY says otherwise ("false" turns it off).
+const trustProxy = process.env.TRUST_PROXY || (process.env.RAILWAY_ENVIRONMENT_NAME ? '1' : 'false');
+if (trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
 // Middleware
 app.use(helmet());
@@ -28,16 +56,19 @@ app.use(cors({
     // Allow requests with no origin (like mobile apps or curl)
     if (!origin) return callback(null, true);
     
-    if (allowedOrigins.indexOf(origin) !== -1 || allowedOrigins.includes(undefined)) {
+    if (allowedOrigins.includes(origin)) {
       callback(null, true);
-    } else {
+    } else if (process.env.NODE_ENV === 'production') {
       console.warn(`CORS blocked origin: ${origin}`);
-      callback(null, true); // Allow all origins in development, restrict in production
+      callback(null, false);
+    } else {
+      callback(null, true); // Any origin may call a development server
     }
   },
   credentials: true,
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key'],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 app.use(compression());
 app.use(express.json());
@@ -52,8 +83,22 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize database
-initializeDatabase();
+// Quotas per API key or client IP; exports and aggregations get a stricter one
+app.use('/api', apiKeyAuth, generalLimiter);
+app.use(['/api/procurement/invoices/export', '/api/procurement/aggregate'], heavyLimiter);
+
+// Dataset responses only change when an import bumps the dataset version or
+// the config changes: conditional requests get 304s, and a few expensive
+// results are cached
+app.use([
+  '/api/procurement',
+  '/api/search',
+  '/api/suppliers',
+  '/api/units',
+  '/api/organizations',
+  '/api/anomalies',
+  '/api/analysis'
+], conditionalGet);
 
 // ==================== API ROUTES ====================
 
@@ -61,16 +106,18 @@ initializeDatabase();
  * GET /api/health
  * Health check endpoint
  */
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   try {
-    const stats = getDatabaseStats();
+    const stats = await getDatabaseStats();
     res.json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
       database: {
         connected: true,
         ...stats
-      }
+      },
+      dataset: await getDatasetVersion(),
+      updates: await getSchedulerStatus()
     });
   } catch (error) {
     res.status(500).json({
@@ -82,115 +129,119 @@ app.get('/api/health', (req, res) => {
 
 /**
  * GET /api/procurement/invoices
- * Get procurement invoices with filtering
+ * Get procurement invoices with filtering.
+ * level=line (default) returns posting lines, level=invoice whole invoices.
+ * q= full-text searches; matching lines are ranked and highlighted.
+ * sort= orders by whitelisted fields; cursor= pages by keyset.
  */
-app.get('/api/procurement/invoices', (req, res) => {
+app.get('/api/procurement/invoices', async (req, res) => {
   try {
-    const {
-      limit = 100,
-      offset = 0,
-      supplier,
-      category,
-      city,
-      minAmount,
-      maxAmount,
-      startDate,
-      endDate,
-      sector,
-      procurementUnit,
-      year
-    } = req.query;
-
-    // Build WHERE clause dynamically
-    const conditions = [];
-    const params = {};
-
-    if (supplier) {
-      conditions.push('(toimittaja_nimi LIKE @supplier OR toimittaja_y_tunnus LIKE @supplier)');
-      params.supplier = `%${supplier}%`;
-    }
+    const { cursor } = req.query;
 
-    if (category) {
-      conditions.push('hankintakategoria LIKE @category');
-      params.category = `%${category}%`;
-    }
-
-    if (city) {
-      conditions.push('toimittaja_kunta LIKE @city');
-      params.city = `%${city}%`;
-    }
-
-    if (minAmount) {
-      conditions.push('tiliointisumma >= @minAmount');
-      params.minAmount = parseFloat(minAmount);
-    }
-
-    if (maxAmount) {
-      conditions.push('tiliointisumma <= @maxAmount');
-      params.maxAmount = parseFloat(maxAmount);
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
     }
 
-    if (startDate) {
-      conditions.push('tositepvm >= @startDate');
-      params.startDate = startDate;
+    // The full count is only needed for the first page by default
+    const totalMode = req.query.total || (cursor ? 'none' : 'exact');
+    if (!['exact', 'estimate', 'none'].includes(totalMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'total must be "exact", "estimate" or "none"'
+      });
     }
 
-    if (endDate) {
-      conditions.push('tositepvm <= @endDate');
-      params.endDate = endDate;
+    // Build the query from level, filters and sort
+    const invoiceQuery = buildInvoiceQuery(req.query);
+    if (invoiceQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: invoiceQuery.error
+      });
     }
+    const { level, sort, params, source, where, columns } = invoiceQuery;
 
-    if (sector) {
-      conditions.push('sektori = @sector');
-      params.sector = sector;
+    // Total count: exact, capped estimate, or skipped
+    let total = null;
+    if (totalMode !== 'none') {
+      const countQuery = totalMode === 'exact'
+        ? `SELECT COUNT(*) as total FROM ${source} ${toWhereClause(where)}`
+        : `SELECT COUNT(*) as total FROM (SELECT 1 FROM ${source} ${toWhereClause(where)} LIMIT ${TOTAL_ESTIMATE_CAP + 1}) capped`;
+      total = (await db.prepare(countQuery).get(params)).total;
     }
-
-    if (procurementUnit) {
-      conditions.push('hankintayksikko LIKE @procurementUnit');
-      params.procurementUnit = `%${procurementUnit}%`;
+    const totalExact = totalMode === 'exact' || (total !== null && total <= TOTAL_ESTIMATE_CAP);
+    if (!totalExact && total !== null) {
+      total = TOTAL_ESTIMATE_CAP;
     }
 
-    if (year) {
-      conditions.push('data_year = @year');
-      params.year = parseInt(year);
+    // A cursor continues after the last row of the previous page and
+    // replaces offset
+    let keyset = { condition: null, params: {} };
+    if (cursor) {
+      const decoded = decodeCursor(cursor, sort, level);
+      if (decoded.error) {
+        return res.status(400).json({
+          success: false,
+          error: decoded.error
+        });
+      }
+      keyset = keysetCondition(sort, decoded.values);
     }
 
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM procurement_invoices ${whereClause}`;
-    const countStmt = db.prepare(countQuery);
-    const { total } = countStmt.get(params);
+    const pageSize = pagination.limit;
+    const pageOffset = cursor ? 0 : pagination.offset;
+    const { orderBy, select: sortSelect } = sortClauses(sort);
 
-    // Get paginated results
+    // Get paginated results, reading one extra row to know if more follow
     const dataQuery = `
-      SELECT 
-        lasku_id, hankintayksikko, hankintayksikko_tunnus,
-        ylaorganisaatio, ylaorganisaatio_tunnus,
-        toimittaja_y_tunnus, toimittaja_nimi, toimittaja_kunta,
-        tili, hankintakategoria, tuote_palveluryhma,
-        tositepvm, tiliointisumma, sektori
-      FROM procurement_invoices
-      ${whereClause}
-      ORDER BY tositepvm DESC
+      SELECT ${columns.join(', ')}, ${sortSelect}
+      FROM ${source}
+      ${toWhereClause(keyset.condition ? [...where, keyset.condition] : where)}
+      ORDER BY ${orderBy}
       LIMIT @limit OFFSET @offset
     `;
 
     const dataStmt = db.prepare(dataQuery);
-    const invoices = dataStmt.all({
+    const rows = await dataStmt.all({
       ...params,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      ...keyset.params,
+      limit: pageSize + 1,
+      offset: pageOffset
     });
 
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor(sort, level, sort.map((_, i) => last[`sort_${i}`]))
+      : null;
+
+    let invoices = await attachCanonicalSuppliers(page.map(row => {
+      const invoice = { ...row };
+      sort.forEach((_, i) => delete invoice[`sort_${i}`]);
+      return invoice;
+    }));
+
+    if (params.q && level === 'line') {
+      invoices = (await attachHighlights(invoices, params.q)).map(({ id: _id, ...invoice }) => invoice);
+    }
+
     res.json({
       success: true,
       data: invoices,
+      level,
+      sort: sort.filter(s => s.field !== '_key').map(s => `${s.field}:${s.direction}`),
       pagination: {
         total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: (parseInt(offset) + parseInt(limit)) < total
+        totalExact,
+        limit: pageSize,
+        offset: pageOffset,
+        hasMore,
+        nextCursor
       },
       timestamp: new Date().toISOString()
     });
@@ -203,47 +254,104 @@ app.get('/api/procurement/invoices', (req, res) => {
   }
 });
 
+/**
+ * GET /api/procurement/invoices/export
+ * Stream every row matching the invoice filters as CSV, NDJSON, XLSX or
+ * Parquet, up to EXPORT_MAX_ROWS
+ */
+app.get('/api/procurement/invoices/export', async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    const invoiceQuery = buildInvoiceQuery(req.query);
+    if (invoiceQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: invoiceQuery.error
+      });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[options.format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(invoiceQuery, options.format)}"`);
+    res.setHeader('X-Export-Row-Limit', String(options.limit));
+
+    const count = await streamInvoiceExport(res, invoiceQuery, options);
+    console.log(`📤 Exported ${count.toLocaleString()} rows as ${options.format}`);
+  } catch (error) {
+    console.error('Error exporting invoices:', error);
+    if (res.headersSent) {
+      // The body is already partly written; cut it off so the client sees an error
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/procurement/stats
  * Get procurement statistics
  */
-app.get('/api/procurement/stats', (req, res) => {
+app.get('/api/procurement/stats', async (req, res) => {
   try {
-    const { year } = req.query;
+    const year = parseInteger(req.query.year, 'year');
+    if (year.error) {
+      return res.status(400).json({
+        success: false,
+        error: year.error
+      });
+    }
 
-    const yearCondition = year ? 'WHERE data_year = ?' : '';
-    const yearParam = year ? [parseInt(year)] : [];
+    const yearValue = year.value;
+    const yearCondition = yearValue !== null ? 'WHERE data_year = ?' : '';
+    const yearParam = yearValue !== null ? [yearValue] : [];
 
-    const stats = {
-      totalValue: db.prepare(`
+    // Monthly rollups answer the same questions without scanning every line
+    const stats = await cached(req.originalUrl, async () => await rollupsAvailable(yearValue) ? getRollupStats(yearValue) : {
+      totalValue: (await db.prepare(`
         SELECT COALESCE(SUM(tiliointisumma), 0) as value
         FROM procurement_invoices
         ${yearCondition}
-      `).get(yearParam).value,
+      `).get(yearParam)).value,
 
-      totalInvoices: db.prepare(`
+      totalInvoices: (await db.prepare(`
+        SELECT COUNT(DISTINCT lasku_id) as count
+        FROM procurement_invoices
+        ${yearCondition}
+      `).get(yearParam)).count,
+
+      totalLines: (await db.prepare(`
         SELECT COUNT(*) as count
         FROM procurement_invoices
         ${yearCondition}
-      `).get(yearParam).count,
+      `).get(yearParam)).count,
 
-      averageInvoice: db.prepare(`
-        SELECT COALESCE(AVG(tiliointisumma), 0) as avg
+      averageInvoice: (await db.prepare(`
+        SELECT COALESCE(SUM(tiliointisumma) * 1.0 / NULLIF(COUNT(DISTINCT lasku_id), 0), 0) as avg
         FROM procurement_invoices
         ${yearCondition}
-      `).get(yearParam).avg,
+      `).get(yearParam)).avg,
 
-      uniqueSuppliers: db.prepare(`
-        SELECT COUNT(DISTINCT toimittaja_nimi) as count
+      uniqueSuppliers: (await db.prepare(`
+        SELECT COUNT(DISTINCT supplier_id) as count
         FROM procurement_invoices
-        WHERE toimittaja_nimi IS NOT NULL
+        WHERE supplier_id IS NOT NULL
         ${yearCondition ? 'AND data_year = ?' : ''}
-      `).get(yearParam).count,
+      `).get(yearParam)).count,
 
-      topCategories: db.prepare(`
+      topCategories: await db.prepare(`
         SELECT 
           hankintakategoria as category,
-          COUNT(*) as count,
+          COUNT(DISTINCT lasku_id) as count,
           SUM(tiliointisumma) as total_value
         FROM procurement_invoices
         ${yearCondition}
@@ -252,25 +360,34 @@ app.get('/api/procurement/stats', (req, res) => {
         LIMIT 10
       `).all(yearParam),
 
-      topSuppliers: db.prepare(`
+      topSuppliers: await db.prepare(`
         SELECT 
-          toimittaja_nimi as supplier,
-          toimittaja_y_tunnus as business_id,
-          COUNT(*) as invoice_count,
-          SUM(tiliointisumma) as total_value
-        FROM procurement_invoices
-        WHERE toimittaja_nimi IS NOT NULL
-        ${yearCondition ? 'AND data_year = ?' : ''}
-        GROUP BY toimittaja_nimi, toimittaja_y_tunnus
-        ORDER BY total_value DESC
-        LIMIT 10
+          s.id as supplier_id,
+          s.canonical_name as supplier,
+          s.business_id as business_id,
+          t.invoice_count,
+          t.total_value
+        FROM (
+          SELECT
+            supplier_id,
+            COUNT(DISTINCT lasku_id) as invoice_count,
+            SUM(tiliointisumma) as total_value
+          FROM procurement_invoices
+          WHERE supplier_id IS NOT NULL
+          ${yearCondition ? 'AND data_year = ?' : ''}
+          GROUP BY supplier_id
+          ORDER BY total_value DESC
+          LIMIT 10
+        ) t
+        JOIN suppliers s ON s.id = t.supplier_id
+        ORDER BY t.total_value DESC
       `).all(yearParam)
-    };
+    }, res.locals.cacheVersion);
 
     res.json({
       success: true,
       data: stats,
-      year: year ? parseInt(year) : 'all',
+      year: yearValue !== null ? yearValue : 'all',
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -282,18 +399,62 @@ app.get('/api/procurement/stats', (req, res) => {
   }
 });
 
+/**
+ * GET /api/procurement/aggregate
+ * Aggregate posting lines by whitelisted dimensions and an optional time
+ * bucket. Accepts the same filters as /api/procurement/invoices.
+ */
+app.get('/api/procurement/aggregate', async (req, res) => {
+  try {
+    const options = parseAggregationQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    const filters = buildInvoiceFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        error: filters.error
+      });
+    }
+
+    const { rows, fromRollups } = await cached(req.originalUrl, () => aggregate(options, filters), res.locals.cacheVersion);
+
+    res.json({
+      success: true,
+      data: rows,
+      groupBy: options.groupBy,
+      bucket: options.bucket,
+      measures: options.measures,
+      count: rows.length,
+      fromRollups,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error aggregating invoices:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/procurement/categories
  * Get unique procurement categories
  */
-app.get('/api/procurement/categories', (req, res) => {
+app.get('/api/procurement/categories', async (req, res) => {
   try {
-    const categories = db.prepare(`
+    const categories = await cached(req.originalUrl, () => db.prepare(`
       SELECT DISTINCT hankintakategoria as category
       FROM procurement_invoices
       WHERE hankintakategoria IS NOT NULL
       ORDER BY hankintakategoria
-    `).all();
+    `).all(), res.locals.cacheVersion);
 
     res.json({
       success: true,
@@ -313,14 +474,14 @@ app.get('/api/procurement/categories', (req, res) => {
  * GET /api/procurement/cities
  * Get unique supplier cities
  */
-app.get('/api/procurement/cities', (req, res) => {
+app.get('/api/procurement/cities', async (req, res) => {
   try {
-    const cities = db.prepare(`
+    const cities = await cached(req.originalUrl, () => db.prepare(`
       SELECT DISTINCT toimittaja_kunta as city
       FROM procurement_invoices
       WHERE toimittaja_kunta IS NOT NULL
       ORDER BY toimittaja_kunta
-    `).all();
+    `).all(), res.locals.cacheVersion);
 
     res.json({
       success: true,
@@ -340,14 +501,14 @@ app.get('/api/procurement/cities', (req, res) => {
  * GET /api/procurement/units
  * Get unique procurement units
  */
-app.get('/api/procurement/units', (req, res) => {
+app.get('/api/procurement/units', async (req, res) => {
   try {
-    const units = db.prepare(`
+    const units = await cached(req.originalUrl, () => db.prepare(`
       SELECT DISTINCT hankintayksikko as unit
       FROM procurement_invoices
       WHERE hankintayksikko IS NOT NULL
       ORDER BY hankintayksikko
-    `).all();
+    `).all(), res.locals.cacheVersion);
 
     res.json({
       success: true,
@@ -363,6 +524,609 @@ app.get('/api/procurement/units', (req, res) => {
   }
 });
 
+/**
+ * GET /api/search/suggest
+ * Typeahead: suppliers, units and categories matching a partial query
+ */
+app.get('/api/search/suggest', async (req, res) => {
+  try {
+    const { q = '' } = req.query;
+    const limit = parseInteger(req.query.limit, 'limit', { defaultValue: 5, min: 1, max: 20 });
+    if (limit.error) {
+      return res.status(400).json({
+        success: false,
+        error: limit.error
+      });
+    }
+
+    const data = await suggest(q, { limit: limit.value });
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/suppliers
+ * Search canonical suppliers by name, name variant or business ID
+ */
+app.get('/api/suppliers', async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
+    }
+    const { limit, offset } = pagination;
+
+    const { suppliers, total } = await searchSuppliers({
+      q: q || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: suppliers,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error searching suppliers:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/suppliers/:businessId
+ * Supplier profile by Y-tunnus (or supplier ID for suppliers without one)
+ */
+app.get('/api/suppliers/:businessId', async (req, res) => {
+  try {
+    const profile = await getSupplierProfile(req.params.businessId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching supplier profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/units/:id
+ * Procurement unit profile: category mix, top suppliers, monthly trend
+ * and supplier concentration
+ */
+app.get('/api/units/:id', async (req, res) => {
+  try {
+    const yearParam = parseInteger(req.query.year, 'year');
+    if (yearParam.error) {
+      return res.status(400).json({
+        success: false,
+        error: yearParam.error
+      });
+    }
+
+    const profile = await getUnitProfile(req.params.id, { year: yearParam.value });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Procurement unit not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching unit profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organizations
+ * Parent organisations with spend totals
+ */
+app.get('/api/organizations', async (req, res) => {
+  try {
+    const yearParam = parseInteger(req.query.year, 'year');
+    if (yearParam.error) {
+      return res.status(400).json({
+        success: false,
+        error: yearParam.error
+      });
+    }
+
+    const organizations = await listOrganizations({ year: yearParam.value });
+
+    res.json({
+      success: true,
+      data: organizations,
+      count: organizations.length,
+      year: yearParam.value || 'all',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:id
+ * Parent organisation profile rolling up all its procurement units
+ */
+app.get('/api/organizations/:id', async (req, res) => {
+  try {
+    const yearParam = parseInteger(req.query.year, 'year');
+    if (yearParam.error) {
+      return res.status(400).json({
+        success: false,
+        error: yearParam.error
+      });
+    }
+
+    const profile = await getOrganizationProfile(req.params.id, { year: yearParam.value });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching organization profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/anomalies
+ * Spending anomalies flagged after each import, with an explanation of why
+ * each one was flagged
+ */
+app.get('/api/anomalies', async (req, res) => {
+  try {
+    const {
+      type,
+      year,
+      supplierId,
+      unit,
+      category,
+      minAmount,
+      minScore
+    } = req.query;
+
+    const pagination = parsePagination(req.query);
+    const yearParam = parseInteger(year, 'year');
+    const supplierParam = parseInteger(supplierId, 'supplierId', { min: 1 });
+    const minAmountParam = parseNumber(minAmount, 'minAmount');
+    const minScoreParam = parseNumber(minScore, 'minScore');
+    const invalid = [pagination, yearParam, supplierParam, minAmountParam, minScoreParam].find(p => p.error);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid.error
+      });
+    }
+    const { limit, offset } = pagination;
+
+    const types = type ? String(type).split(',').map(t => t.trim()) : null;
+    const unknownType = types && types.find(t => !ANOMALY_TYPES.includes(t));
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown anomaly type "${unknownType}". Allowed: ${ANOMALY_TYPES.join(', ')}`
+      });
+    }
+
+    const { anomalies, total, byType } = await listAnomalies({
+      type: types,
+      year: yearParam.value,
+      supplierId: supplierParam.value,
+      unit: unit || null,
+      category: category || null,
+      minAmount: minAmountParam.value,
+      minScore: minScoreParam.value,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: anomalies,
+      byType,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/thresholds
+ * Unit, supplier and category combinations whose yearly spend crosses or
+ * nearly crosses a tendering threshold, or looks split to stay under one
+ */
+app.get('/api/analysis/thresholds', async (req, res) => {
+  try {
+    const {
+      unit,
+      supplierId,
+      category,
+      status,
+      threshold
+    } = req.query;
+
+    const pagination = parsePagination(req.query);
+    const yearParam = parseInteger(req.query.year, 'year');
+    const supplierParam = parseInteger(supplierId, 'supplierId', { min: 1 });
+    const invalid = [pagination, yearParam, supplierParam].find(p => p.error);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid.error
+      });
+    }
+    const { limit, offset } = pagination;
+
+    if (status && !THRESHOLD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status "${status}". Allowed: ${THRESHOLD_STATUSES.join(', ')}`
+      });
+    }
+
+    const names = thresholdNames();
+    if (threshold && !names.includes(threshold)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown threshold "${threshold}". Allowed: ${names.join(', ')}`
+      });
+    }
+
+    // Default to the latest data year
+    const year = yearParam.value
+      || (await db.prepare('SELECT MAX(data_year) as year FROM procurement_invoices').get()).year;
+
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        error: 'year is required when no data has been imported'
+      });
+    }
+
+    const report = await analyzeThresholds({
+      year,
+      unit: unit || null,
+      supplierId: supplierParam.value,
+      category: category || null,
+      status: status || null,
+      threshold: threshold || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: report.rows,
+      year,
+      summary: report.summary,
+      thresholds: report.thresholds,
+      pagination: {
+        total: report.total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < report.total
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error analysing thresholds:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/concentration
+ * Supplier concentration (HHI, top-1/top-5 share, supplier count) of every
+ * category, unit or sector in a year
+ */
+app.get('/api/analysis/concentration', async (req, res) => {
+  try {
+    const {
+      dimension = 'category',
+      minSuppliers,
+      minValue
+    } = req.query;
+
+    const pagination = parsePagination(req.query);
+    const yearParam = parseInteger(req.query.year, 'year');
+    const minSuppliersParam = parseInteger(minSuppliers, 'minSuppliers');
+    const minValueParam = parseNumber(minValue, 'minValue');
+    const invalid = [pagination, yearParam, minSuppliersParam, minValueParam].find(p => p.error);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid.error
+      });
+    }
+    const { limit, offset } = pagination;
+
+    if (!CONCENTRATION_DIMENSIONS[dimension]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown dimension "${dimension}". Allowed: ${Object.keys(CONCENTRATION_DIMENSIONS).join(', ')}`
+      });
+    }
+
+    const [sortField, sortDirection = 'desc'] = (req.query.sort || 'hhi:desc').split(':');
+    if (!CONCENTRATION_SORT_FIELDS[sortField] || !['asc', 'desc'].includes(sortDirection)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of ${Object.keys(CONCENTRATION_SORT_FIELDS).join(', ')}, optionally followed by :asc or :desc`
+      });
+    }
+
+    // Default to the latest year with metrics
+    const year = yearParam.value
+      || (await db.prepare('SELECT MAX(data_year) as year FROM concentration_metrics').get()).year;
+
+    const { rows, total } = await listConcentration({
+      dimension,
+      year,
+      minSuppliers: minSuppliersParam.value,
+      minValue: minValueParam.value,
+      sort: { field: sortField, direction: sortDirection },
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      dimension,
+      year,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching concentration metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/concentration/:dimension/:key
+ * Concentration trend of one category, unit or sector over the years
+ */
+app.get('/api/analysis/concentration/:dimension/:key', async (req, res) => {
+  try {
+    const { dimension, key } = req.params;
+
+    if (!CONCENTRATION_DIMENSIONS[dimension]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown dimension "${dimension}". Allowed: ${Object.keys(CONCENTRATION_DIMENSIONS).join(', ')}`
+      });
+    }
+
+    const trend = await getConcentrationTrend(dimension, key);
+    if (!trend) {
+      return res.status(404).json({
+        success: false,
+        error: `No concentration metrics for ${dimension} "${key}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: trend,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching concentration trend:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sources
+ * Registered dataset sources with what has been imported from each.
+ * Pass a source's id as source= to filter invoices, exports and aggregates.
+ */
+app.get('/api/sources', async (req, res) => {
+  try {
+    const sources = await getDatasetSourceSummaries();
+
+    res.json({
+      success: true,
+      data: sources,
+      count: sources.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching dataset sources:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/imports
+ * List import runs with accepted/rejected counts
+ */
+app.get('/api/imports', async (req, res) => {
+  try {
+    const { resource, status } = req.query;
+
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
+    }
+    const { limit, offset } = pagination;
+
+    const { runs, total } = await listImportRuns({
+      limit,
+      offset,
+      resourceId: resource || null,
+      status: status || null
+    });
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching import runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/imports/:id
+ * Import run detail: quality report and quarantined rows
+ */
+app.get('/api/imports/:id', async (req, res) => {
+  try {
+    const { reason } = req.query;
+
+    const id = parseInteger(req.params.id, 'id', { min: 1 });
+    if (id.error) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import run not found'
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
+    }
+
+    const run = await getImportRun(id.value, {
+      limit: pagination.limit,
+      offset: pagination.offset,
+      reason: reason || null
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching import run:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -382,32 +1146,64 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log('\n🚀 Procurement Data API Server');
-  console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`   Port: ${PORT}`);
-  console.log(`   Health: http://localhost:${PORT}/api/health`);
-  console.log(`   API: http://localhost:${PORT}/api/procurement/invoices`);
-  console.log('\n');
-  
-  // Log database stats
+// Start the server when run directly; tests import the app instead
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  // The schema is migrated by npm run migrate, never implicitly: refuse to
+  // serve a database the code was not written for
   try {
-    const stats = getDatabaseStats();
-    console.log('📊 Database Status:');
-    console.log(`   Total invoices: ${stats.totalInvoices.toLocaleString()}`);
-    console.log(`   Last update: ${stats.lastUpdate || 'Never'}`);
-    console.log(`   Dataset files: ${stats.datasetFiles}`);
-    if (stats.yearBreakdown.length > 0) {
-      console.log('\n   Year breakdown:');
-      stats.yearBreakdown.forEach(y => {
-        console.log(`   - ${y.data_year}: ${y.count.toLocaleString()} invoices (€${(y.total_value / 1000000).toFixed(2)}M)`);
-      });
-    }
-    console.log('\n');
+    const version = await checkSchemaVersion(db);
+    console.log(`✅ Database schema version ${version}`);
   } catch (error) {
-    console.error('Error getting database stats:', error.message);
+    console.error(`❌ ${error.message}`);
+    await db.close();
+    process.exit(1);
   }
-});
+
+  app.listen(PORT, async () => {
+    console.log('\n🚀 Procurement Data API Server');
+    console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`   Port: ${PORT}`);
+    console.log(`   Health: http://localhost:${PORT}/api/health`);
+    console.log(`   API: http://localhost:${PORT}/api/procurement/invoices`);
+    console.log('\n');
+
+    // Log database stats
+    try {
+      const stats = await getDatabaseStats();
+      console.log('📊 Database Status:');
+      console.log(`   Total invoices: ${stats.totalInvoices.toLocaleString()}`);
+      console.log(`   Last update: ${stats.lastUpdate || 'Never'}`);
+      console.log(`   Dataset files: ${stats.datasetFiles}`);
+      if (stats.yearBreakdown.length > 0) {
+        console.log('\n   Year breakdown:');
+        stats.yearBreakdown.forEach(y => {
+          console.log(`   - ${y.data_year}: ${y.count.toLocaleString()} invoices (€${(y.total_value / 1000000).toFixed(2)}M)`);
+        });
+      }
+      console.log('\n');
+    } catch (error) {
+      console.error('Error getting database stats:', error.message);
+    }
+
+    // Start scheduled data updates
+    try {
+      await startScheduler();
+    } catch (error) {
+      console.error('Error starting update scheduler:', error.message);
+    }
+  });
+
+  // Write buffered API key usage counters before exiting
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      try {
+        await flushApiKeyUsage();
+      } catch (error) {
+        console.error('Error saving API key usage:', error.message);
+      }
+      process.exit(0);
+    });
+  }
+}
 
 export default app;
@@ -0,0 +1,190 @@
+import pg from 'pg';
+
+/**
+ * SQL fragments that differ between SQLite and PostgreSQL
+ */
+export const dialect = {
+  name: 'postgres',
+
+  // Values of a JSON array parameter, for IN (...); type is the SQL type of
+  // the values
+  jsonValues: (param, type = 'BIGINT') =>
+    `(SELECT CAST(value AS ${type}) FROM json_array_elements_text(CAST(${param} AS JSON)))`,
+
+  // Aggregate values into a JSON array text, '[]' when there are none
+  jsonArrayAgg: (expr, { distinct = false, filter = null } = {}) =>
+    `COALESCE(CAST(json_agg(${distinct ? 'DISTINCT ' : ''}${expr})${filter ? ` FILTER (WHERE ${filter})` : ''} AS TEXT), '[]')`,
+
+  // A row when the table named by the parameter exists on the search path
+  tableExists: (param) => `SELECT 1 WHERE to_regclass(${param}) IS NOT NULL`
+};
+
+// Counts, sums and averages come back as JavaScript numbers, and timestamps
+// as the text SQLite stores
+const TYPE_PARSERS = {
+  [pg.types.builtins.INT8]: value => parseInt(value, 10),
+  [pg.types.builtins.NUMERIC]: value => parseFloat(value),
+  [pg.types.builtins.TIMESTAMP]: value => value
+};
+
+const types = {
+  getTypeParser: (oid, format) => TYPE_PARSERS[oid] || pg.types.getTypeParser(oid, format)
+};
+
+// String literals, quoted identifiers and comments are copied as is; named
+// (@name) and positional (?) parameters become $n, and LIKE becomes ILIKE
+// to keep SQLite's case-insensitive matching
+const TOKENS = /('(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*)|@([A-Za-z_]\w*)|(\?)|\b(LIKE)\b/g;
+
+/**
+ * Translate a statement written for SQLite's parameter syntax. Returns
+ * { text, names } for named parameters or { text, positional } otherwise.
+ */
+export function translateSql(sql) {
+  const names = [];
+  let positional = 0;
+
+  const text = sql.replace(TOKENS, (token, literal, name, question, like) => {
+    if (literal) {
+      return literal;
+    }
+    if (name) {
+      const index = names.indexOf(name);
+      if (index !== -1) {
+        return `$${index + 1}`;
+      }
+      names.push(name);
+      return `$${names.length}`;
+    }
+    if (question) {
+      return `$${++positional}`;
+    }
+    return like ? 'ILIKE' : token;
+  });
+
+  if (names.length > 0 && positional > 0) {
+    throw new Error('A statement cannot mix named and positional parameters');
+  }
+  return names.length > 0 ? { text, names } : { text, positional };
+}
+
+/**
+ * Parameter values in statement order, from either a params object (named
+ * parameters) or positional arguments, as better-sqlite3 accepts them
+ */
+function bindValues({ names, positional }, args) {
+  if (names) {
+    const params = args[0] || {};
+    return names.map(name => {
+      if (!(name in params)) {
+        throw new Error(`Missing named parameter "${name}"`);
+      }
+      return params[name] ?? null;
+    });
+  }
+
+  if (positional === 0) {
+    return [];
+  }
+  const values = args.flat();
+  if (values.length !== positional) {
+    throw new Error(`Expected ${positional} parameters, got ${values.length}`);
+  }
+  return values.map(value => value ?? null);
+}
+
+function statement(queryable, sql, pluck = false) {
+  const translated = translateSql(sql);
+
+  const query = (args) => queryable.query({
+    text: translated.text,
+    values: bindValues(translated, args),
+    rowMode: pluck ? 'array' : undefined
+  });
+  const rowsOf = ({ rows }) => pluck ? rows.map(row => row[0]) : rows;
+
+  return {
+    all: async (...args) => rowsOf(await query(args)),
+    get: async (...args) => rowsOf(await query(args))[0],
+    run: async (...args) => ({ changes: (await query(args)).rowCount }),
+    pluck: () => statement(queryable, sql, true)
+  };
+}
+
+function handle(queryable) {
+  return {
+    dialect,
+    prepare: (sql) => statement(queryable, sql),
+    // Statements without parameters, possibly several separated by ;
+    exec: async (sql) => {
+      await queryable.query(translateSql(sql).text);
+    }
+  };
+}
+
+/**
+ * Storage over a PostgreSQL connection pool, with the promise-based
+ * interface every module uses: prepare(sql).all/get/run(params),
+ * .pluck(), exec(sql) and transaction(fn). Statements use SQLite's @name
+ * and ? parameters.
+ */
+export function createPostgresStorage(connectionString) {
+  const pool = new pg.Pool({
+    connectionString,
+    max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
+    types
+  });
+
+  // An idle client losing its connection must not crash the process
+  pool.on('error', error => {
+    console.error('PostgreSQL pool error:', error.message);
+  });
+
+  // Timestamps are stored in UTC, as SQLite's CURRENT_TIMESTAMP is. Each
+  // connection is set up the first time it is checked out.
+  const configured = new WeakSet();
+
+  const withClient = async (fn) => {
+    const client = await pool.connect();
+    try {
+      if (!configured.has(client)) {
+        await client.query("SET TIME ZONE 'UTC'");
+        configured.add(client);
+      }
+      return await fn(client);
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    ...handle({ query: (config) => withClient(client => client.query(config)) }),
+
+    /**
+     * Run fn(tx) on one connection in a transaction; statements must go
+     * through tx. Commits when the returned promise resolves and rolls back
+     * when it rejects.
+     */
+    transaction: (fn) => withClient(async (client) => {
+      const tx = { ...handle(client), transaction: (nested) => nested(tx) };
+
+      try {
+        await client.query('BEGIN');
+        const result = await fn(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    }),
+
+    close: () => pool.end()
+  };
+}
+
+export default {
+  dialect,
+  translateSql,
+  createPostgresStorage
+};
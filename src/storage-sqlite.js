@@ -0,0 +1,121 @@
+import Database from 'better-sqlite3';
+
+/**
+ * SQL fragments that differ between SQLite and PostgreSQL
+ */
+export const dialect = {
+  name: 'sqlite',
+
+  // Values of a JSON array parameter, for IN (...)
+  jsonValues: (param) => `(SELECT value FROM json_each(${param}))`,
+
+  // Aggregate values into a JSON array text, '[]' when there are none
+  jsonArrayAgg: (expr, { distinct = false, filter = null } = {}) =>
+    `json_group_array(${distinct ? 'DISTINCT ' : ''}${expr})${filter ? ` FILTER (WHERE ${filter})` : ''}`,
+
+  // A row when the table named by the parameter exists
+  tableExists: (param) => `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ${param}`
+};
+
+/**
+ * Storage over a better-sqlite3 database with the same promise-based
+ * interface as the PostgreSQL storage (see createPostgresStorage).
+ * Statements run synchronously; calls made while a transaction is open wait
+ * until it has finished, so they never join it by accident.
+ */
+export function createSqliteStorage(path) {
+  const database = new Database(path);
+
+  // Enable WAL mode for better concurrency
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+  // INSERT OR REPLACE only fires delete triggers with recursive triggers on;
+  // the full-text index relies on them
+  database.pragma('recursive_triggers = ON');
+
+  let openTransaction = null;
+
+  // The check and the call run without yielding in between, so a
+  // transaction cannot start after the wait and before the statement
+  const outsideTransaction = async (run) => {
+    while (openTransaction) {
+      await openTransaction;
+    }
+    return run();
+  };
+
+  const statement = (sql, run, pluck = false) => {
+    const prepared = database.prepare(sql);
+    if (pluck) {
+      prepared.pluck();
+    }
+
+    return {
+      all: (...params) => run(() => prepared.all(...params)),
+      get: (...params) => run(() => prepared.get(...params)),
+      run: (...params) => run(() => {
+        const { changes } = prepared.run(...params);
+        return { changes };
+      }),
+      pluck: () => statement(sql, run, true)
+    };
+  };
+
+  const transactionHandle = {
+    dialect,
+    prepare: (sql) => statement(sql, async (run) => run()),
+    exec: async (sql) => {
+      database.exec(sql);
+    },
+    // Already inside one: nested calls share it
+    transaction: (fn) => fn(transactionHandle)
+  };
+
+  return {
+    dialect,
+    // The better-sqlite3 handle, for SQLite-specific schema work
+    database,
+
+    prepare: (sql) => statement(sql, outsideTransaction),
+
+    exec: (sql) => outsideTransaction(() => {
+      database.exec(sql);
+    }),
+
+    /**
+     * Run fn(tx) in a transaction; statements must go through tx. Commits
+     * when the returned promise resolves and rolls back when it rejects.
+     */
+    async transaction(fn) {
+      while (openTransaction) {
+        await openTransaction;
+      }
+
+      let finish;
+      openTransaction = new Promise(resolve => { finish = resolve; });
+      try {
+        database.exec('BEGIN');
+        const result = await fn(transactionHandle);
+        database.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (database.inTransaction) {
+          database.exec('ROLLBACK');
+        }
+        throw error;
+      } finally {
+        openTransaction = null;
+        finish();
+      }
+    },
+
+    async close() {
+      database.close();
+    }
+  };
+}
+
+export default {
+  dialect,
+  createSqliteStorage
+};
@@ -0,0 +1,439 @@
+import { db, dialect } from './database.js';
+
+const CHECK_WEIGHTS = [7, 9, 10, 5, 8, 4, 2];
+
+// Legal form tokens ignored when comparing supplier names
+const LEGAL_FORMS = new Set([
+  'oy', 'oyj', 'ab', 'abp', 'ltd', 'ky', 'ay', 'tmi', 'ry', 'osuuskunta',
+  'osakeyhtio', 'aktiebolag', 'inc', 'llc', 'gmbh', 'as', 'aps', 'plc'
+]);
+
+/**
+ * Normalize a Finnish business ID (Y-tunnus) to the form 1234567-8.
+ * Accepts missing leading zeros ("123456-7"), no dash and the VAT form
+ * ("FI12345678"). Returns null if the check digit does not validate.
+ */
+export function normalizeBusinessId(value) {
+  if (!value) {
+    return null;
+  }
+
+  let text = String(value).trim().toUpperCase().replace(/\s/g, '');
+  if (text.startsWith('FI')) {
+    text = text.slice(2);
+  }
+
+  const match = text.match(/^(\d{6,7})-(\d)$/) || text.match(/^(\d{7})(\d)$/);
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].padStart(7, '0');
+  const check = parseInt(match[2]);
+
+  const sum = digits.split('').reduce((acc, d, i) => acc + parseInt(d) * CHECK_WEIGHTS[i], 0);
+  const remainder = sum % 11;
+  if (remainder === 1) {
+    return null;
+  }
+
+  const expected = remainder === 0 ? 0 : 11 - remainder;
+  return expected === check ? `${digits}-${check}` : null;
+}
+
+/**
+ * Normalize a supplier name for matching: case, diacritics, punctuation
+ * and legal form tokens (Oy, Ab, Ltd, ...) are ignored.
+ */
+export function normalizeSupplierName(name) {
+  if (!name) {
+    return null;
+  }
+
+  const tokens = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(token => token && !LEGAL_FORMS.has(token));
+
+  return tokens.length > 0 ? tokens.join(' ') : null;
+}
+
+/**
+ * Create a resolver that maps a (business ID, name) pair to a suppliers.id,
+ * creating supplier rows as needed. Results are cached for the resolver's
+ * lifetime, so create one per import.
+ *
+ * A valid Y-tunnus identifies the supplier. Without one, the normalized name
+ * is matched against known suppliers, preferring those with a Y-tunnus.
+ * The IDs of the suppliers it inserted are in resolver.created.
+ */
+export function createSupplierResolver() {
+  const cache = new Map();
+  const created = [];
+
+  const findByBusinessId = db.prepare('SELECT id FROM suppliers WHERE business_id = ?');
+  // Match the supplier's own normalized name or any of its known variants
+  const findByName = db.prepare(`
+    SELECT id, business_id FROM suppliers WHERE normalized_name = @name
+    UNION
+    SELECT s.id, s.business_id
+    FROM supplier_names n
+    JOIN suppliers s ON s.id = n.supplier_id
+    WHERE n.normalized_name = @name
+  `);
+  const insert = db.prepare(`
+    INSERT INTO suppliers (business_id, canonical_name, normalized_name)
+    VALUES (?, ?, ?)
+    RETURNING id
+  `);
+  const attachBusinessId = db.prepare(`
+    UPDATE suppliers SET business_id = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND business_id IS NULL
+  `);
+
+  const resolve = async (rawBusinessId, name) => {
+    const businessId = normalizeBusinessId(rawBusinessId);
+    const normalizedName = normalizeSupplierName(name);
+
+    if (businessId) {
+      const existing = await findByBusinessId.get(businessId);
+      if (existing) {
+        return existing.id;
+      }
+
+      // Adopt a name-only supplier now that its Y-tunnus is known
+      const nameOnly = normalizedName
+        ? (await findByName.all({ name: normalizedName })).find(s => s.business_id === null)
+        : null;
+      if (nameOnly) {
+        await attachBusinessId.run(businessId, nameOnly.id);
+        return nameOnly.id;
+      }
+
+      return insertSupplier(businessId, name || businessId, normalizedName);
+    }
+
+    if (!normalizedName) {
+      return null;
+    }
+
+    const candidates = await findByName.all({ name: normalizedName });
+    const withBusinessId = candidates.filter(s => s.business_id !== null);
+
+    // Only match a Y-tunnus supplier when the name is unambiguous
+    if (withBusinessId.length === 1) {
+      return withBusinessId[0].id;
+    }
+    const nameOnly = candidates.find(s => s.business_id === null);
+    if (nameOnly) {
+      return nameOnly.id;
+    }
+
+    return insertSupplier(null, name, normalizedName);
+  };
+
+  const insertSupplier = async (businessId, name, normalizedName) => {
+    const { id } = await insert.get(businessId, name, normalizedName);
+    created.push(id);
+    return id;
+  };
+
+  const resolver = async (rawBusinessId, name) => {
+    const key = `${rawBusinessId ?? ''}\u001f${name ?? ''}`;
+    if (!cache.has(key)) {
+      cache.set(key, await resolve(rawBusinessId, name));
+    }
+    return cache.get(key);
+  };
+  resolver.created = created;
+  return resolver;
+}
+
+/**
+ * Delete the given suppliers unless invoice or staged rows refer to them,
+ * e.g. the ones a failed import created. Returns the number deleted.
+ */
+export async function deleteUnusedSuppliers(supplierIds) {
+  if (supplierIds.length === 0) {
+    return 0;
+  }
+
+  const { changes } = await db.prepare(`
+    DELETE FROM suppliers
+    WHERE id IN ${dialect.jsonValues('?')}
+      AND NOT EXISTS (SELECT 1 FROM procurement_invoices p WHERE p.supplier_id = suppliers.id)
+      AND NOT EXISTS (SELECT 1 FROM procurement_invoices_staging s WHERE s.supplier_id = suppliers.id)
+  `).run(JSON.stringify(supplierIds));
+  return changes;
+}
+
+/**
+ * Resolve suppliers for invoice rows imported before supplier resolution
+ * existed (supplier_id is null). Returns the number of rows updated.
+ */
+export async function backfillSupplierIds() {
+  const pairs = await db.prepare(`
+    SELECT DISTINCT toimittaja_y_tunnus, toimittaja_nimi
+    FROM procurement_invoices
+    WHERE supplier_id IS NULL
+      AND (toimittaja_y_tunnus IS NOT NULL OR toimittaja_nimi IS NOT NULL)
+  `).all();
+
+  if (pairs.length === 0) {
+    return 0;
+  }
+
+  // Suppliers are resolved first: the resolver writes outside the transaction
+  const resolveSupplier = createSupplierResolver();
+  const resolved = [];
+  for (const pair of pairs) {
+    resolved.push({ ...pair, supplierId: await resolveSupplier(pair.toimittaja_y_tunnus, pair.toimittaja_nimi) });
+  }
+
+  let updated = 0;
+  try {
+    await db.transaction(async (tx) => {
+      const update = tx.prepare(`
+        UPDATE procurement_invoices SET supplier_id = @supplierId
+        WHERE supplier_id IS NULL
+          AND toimittaja_y_tunnus IS NOT DISTINCT FROM @businessId
+          AND toimittaja_nimi IS NOT DISTINCT FROM @name
+      `);
+
+      for (const pair of resolved) {
+        if (pair.supplierId !== null) {
+          updated += (await update.run({
+            supplierId: pair.supplierId,
+            businessId: pair.toimittaja_y_tunnus,
+            name: pair.toimittaja_nimi
+          })).changes;
+        }
+      }
+    });
+  } catch (error) {
+    await deleteUnusedSuppliers(resolveSupplier.created);
+    throw error;
+  }
+
+  await refreshSupplierNames();
+  return updated;
+}
+
+/**
+ * Rebuild the name variant history of suppliers from procurement_invoices
+ * and set each supplier's canonical name to the name it was most recently
+ * invoiced under (the most used one if several share the latest year).
+ * Limited to the given supplier IDs, or all suppliers if none are given.
+ */
+export async function refreshSupplierNames(supplierIds = null) {
+  // Condition on a supplier ID column selecting the suppliers to refresh
+  const inScope = (column) => supplierIds ? `${column} IN ${dialect.jsonValues('@ids')}` : '1 = 1';
+  const params = supplierIds ? [{ ids: JSON.stringify(supplierIds.filter(id => id !== null)) }] : [];
+
+  await db.transaction(async (tx) => {
+    await tx.prepare(`DELETE FROM supplier_names WHERE ${inScope('supplier_id')}`).run(...params);
+
+    const variants = await tx.prepare(`
+      SELECT supplier_id, toimittaja_nimi as name, COUNT(*) as line_count,
+             MIN(data_year) as first_year, MAX(data_year) as last_year
+      FROM procurement_invoices
+      WHERE ${inScope('supplier_id')}
+        AND supplier_id IS NOT NULL
+        AND toimittaja_nimi IS NOT NULL
+      GROUP BY supplier_id, toimittaja_nimi
+    `).all(...params);
+
+    const insertVariant = tx.prepare(`
+      INSERT INTO supplier_names (supplier_id, name, normalized_name, line_count, first_year, last_year)
+      VALUES (@supplier_id, @name, @normalized_name, @line_count, @first_year, @last_year)
+    `);
+    for (const variant of variants) {
+      await insertVariant.run({ ...variant, normalized_name: normalizeSupplierName(variant.name) });
+    }
+
+    await tx.prepare(`
+      UPDATE suppliers
+      SET canonical_name = COALESCE((
+            SELECT name FROM supplier_names
+            WHERE supplier_id = suppliers.id
+            ORDER BY last_year DESC, line_count DESC, name
+            LIMIT 1
+          ), canonical_name),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE ${inScope('id')}
+    `).run(...params);
+  });
+}
+
+/**
+ * Add the canonical supplier ({ id, name, businessId }) to rows that carry
+ * a supplier_id
+ */
+export async function attachCanonicalSuppliers(rows) {
+  const ids = [...new Set(rows.map(r => r.supplier_id).filter(id => id !== null && id !== undefined))];
+  if (ids.length === 0) {
+    return rows.map(row => ({ ...row, supplier: null }));
+  }
+
+  const suppliers = new Map(
+    (await db.prepare(`
+      SELECT id, canonical_name as name, business_id as "businessId"
+      FROM suppliers
+      WHERE id IN ${dialect.jsonValues('?')}
+    `).all(JSON.stringify(ids))).map(s => [s.id, s])
+  );
+
+  return rows.map(row => ({ ...row, supplier: suppliers.get(row.supplier_id) || null }));
+}
+
+/**
+ * Search canonical suppliers by name, name variant or business ID.
+ * Each result includes its total spend and line count.
+ */
+export async function searchSuppliers({ q = null, limit = 50, offset = 0 } = {}) {
+  const params = { limit, offset };
+  let whereClause = '';
+
+  if (q) {
+    whereClause = `WHERE canonical_name LIKE @q OR business_id LIKE @q
+      OR id IN (SELECT supplier_id FROM supplier_names WHERE name LIKE @q)`;
+    params.q = `%${q}%`;
+  }
+
+  const { total } = await db.prepare(`SELECT COUNT(*) as total FROM suppliers ${whereClause}`).get(params);
+
+  const suppliers = await db.prepare(`
+    SELECT
+      s.id,
+      s.canonical_name as name,
+      s.business_id as "businessId",
+      (SELECT COALESCE(SUM(tiliointisumma), 0) FROM procurement_invoices WHERE supplier_id = s.id) as "totalValue",
+      (SELECT COUNT(*) FROM procurement_invoices WHERE supplier_id = s.id) as "lineCount"
+    FROM suppliers s
+    ${whereClause}
+    ORDER BY s.canonical_name
+    LIMIT @limit OFFSET @offset
+  `).all(params);
+
+  return { suppliers, total };
+}
+
+/**
+ * Find a supplier by Y-tunnus, falling back to its numeric ID for
+ * suppliers that have no Y-tunnus
+ */
+export async function findSupplier(idOrBusinessId) {
+  const businessId = normalizeBusinessId(idOrBusinessId);
+  if (businessId) {
+    const supplier = await db.prepare('SELECT * FROM suppliers WHERE business_id = ?').get(businessId);
+    if (supplier) {
+      return supplier;
+    }
+  }
+
+  if (/^\d+$/.test(String(idOrBusinessId))) {
+    return (await db.prepare('SELECT * FROM suppliers WHERE id = ?').get(parseInt(idOrBusinessId))) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Build a supplier profile: spend totals and timeline, top buyers,
+ * category mix and name variants
+ */
+export async function getSupplierProfile(idOrBusinessId, { topUnits = 10 } = {}) {
+  const supplier = await findSupplier(idOrBusinessId);
+  if (!supplier) {
+    return null;
+  }
+
+  const id = supplier.id;
+
+  const totals = await db.prepare(`
+    SELECT
+      COALESCE(SUM(tiliointisumma), 0) as "totalValue",
+      COUNT(DISTINCT lasku_id) as "invoiceCount",
+      COUNT(*) as "lineCount",
+      MIN(tositepvm) as "firstInvoiceDate",
+      MAX(tositepvm) as "lastInvoiceDate"
+    FROM procurement_invoices
+    WHERE supplier_id = ?
+  `).get(id);
+
+  const byYear = await db.prepare(`
+    SELECT data_year as year, SUM(tiliointisumma) as "totalValue", COUNT(DISTINCT lasku_id) as "invoiceCount"
+    FROM procurement_invoices
+    WHERE supplier_id = ?
+    GROUP BY data_year
+    ORDER BY data_year
+  `).all(id);
+
+  const timeline = await db.prepare(`
+    SELECT substr(tositepvm, 1, 7) as month, SUM(tiliointisumma) as "totalValue", COUNT(DISTINCT lasku_id) as "invoiceCount"
+    FROM procurement_invoices
+    WHERE supplier_id = ?
+    GROUP BY month
+    ORDER BY month
+  `).all(id);
+
+  const units = await db.prepare(`
+    SELECT
+      hankintayksikko as unit,
+      hankintayksikko_tunnus as "unitId",
+      SUM(tiliointisumma) as "totalValue",
+      COUNT(DISTINCT lasku_id) as "invoiceCount"
+    FROM procurement_invoices
+    WHERE supplier_id = ?
+    GROUP BY hankintayksikko, hankintayksikko_tunnus
+    ORDER BY "totalValue" DESC
+    LIMIT ?
+  `).all(id, topUnits);
+
+  const categories = (await db.prepare(`
+    SELECT hankintakategoria as category, SUM(tiliointisumma) as "totalValue", COUNT(*) as "lineCount"
+    FROM procurement_invoices
+    WHERE supplier_id = ?
+    GROUP BY hankintakategoria
+    ORDER BY "totalValue" DESC
+  `).all(id)).map(c => ({
+    ...c,
+    share: totals.totalValue !== 0 ? c.totalValue / totals.totalValue : 0
+  }));
+
+  const nameVariants = await db.prepare(`
+    SELECT name, line_count as "lineCount", first_year as "firstYear", last_year as "lastYear"
+    FROM supplier_names
+    WHERE supplier_id = ?
+    ORDER BY last_year DESC, line_count DESC
+  `).all(id);
+
+  return {
+    id,
+    name: supplier.canonical_name,
+    businessId: supplier.business_id,
+    ...totals,
+    byYear,
+    timeline,
+    topUnits: units,
+    categories,
+    nameVariants
+  };
+}
+
+export default {
+  normalizeBusinessId,
+  normalizeSupplierName,
+  createSupplierResolver,
+  deleteUnusedSuppliers,
+  backfillSupplierIds,
+  refreshSupplierNames,
+  attachCanonicalSuppliers,
+  searchSuppliers,
+  findSupplier,
+  getSupplierProfile
+};
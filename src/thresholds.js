@@ -0,0 +1,225 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { db, dialect } from './database.js';
+import { attachCanonicalSuppliers } from './suppliers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const THRESHOLDS_PATH = process.env.THRESHOLDS_PATH || join(__dirname, '../config/procurement-thresholds.json');
+
+export const THRESHOLD_STATUSES = ['crossed', 'near', 'splitting'];
+
+let cachedConfig = null;
+
+/**
+ * Load and validate the tendering threshold tables
+ */
+export function loadThresholdConfig(path = THRESHOLDS_PATH) {
+  if (path === THRESHOLDS_PATH && cachedConfig) {
+    return cachedConfig;
+  }
+
+  const config = JSON.parse(fs.readFileSync(path, 'utf-8'));
+  const types = new Set([config.categoryTypes.default, ...config.categoryTypes.rules.map(r => r.type)]);
+
+  for (const threshold of config.thresholds) {
+    for (const type of types) {
+      if (typeof threshold.values[type] !== 'number') {
+        throw new Error(`Threshold "${threshold.name}" (${threshold.years}) has no value for category type "${type}"`);
+      }
+    }
+  }
+
+  if (path === THRESHOLDS_PATH) {
+    cachedConfig = config;
+  }
+  return config;
+}
+
+/**
+ * Category type (e.g. works, supplies_services) of a hankintakategoria,
+ * matched case-insensitively against the configured name patterns
+ */
+export function categoryType(category, config = loadThresholdConfig()) {
+  const name = String(category || '').toLowerCase();
+  const rule = config.categoryTypes.rules.find(r => r.patterns.some(p => name.includes(p.toLowerCase())));
+  return rule ? rule.type : config.categoryTypes.default;
+}
+
+/**
+ * Names of the configured thresholds, e.g. national and eu
+ */
+export function thresholdNames(config = loadThresholdConfig()) {
+  return [...new Set(config.thresholds.map(t => t.name))];
+}
+
+function appliesToYear(threshold, year) {
+  const [from, to] = threshold.years || [null, null];
+  return (from === null || year >= from) && (to === null || year <= to);
+}
+
+/**
+ * Thresholds in force for a year, sector and category type, lowest first.
+ * Where several tables share a name, one limited to the sector wins.
+ */
+export function thresholdsFor(year, sector, type, config = loadThresholdConfig()) {
+  const byName = new Map();
+
+  for (const threshold of config.thresholds) {
+    if (!appliesToYear(threshold, year)) continue;
+    if (threshold.sectors && !threshold.sectors.includes(sector)) continue;
+
+    const current = byName.get(threshold.name);
+    if (!current || (threshold.sectors && !current.sectors)) {
+      byName.set(threshold.name, threshold);
+    }
+  }
+
+  return [...byName.values()]
+    .map(t => ({ name: t.name, description: t.description, value: t.values[type] }))
+    .sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Compare a pair's yearly spend and invoices against its thresholds
+ */
+function evaluatePair(pair, config) {
+  const type = categoryType(pair.category, config);
+  const nearRatio = config.nearRatio;
+  const amounts = JSON.parse(pair.large_invoices);
+
+  const thresholds = thresholdsFor(pair.year, pair.sector, type, config).map(t => {
+    // Invoices in the band just below the threshold hint at contract splitting.
+    // Many small invoices adding up past it are only reported as crossed.
+    const justUnder = amounts.filter(a => a >= t.value * nearRatio && a < t.value).length;
+    let status = null;
+    if (pair.total >= t.value) {
+      status = 'crossed';
+    } else if (pair.total >= t.value * nearRatio) {
+      status = 'near';
+    }
+    return {
+      ...t,
+      ratio: pair.total / t.value,
+      status,
+      justUnderCount: justUnder,
+      splitting: justUnder >= 2 && pair.total >= t.value
+    };
+  });
+
+  return { type, thresholds };
+}
+
+/**
+ * Procurement unit, supplier and category combinations whose spend in a
+ * year crosses or nearly crosses a tendering threshold, or looks split
+ * into invoices just under one.
+ */
+export async function analyzeThresholds({
+  year,
+  unit = null,
+  supplierId = null,
+  category = null,
+  status = null,
+  threshold = null,
+  limit = 100,
+  offset = 0
+}, config = loadThresholdConfig()) {
+  const conditions = ['data_year = @year', 'supplier_id IS NOT NULL'];
+  const params = { year };
+
+  if (unit) {
+    conditions.push('COALESCE(hankintayksikko_tunnus, hankintayksikko) = @unit');
+    params.unit = unit;
+  }
+  if (supplierId) {
+    conditions.push('supplier_id = @supplierId');
+    params.supplierId = supplierId;
+  }
+  if (category) {
+    conditions.push('hankintakategoria LIKE @category');
+    params.category = `%${category}%`;
+  }
+
+  // Nothing below the near band of the lowest threshold can be reported
+  const lowest = Math.min(...config.thresholds
+    .filter(t => appliesToYear(t, year))
+    .flatMap(t => Object.values(t.values)));
+  params.floor = Number.isFinite(lowest) ? lowest * config.nearRatio : 0;
+
+  const pairs = await db.prepare(`
+    WITH invoices AS (
+      SELECT
+        lasku_id,
+        COALESCE(hankintayksikko_tunnus, hankintayksikko) as unit_id,
+        MIN(hankintayksikko) as unit_name,
+        supplier_id,
+        hankintakategoria as category,
+        MIN(sektori) as sector,
+        SUM(tiliointisumma) as amount
+      FROM procurement_invoices
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY lasku_id, unit_id, supplier_id, hankintakategoria
+    )
+    SELECT
+      unit_id, MIN(unit_name) as unit_name, supplier_id, category,
+      MIN(sector) as sector, @year as year,
+      SUM(amount) as total,
+      COUNT(*) as invoice_count,
+      MAX(amount) as largest_invoice,
+      ${dialect.jsonArrayAgg('amount', { filter: 'amount >= @floor' })} as large_invoices
+    FROM invoices
+    GROUP BY unit_id, supplier_id, category
+    HAVING SUM(amount) >= @floor
+    ORDER BY total DESC
+  `).all(params);
+
+  const rows = [];
+  for (const pair of pairs) {
+    const { type, thresholds } = evaluatePair(pair, config);
+    const relevant = threshold ? thresholds.filter(t => t.name === threshold) : thresholds;
+
+    const flags = new Set();
+    for (const t of relevant) {
+      if (t.status) flags.add(t.status);
+      if (t.splitting) flags.add('splitting');
+    }
+    if (flags.size === 0 || (status && !flags.has(status))) {
+      continue;
+    }
+
+    rows.push({
+      unit: { id: pair.unit_id, name: pair.unit_name },
+      supplier_id: pair.supplier_id,
+      category: pair.category,
+      categoryType: type,
+      sector: pair.sector,
+      total: pair.total,
+      invoiceCount: pair.invoice_count,
+      largestInvoice: pair.largest_invoice,
+      flags: [...flags],
+      thresholds: relevant
+    });
+  }
+
+  const page = (await attachCanonicalSuppliers(rows.slice(offset, offset + limit)))
+    .map(({ supplier_id: _supplierId, ...row }) => row);
+
+  return {
+    rows: page,
+    total: rows.length,
+    thresholds: config.thresholds.filter(t => appliesToYear(t, year)),
+    summary: Object.fromEntries(THRESHOLD_STATUSES.map(s => [s, rows.filter(r => r.flags.includes(s)).length]))
+  };
+}
+
+export default {
+  THRESHOLD_STATUSES,
+  loadThresholdConfig,
+  categoryType,
+  thresholdNames,
+  thresholdsFor,
+  analyzeThresholds
+};
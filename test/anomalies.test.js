@@ -0,0 +1,164 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryEnvironment, insertInvoiceLines, listen } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { db, migrateDatabase } = await import('../src/database.js');
+const { detectAnomalies, listAnomalies } = await import('../src/anomalies.js');
+const { default: app } = await import('../src/server.js');
+
+let counts;
+let server;
+
+before(async () => {
+  await migrateDatabase();
+
+  const lines = [
+    // 2023 is the first data year: every supplier is new there
+    { lasku_id: 'A2023', supplier_id: 1, tositepvm: '2023-05-02', tiliointisumma: 120 },
+    { lasku_id: 'B2023', supplier_id: 5, hankintakategoria: 'Energia', tositepvm: '2023-06-01', tiliointisumma: 90000 }
+  ];
+
+  // Outlier: 40 ordinary office supply invoices and one of €50,000
+  for (let i = 0; i < 40; i++) {
+    lines.push({ lasku_id: `O${i}`, supplier_id: 1, tositepvm: '2024-03-10', tiliointisumma: 100 + i * 5 });
+  }
+  lines.push({ lasku_id: 'O-BIG', supplier_id: 1, tositepvm: '2024-03-20', tiliointisumma: 50000 });
+
+  // Spike: €1,000 a month from January to March, then €30,000 in April
+  for (const month of ['01', '02', '03']) {
+    lines.push({ lasku_id: `S${month}`, supplier_id: 2, hankintayksikko_tunnus: 'TV2', hankintakategoria: 'Siivous', tositepvm: `2024-${month}-15`, tiliointisumma: 1000 });
+  }
+  lines.push({ lasku_id: 'S04', supplier_id: 2, hankintayksikko_tunnus: 'TV2', hankintakategoria: 'Siivous', tositepvm: '2024-04-15', tiliointisumma: 30000 });
+
+  // New supplier: first ever invoice is €60,000, paid over two lines
+  lines.push({ lasku_id: 'N1', supplier_id: 3, hankintakategoria: 'Konsultointi', tositepvm: '2024-05-05', tiliointisumma: 40000 });
+  lines.push({ lasku_id: 'N1', supplier_id: 3, hankintakategoria: 'Konsultointi', tositepvm: '2024-05-05', tiliointisumma: 20000 });
+
+  // Duplicate: two invoices with the same supplier, total and date
+  lines.push({ lasku_id: 'D1', supplier_id: 4, hankintakategoria: 'Koulutus', tositepvm: '2024-06-12', tiliointisumma: 2500 });
+  lines.push({ lasku_id: 'D2', supplier_id: 4, hankintakategoria: 'Koulutus', tositepvm: '2024-06-12', tiliointisumma: 2500 });
+
+  // Nothing unusual: a known supplier's regular large invoice
+  lines.push({ lasku_id: 'B2024', supplier_id: 5, hankintakategoria: 'Energia', tositepvm: '2024-06-01', tiliointisumma: 90000 });
+
+  await insertInvoiceLines(db, lines);
+  counts = await detectAnomalies();
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+  await env.cleanup();
+});
+
+async function flagged(type) {
+  return (await listAnomalies({ type: [type], year: 2024 })).anomalies;
+}
+
+describe('detectAnomalies', () => {
+  test('flags exactly one anomaly of each type', () => {
+    assert.deepEqual(counts, { outlier: 1, spike: 1, new_supplier: 1, duplicate: 1 });
+  });
+
+  test('flags an invoice far above its unit and category norm', async () => {
+    const [outlier] = await flagged('outlier');
+
+    assert.equal(outlier.lasku_id, 'O-BIG');
+    assert.equal(outlier.amount, 50000);
+    assert.ok(outlier.score >= 4);
+    assert.equal(outlier.details.invoiceCount, 41);
+  });
+
+  test('flags a month far above the three before it', async () => {
+    const [spike] = await flagged('spike');
+
+    assert.equal(spike.period, '2024-04');
+    assert.equal(spike.supplier_id, 2);
+    assert.equal(spike.score, 30);
+    assert.equal(spike.details.previousMonthlyAverage, 1000);
+  });
+
+  test('flags a large first invoice of a new supplier', async () => {
+    const [newSupplier] = await flagged('new_supplier');
+
+    assert.equal(newSupplier.lasku_id, 'N1');
+    assert.equal(newSupplier.amount, 60000);
+    assert.equal(newSupplier.details.firstDate, '2024-05-05');
+  });
+
+  test('flags invoices with the same supplier, total and date', async () => {
+    const [duplicate] = await flagged('duplicate');
+
+    assert.equal(duplicate.supplier_id, 4);
+    assert.equal(duplicate.score, 2);
+    assert.deepEqual(duplicate.details.invoiceIds.sort(), ['D1', 'D2']);
+  });
+
+  test('replaces the anomalies of a year when run again', async () => {
+    assert.deepEqual(await detectAnomalies({ years: [2024] }), counts);
+    assert.equal((await listAnomalies({ year: 2024 })).total, 4);
+  });
+
+  test('recomputes later years when an earlier year changes', async () => {
+    // Supplier 3 turns out to have been paid in 2023 already
+    await insertInvoiceLines(db, [
+      { lasku_id: 'N0', supplier_id: 3, hankintakategoria: 'Konsultointi', tositepvm: '2023-09-01', tiliointisumma: 500 }
+    ]);
+
+    const recounted = await detectAnomalies({ fromYear: 2023 });
+    assert.deepEqual(recounted, { ...counts, new_supplier: 0 });
+    assert.deepEqual(await flagged('new_supplier'), []);
+
+    await db.prepare("DELETE FROM procurement_invoices WHERE lasku_id = 'N0'").run();
+    assert.deepEqual(await detectAnomalies({ fromYear: 2023 }), counts);
+  });
+
+  test('drops the anomalies of a year left without data', async () => {
+    await db.prepare(`
+      INSERT INTO anomalies (type, data_year, period, lasku_id, amount, score, explanation, details)
+      VALUES ('outlier', 2030, '2030-01', 'GONE', 1, 1, 'stale', '{}')
+    `).run();
+
+    await detectAnomalies({ fromYear: 2024 });
+    assert.equal((await listAnomalies({ year: 2030 })).total, 0);
+    assert.equal((await listAnomalies({ year: 2024 })).total, 4);
+  });
+});
+
+describe('GET /api/anomalies', () => {
+  async function get(path) {
+    const response = await fetch(`${server.baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('filters by type and supplier', async () => {
+    const { body } = await get('/api/anomalies?year=2024&supplierId=2');
+
+    assert.equal(body.pagination.total, 1);
+    assert.equal(body.data[0].type, 'spike');
+    assert.deepEqual(body.byType, { spike: 1 });
+  });
+
+  test('filters by amount and score', async () => {
+    const { body } = await get('/api/anomalies?year=2024&minAmount=40000');
+    assert.deepEqual(body.data.map(a => a.type).sort(), ['new_supplier', 'outlier']);
+    assert.ok(body.data.every(a => a.amount >= 40000));
+
+    const { body: scored } = await get('/api/anomalies?year=2024&minScore=2.5');
+    assert.ok(scored.data.every(a => a.score >= 2.5));
+  });
+
+  test('rejects invalid numbers', async () => {
+    for (const query of [
+      'limit=-1', 'offset=-1', 'limit=abc', 'supplierId=abc', 'supplierId=-2', 'year=20x4',
+      'minAmount=abc', 'minAmount=1e', 'minScore=abc', 'minScore=NaN'
+    ]) {
+      const { status, body } = await get(`/api/anomalies?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.success, false);
+    }
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import { useTemporaryEnvironment, FIXTURES_DIR } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const {
+  createCkanSource,
+  fetchDatasetMetadata,
+  filterProcurementResources,
+  extractYearFromFilename,
+  resourceYear,
+  classifyResource,
+  downloadFile,
+  downloadAllProcurementFiles
+} = await import('../src/ckan-client.js');
+const { createMockCkanServer } = await import('../src/ckan-mock.js');
+const { db, migrateDatabase } = await import('../src/database.js');
+
+await migrateDatabase();
+
+after(async () => {
+  await db.close();
+  await env.cleanup();
+});
+
+describe('fetchDatasetMetadata', () => {
+  test('reads package_show.json from a local directory', async () => {
+    const dataset = await fetchDatasetMetadata(createCkanSource({ type: 'local', dir: FIXTURES_DIR }));
+
+    assert.equal(dataset.title, 'Tutkihankintoja (test fixture)');
+    assert.equal(dataset.resources.length, 4);
+  });
+
+  test('describes the files of a directory without package_show.json', async () => {
+    const dir = join(env.dir, 'plain');
+    fs.mkdirSync(dir);
+    fs.copyFileSync(join(FIXTURES_DIR, 'th_data_2023.csv'), join(dir, 'th_data_2023.csv'));
+    fs.copyFileSync(join(FIXTURES_DIR, 'th_data_2024.tsv'), join(dir, 'th_data_2024.tsv'));
+
+    const dataset = await fetchDatasetMetadata(createCkanSource({ type: 'local', dir }));
+
+    assert.deepEqual(dataset.resources.map(r => [r.name, r.format]), [
+      ['th_data_2023.csv', 'CSV'],
+      ['th_data_2024.tsv', 'TSV']
+    ]);
+    assert.equal(dataset.resources[0].size, fs.statSync(join(dir, 'th_data_2023.csv')).size);
+    assert.ok(dataset.resources[0].last_modified);
+  });
+
+  test('fetches package_show over HTTP from the mock server', async () => {
+    const dataset = await fetchDatasetMetadata(createCkanSource({ type: 'mock', dir: FIXTURES_DIR }));
+
+    assert.equal(dataset.resources.length, 4);
+    assert.match(dataset.resources[0].url, /^http:\/\/127\.0\.0\.1:\d+\/files\/th_data_2023\.csv$/);
+  });
+
+  test('rejects when CKAN does not know the dataset', async () => {
+    const server = createMockCkanServer({ dir: FIXTURES_DIR, datasetId: 'tutkihankintoja-data' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const source = createCkanSource({
+        type: 'live',
+        baseUrl: `http://127.0.0.1:${server.address().port}/api/3/action`,
+        datasetId: 'missing'
+      });
+      await assert.rejects(fetchDatasetMetadata(source), /CKAN API error: 404/);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('rejects unknown source types', () => {
+    assert.throws(() => createCkanSource({ type: 'ftp' }), /Unknown CKAN source "ftp"/);
+    assert.throws(() => createCkanSource({ type: 'local', dir: '' }), /needs a directory/);
+  });
+});
+
+describe('filterProcurementResources', () => {
+  test('keeps yearly data files, newest first', async () => {
+    const dataset = await fetchDatasetMetadata(createCkanSource({ type: 'local', dir: FIXTURES_DIR }));
+    const resources = filterProcurementResources(dataset);
+
+    assert.deepEqual(resources.map(r => r.name), ['th_data_2024.tsv', 'th_data_2023.csv']);
+  });
+
+  test('applies a dataset source\'s own filter', () => {
+    const dataset = {
+      resources: [
+        { name: 'ostolaskut_2024.csv', format: 'CSV' },
+        { name: 'ostolaskut_2024.xlsx', format: 'XLSX' },
+        { name: 'ostolaskut_kuvaus.csv', format: 'CSV' },
+        { name: 'th_data_2024.csv', format: 'CSV' }
+      ]
+    };
+    const resources = filterProcurementResources(dataset, { include: '^ostolaskut', exclude: ['kuvaus'], formats: ['csv'] });
+
+    assert.deepEqual(resources.map(r => r.name), ['ostolaskut_2024.csv']);
+  });
+
+  test('extracts the year from a file name', () => {
+    assert.equal(extractYearFromFilename('th_data_2024.csv'), 2024);
+    assert.equal(extractYearFromFilename('Kuvaus.pdf'), null);
+  });
+
+  test('takes the year from the file name, then from the metadata', () => {
+    assert.equal(resourceYear({ name: 'th_data_2024.csv', year: '2023' }), 2024);
+    assert.equal(resourceYear({ name: 'ostolaskut.csv', year: '2023' }), 2023);
+    assert.equal(resourceYear({ name: 'ostolaskut.csv', year: 'kaikki' }), null);
+    assert.equal(resourceYear({ name: 'ostolaskut.csv' }), null);
+  });
+});
+
+describe('classifyResource', () => {
+  const stored = { status: 'completed', last_modified: '2024-02-01T08:00:00', file_size: 100, file_hash: null };
+
+  test('compares a resource with its last import', () => {
+    assert.equal(classifyResource({ last_modified: '2024-02-01T08:00:00' }, null), 'added');
+    assert.equal(classifyResource({ last_modified: '2024-02-01T08:00:00' }, { ...stored, status: 'failed' }), 'added');
+    assert.equal(classifyResource({ last_modified: '2024-02-01T08:00:00' }, stored), 'unchanged');
+    assert.equal(classifyResource({ last_modified: '2024-03-01T08:00:00' }, stored), 'changed');
+    assert.equal(classifyResource({ last_modified: '2024-02-01T08:00:00', size: '101' }, stored), 'changed');
+  });
+});
+
+describe('downloads', () => {
+  test('downloads a file from the mock server', async () => {
+    const source = createCkanSource({ type: 'mock', dir: FIXTURES_DIR });
+    const [resource] = (await source.fetchDataset()).resources;
+    const downloadDir = join(env.dir, 'mock-downloads');
+
+    const result = await downloadFile(resource, { source, downloadDir });
+
+    assert.equal(result.filePath, join(downloadDir, 'th_data_2023.csv'));
+    assert.deepEqual(fs.readFileSync(result.filePath), fs.readFileSync(join(FIXTURES_DIR, 'th_data_2023.csv')));
+  });
+
+  test('fails for a resource missing from a local directory', async () => {
+    const source = createCkanSource({ type: 'local', dir: FIXTURES_DIR });
+    const resource = { name: 'th_data_2030.csv', url: 'th_data_2030.csv' };
+
+    await assert.rejects(downloadFile(resource, { source }), /not found/);
+  });
+
+  test('downloads only the requested years', async () => {
+    const results = await downloadAllProcurementFiles({ yearsToDownload: [2023] });
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].resource.name, 'th_data_2023.csv');
+    assert.equal(results[0].change, 'added');
+    assert.ok(fs.existsSync(join(process.env.DOWNLOAD_DIR, 'th_data_2023.csv')));
+  });
+
+  test('keeps resources without a year when filtering or forcing by year', async () => {
+    const helsinki = {
+      source: createCkanSource({ type: 'local', dir: join(FIXTURES_DIR, 'helsingin-kaupungin-ostolaskut') }),
+      resourceFilter: { include: 'ostolask', formats: ['csv'] },
+      downloadDir: join(env.dir, 'helsinki-downloads')
+    };
+    const [resource] = (await helsinki.source.fetchDataset()).resources;
+    const seen = async () => ({ last_modified: resource.last_modified, file_size: null, status: 'completed' });
+
+    const filtered = await downloadAllProcurementFiles({ ...helsinki, yearsToDownload: [2023], getStored: seen });
+    assert.deepEqual(filtered.map(r => [r.resource.name, r.change]), [['ostolaskut.csv', 'unchanged']]);
+
+    const forced = await downloadAllProcurementFiles({ ...helsinki, forceRedownload: [2024], getStored: seen });
+    assert.deepEqual(forced.map(r => [r.resource.name, r.change]), [['ostolaskut.csv', 'forced']]);
+  });
+
+  test('filters by the year in the resource metadata', async () => {
+    const source = {
+      type: 'local',
+      datasetId: 'metadata-years',
+      description: 'in memory',
+      fetchDataset: async () => ({
+        title: 'Metadata years',
+        resources: [{ id: 'old', name: 'ostolaskut-vanhat.csv', format: 'CSV', year: 2019 }]
+      })
+    };
+
+    const results = await downloadAllProcurementFiles({
+      source,
+      resourceFilter: { include: 'ostolask', formats: ['csv'] },
+      yearsToDownload: [2023],
+      getStored: async () => undefined
+    });
+    assert.deepEqual(results, []);
+  });
+
+  test('skips resources the injected lookup has already seen', async () => {
+    const source = createCkanSource({ type: 'local', dir: FIXTURES_DIR });
+    const [resource] = (await source.fetchDataset()).resources;
+    const getStored = async (resourceId) => resourceId === resource.id
+      ? { last_modified: resource.last_modified, file_size: null, status: 'completed' }
+      : undefined;
+
+    const results = await downloadAllProcurementFiles({
+      yearsToDownload: [2023],
+      source,
+      downloadDir: join(env.dir, 'lookup-downloads'),
+      getStored
+    });
+
+    assert.deepEqual(results.map(r => [r.resource.name, r.change, r.skipped]), [
+      ['th_data_2023.csv', 'unchanged', true]
+    ]);
+  });
+
+  test('importing the client opens no database', () => {
+    const path = join(env.dir, 'untouched.db');
+    const { DATABASE_URL, ...rest } = process.env;
+
+    execFileSync(process.execPath, ['--input-type=module', '-e', "import './src/ckan-client.js';"], {
+      env: { ...rest, DB_PATH: path },
+      stdio: 'pipe'
+    });
+
+    assert.equal(fs.existsSync(path), false);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryEnvironment, insertInvoiceLines, listen } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { db, migrateDatabase } = await import('../src/database.js');
+const { refreshConcentration, yearsMissingConcentration, listConcentration, getConcentrationTrend } =
+  await import('../src/concentration.js');
+const { default: app } = await import('../src/server.js');
+
+let server;
+
+const spend = (year, category, amounts) => Object.entries(amounts).map(([supplierId, amount]) => ({
+  lasku_id: `${year}-${category}-${supplierId}`,
+  supplier_id: parseInt(supplierId),
+  hankintakategoria: category,
+  tositepvm: `${year}-03-01`,
+  tiliointisumma: amount
+}));
+
+before(async () => {
+  await migrateDatabase();
+  await insertInvoiceLines(db, [
+    // One supplier has the whole IT market in 2023
+    ...spend(2023, 'IT', { 1: 50000 }),
+    // 60/30/10 split in 2024; a credit note and a line without a supplier
+    // are left out
+    ...spend(2024, 'IT', { 1: 60000, 2: 30000, 3: 10000, 4: -500 }),
+    { lasku_id: 'no-supplier', hankintakategoria: 'IT', tositepvm: '2024-04-01', tiliointisumma: 99999 },
+    // Seven equal cleaning suppliers
+    ...spend(2024, 'Siivous', { 11: 1000, 12: 1000, 13: 1000, 14: 1000, 15: 1000, 16: 1000, 17: 1000 })
+  ]);
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+  await env.cleanup();
+});
+
+function approx(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+}
+
+async function metrics(dimension, key, year = 2024) {
+  return (await listConcentration({ dimension, year })).rows.find(row => row.key === key);
+}
+
+describe('refreshConcentration', () => {
+  test('computes every year that has no metrics yet', async () => {
+    assert.deepEqual((await yearsMissingConcentration()).sort(), [2023, 2024]);
+    assert.deepEqual((await refreshConcentration()).sort(), [2023, 2024]);
+    assert.deepEqual(await yearsMissingConcentration(), []);
+  });
+
+  test('computes HHI and top shares from positive spend per supplier', async () => {
+    const it = await metrics('category', 'IT');
+
+    assert.equal(it.supplierCount, 3);
+    assert.equal(it.totalValue, 100000);
+    approx(it.hhi, 60 * 60 + 30 * 30 + 10 * 10);
+    approx(it.top1Share, 0.6);
+    approx(it.top5Share, 1);
+    assert.equal(it.topSupplier.id, 1);
+  });
+
+  test('caps the top-5 share at the five largest suppliers', async () => {
+    const cleaning = await metrics('category', 'Siivous');
+
+    assert.equal(cleaning.supplierCount, 7);
+    approx(cleaning.hhi, 10000 / 7);
+    approx(cleaning.top1Share, 1 / 7);
+    approx(cleaning.top5Share, 5 / 7);
+  });
+
+  test('compares HHI with the previous year', async () => {
+    const it = await metrics('category', 'IT');
+
+    assert.equal(it.previousHhi, 10000);
+    approx(it.hhiChange, 4600 - 10000);
+    assert.equal((await metrics('category', 'Siivous')).hhiChange, null);
+  });
+
+  test('aggregates units and sectors across categories', async () => {
+    const unit = await metrics('unit', 'TV1');
+
+    assert.equal(unit.supplierCount, 10);
+    assert.equal(unit.totalValue, 107000);
+    assert.deepEqual((await listConcentration({ dimension: 'sector', year: 2024 })).rows.map(r => r.key), ['Valtio']);
+  });
+
+  test('agrees with the concentration of the unit and organization profiles', async () => {
+    const { getUnitProfile, getOrganizationProfile } = await import('../src/organizations.js');
+    const { hhi, top1Share, top5Share, supplierCount } = await metrics('unit', 'TV1');
+    const expected = { hhi, top1Share, top5Share, supplierCount };
+
+    assert.deepEqual((await getUnitProfile('TV1', { year: 2024 })).concentration, expected);
+    assert.deepEqual((await getOrganizationProfile('YM', { year: 2024 })).concentration, expected);
+  });
+
+  test('replaces only the refreshed years', async () => {
+    await insertInvoiceLines(db, spend(2024, 'IT', { 2: 40000 }).map(line => ({ ...line, lasku_id: 'extra' })));
+    await refreshConcentration({ years: [2024] });
+
+    const it = await metrics('category', 'IT');
+    assert.equal(it.totalValue, 140000);
+    approx(it.top1Share, 70000 / 140000);
+
+    const trend = await getConcentrationTrend('category', 'IT');
+    assert.deepEqual(trend.trend.map(t => [t.year, t.hhi]), [[2023, 10000], [2024, it.hhi]]);
+  });
+});
+
+describe('GET /api/analysis/concentration', () => {
+  async function get(path) {
+    const response = await fetch(`${server.baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('sorts, filters and pages the latest year', async () => {
+    const { body } = await get('/api/analysis/concentration?sort=supplierCount:desc&minSuppliers=3&limit=1');
+
+    assert.equal(body.year, 2024);
+    assert.deepEqual(body.data.map(row => row.key), ['Siivous']);
+    assert.deepEqual(body.pagination, { total: 2, limit: 1, offset: 0, hasMore: true });
+  });
+
+  test('filters by total value', async () => {
+    const { status, body } = await get('/api/analysis/concentration?minValue=50000');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(row => row.key), ['IT']);
+  });
+
+  test('rejects invalid numbers', async () => {
+    for (const query of ['limit=-1', 'offset=-1', 'limit=x', 'minSuppliers=-3', 'minSuppliers=many', 'year=2O24', 'minValue=abc', 'minValue=1e']) {
+      assert.equal((await get(`/api/analysis/concentration?${query}`)).status, 400, query);
+    }
+  });
+});
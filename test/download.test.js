@@ -0,0 +1,196 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import crypto from 'crypto';
+import { join } from 'path';
+import { useTemporaryEnvironment, FIXTURES_DIR } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { createCkanSource, downloadFile } = await import('../src/ckan-client.js');
+const { parseExpectedHash, createThrottle } = await import('../src/download.js');
+
+const FILE = fs.readFileSync(join(FIXTURES_DIR, 'th_data_2023.csv'));
+const SHA256 = crypto.createHash('sha256').update(FILE).digest('hex');
+
+// Silence the retry warnings of expected failures
+const warn = console.warn;
+console.warn = () => {};
+
+after(async () => {
+  console.warn = warn;
+  await env.cleanup();
+});
+
+/**
+ * HTTP server that answers the nth request with handlers[n] (the last one
+ * repeats) and records each request's Range header
+ */
+async function scriptedServer(handlers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ range: req.headers.range || null });
+    handlers[Math.min(requests.length, handlers.length) - 1](req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/th_data_2023.csv`,
+    close() {
+      server.closeAllConnections();
+      server.close();
+    }
+  };
+}
+
+function serveFile(req, res) {
+  const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+  if (range) {
+    const start = parseInt(range[1]);
+    res.writeHead(206, { 'Content-Range': `bytes ${start}-${FILE.length - 1}/${FILE.length}` });
+    return res.end(FILE.subarray(start));
+  }
+  res.writeHead(200, { 'Content-Length': FILE.length });
+  res.end(FILE);
+}
+
+function status(code) {
+  return (req, res) => {
+    res.writeHead(code);
+    res.end();
+  };
+}
+
+async function download(server, resource = {}, name = 'th_data_2023.csv') {
+  const downloadDir = join(env.dir, crypto.randomUUID());
+  const source = createCkanSource({ type: 'live', baseUrl: 'http://127.0.0.1:1' });
+  const result = await downloadFile({ name, url: server.url, ...resource }, { source, downloadDir });
+  return { ...result, downloadDir };
+}
+
+describe('resilient downloads', () => {
+  test('resumes after a dropped connection with a Range request', async () => {
+    const server = await scriptedServer([
+      (req, res) => {
+        res.writeHead(200, { 'Content-Length': FILE.length });
+        res.write(FILE.subarray(0, 100));
+        setTimeout(() => res.destroy(), 50);
+      },
+      serveFile
+    ]);
+
+    try {
+      const { filePath } = await download(server);
+
+      assert.deepEqual(fs.readFileSync(filePath), FILE);
+      assert.equal(server.requests.length, 2);
+      assert.equal(server.requests[1].range, 'bytes=100-');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('retries server errors and gives up on client errors', async () => {
+    const flaky = await scriptedServer([status(503), status(502), serveFile]);
+    const missing = await scriptedServer([status(404)]);
+
+    try {
+      const { filePath } = await download(flaky);
+      assert.deepEqual(fs.readFileSync(filePath), FILE);
+      assert.equal(flaky.requests.length, 3);
+
+      await assert.rejects(download(missing), /404/);
+      assert.equal(missing.requests.length, 1);
+    } finally {
+      flaky.close();
+      missing.close();
+    }
+  });
+
+  test('times out a stalled response and tries again', async () => {
+    const server = await scriptedServer([
+      (req, res) => {
+        res.writeHead(200, { 'Content-Length': FILE.length });
+        res.write(FILE.subarray(0, 10));
+      },
+      serveFile
+    ]);
+
+    try {
+      const { filePath } = await download(server);
+
+      assert.deepEqual(fs.readFileSync(filePath), FILE);
+      assert.equal(server.requests.length, 2);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('verifies size and hash before moving the file into place', async () => {
+    const server = await scriptedServer([serveFile]);
+
+    try {
+      const { filePath } = await download(server, { size: String(FILE.length), hash: `sha256:${SHA256}` });
+      assert.deepEqual(fs.readFileSync(filePath), FILE);
+
+      const downloadDir = join(env.dir, 'mismatch');
+      const source = createCkanSource({ type: 'live', baseUrl: 'http://127.0.0.1:1' });
+      const resource = { name: 'th_data_2023.csv', url: server.url, hash: 'd41d8cd98f00b204e9800998ecf8427e' };
+
+      await assert.rejects(downloadFile(resource, { source, downloadDir }), /Hash mismatch/);
+      assert.deepEqual(fs.readdirSync(downloadDir), []);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('discards partial files of other versions', async () => {
+    const server = await scriptedServer([serveFile]);
+    const downloadDir = join(env.dir, 'stale');
+    fs.mkdirSync(downloadDir);
+    fs.writeFileSync(join(downloadDir, 'th_data_2023.csv.0badf00d.part'), 'stale bytes');
+
+    try {
+      const source = createCkanSource({ type: 'live', baseUrl: 'http://127.0.0.1:1' });
+      await downloadFile({ name: 'th_data_2023.csv', url: server.url }, { source, downloadDir });
+
+      assert.deepEqual(fs.readdirSync(downloadDir), ['th_data_2023.csv']);
+      assert.equal(server.requests[0].range, null);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('download helpers', () => {
+  test('parseExpectedHash', () => {
+    assert.deepEqual(parseExpectedHash(`sha256:${SHA256}`), { algorithm: 'sha256', digest: SHA256 });
+    assert.deepEqual(parseExpectedHash('D41D8CD98F00B204E9800998ECF8427E'), {
+      algorithm: 'md5',
+      digest: 'd41d8cd98f00b204e9800998ecf8427e'
+    });
+    assert.equal(parseExpectedHash(''), null);
+    assert.equal(parseExpectedHash('not a hash'), null);
+  });
+
+  test('createThrottle limits concurrency and spaces starts', async () => {
+    const run = createThrottle({ concurrency: 2, intervalMs: 20 });
+    const starts = [];
+    let active = 0;
+    let maxActive = 0;
+
+    await Promise.all([1, 2, 3, 4].map(() => run(async () => {
+      starts.push(Date.now());
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      active--;
+    })));
+
+    assert.equal(maxActive, 2);
+    for (let i = 1; i < starts.length; i++) {
+      assert.ok(starts[i] - starts[i - 1] >= 19, `start ${i} followed too closely`);
+    }
+  });
+});
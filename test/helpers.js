@@ -0,0 +1,156 @@
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+// Offline stand-in for tutkihankintoja-data, with the Helsinki dataset in a
+// subdirectory named after its datasetId
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures/ckan');
+
+/**
+ * Run a statement on the PostgreSQL server of TEST_DATABASE_URL
+ */
+async function onTestServer(sql) {
+  const { default: pg } = await import('pg');
+  const client = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * A fresh database for one test file: a temporary SQLite file, or with
+ * TEST_DATABASE_URL set a new schema on that PostgreSQL server.
+ * Returns { url, drop }.
+ */
+async function createTestDatabase() {
+  if (!process.env.TEST_DATABASE_URL) {
+    return { url: null, drop: async () => {} };
+  }
+
+  // Extensions are shared by the whole database, so unaccent goes to public
+  // where every test schema sees it
+  const schema = `fpapi_test_${crypto.randomBytes(6).toString('hex')}`;
+  await onTestServer(`CREATE EXTENSION IF NOT EXISTS unaccent SCHEMA public; CREATE SCHEMA ${schema}`);
+
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  url.searchParams.set('options', `-c search_path=${schema},public`);
+
+  return {
+    url: url.toString(),
+    drop: () => onTestServer(`DROP SCHEMA ${schema} CASCADE`)
+  };
+}
+
+/**
+ * Point the app at a fresh temporary database and download directory and at
+ * the fixture dataset. Call before importing anything from src/: the
+ * database is opened on import.
+ */
+export async function useTemporaryEnvironment() {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'fpapi-test-'));
+  const database = await createTestDatabase();
+
+  if (database.url) {
+    process.env.DATABASE_URL = database.url;
+  } else {
+    delete process.env.DATABASE_URL;
+  }
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DB_PATH: join(dir, 'procurement.db'),
+    DOWNLOAD_DIR: join(dir, 'csv'),
+    CKAN_SOURCE: 'local',
+    CKAN_LOCAL_DIR: FIXTURES_DIR,
+    UPDATE_SCHEDULE: 'off',
+    RATE_LIMIT_MAX_REQUESTS: '100000',
+    RATE_LIMIT_HEAVY_MAX_REQUESTS: '100000',
+    DOWNLOAD_RETRY_DELAY_MS: '10',
+    DOWNLOAD_TIMEOUT_MS: '500',
+    CKAN_REQUEST_INTERVAL_MS: '0'
+  });
+
+  // The pipeline narrates every step; keep test output readable
+  const log = console.log;
+  console.log = () => {};
+
+  return {
+    dir,
+    async cleanup() {
+      console.log = log;
+      fs.rmSync(dir, { recursive: true, force: true });
+      await database.drop();
+    }
+  };
+}
+
+let lineCount = 0;
+
+/**
+ * Insert synthetic posting lines straight into procurement_invoices. Each
+ * line needs lasku_id, tositepvm (YYYY-MM-DD) and tiliointisumma; the rest
+ * have defaults. Suppliers referenced by supplier_id are created as needed.
+ */
+export async function insertInvoiceLines(db, lines) {
+  await db.transaction(async (tx) => {
+    const insertSupplier = tx.prepare(`
+      INSERT INTO suppliers (id, canonical_name) VALUES (?, ?)
+      ON CONFLICT (id) DO NOTHING
+    `);
+    const insertLine = tx.prepare(`
+      INSERT INTO procurement_invoices (
+        line_key, lasku_id, hankintayksikko, hankintayksikko_tunnus, ylaorganisaatio_tunnus,
+        toimittaja_nimi, supplier_id, hankintakategoria, tositepvm, tiliointisumma, sektori, data_year
+      ) VALUES (
+        @line_key, @lasku_id, @hankintayksikko, @hankintayksikko_tunnus, @ylaorganisaatio_tunnus,
+        @toimittaja_nimi, @supplier_id, @hankintakategoria, @tositepvm, @tiliointisumma, @sektori, @data_year
+      )
+    `);
+
+    for (const line of lines) {
+      const supplierName = line.toimittaja_nimi || (line.supplier_id ? `Toimittaja ${line.supplier_id} Oy` : null);
+      if (line.supplier_id) {
+        await insertSupplier.run(line.supplier_id, supplierName);
+      }
+      await insertLine.run({
+        hankintayksikko: 'Testivirasto',
+        hankintayksikko_tunnus: 'TV1',
+        ylaorganisaatio_tunnus: 'YM',
+        supplier_id: null,
+        hankintakategoria: 'Toimistotarvikkeet',
+        sektori: 'Valtio',
+        data_year: parseInt(line.tositepvm.slice(0, 4)),
+        ...line,
+        toimittaja_nimi: supplierName,
+        line_key: `${line.lasku_id}:${++lineCount}`
+      });
+    }
+
+    // Explicit ids don't advance PostgreSQL's sequence; suppliers created
+    // later by an import would collide with them
+    if (db.dialect.name === 'postgres') {
+      await tx.prepare(`
+        SELECT setval(pg_get_serial_sequence('suppliers', 'id'), MAX(id)) FROM suppliers
+      `).get();
+    }
+  });
+}
+
+/**
+ * Start an Express app on a free port. Resolves to { baseUrl, close }.
+ */
+export function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
@@ -0,0 +1,130 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { useTemporaryEnvironment } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { db, dialect, migrateDatabase } = await import('../src/database.js');
+const { listMigrations, getMigrationStatus, checkSchemaVersion } = await import('../src/migrations.js');
+
+after(async () => {
+  await db.close();
+  await env.cleanup();
+});
+
+const latest = listMigrations(dialect.name).at(-1).version;
+const tableExists = async (table) => Boolean(await db.prepare(dialect.tableExists('?')).get(table));
+
+describe('schema migrations', () => {
+  test('a new database is at version 0 with every migration pending', async () => {
+    const status = await getMigrationStatus(db);
+
+    assert.equal(status.current, 0);
+    assert.equal(status.latest, latest);
+    assert.deepEqual(status.applied, []);
+    assert.deepEqual(status.pending.map(m => m.version), listMigrations(dialect.name).map(m => m.version));
+    await assert.rejects(checkSchemaVersion(db), /version 0 does not match.*npm run migrate/);
+  });
+
+  test('a dry run lists the pending migrations and changes nothing', async () => {
+    const pending = await migrateDatabase({ dryRun: true });
+
+    assert.equal(pending[0].name, 'initial_schema');
+    assert.equal(await tableExists('schema_migrations'), false);
+    assert.equal(await tableExists('procurement_invoices'), false);
+  });
+
+  test('migrating applies and records every migration once', async () => {
+    const applied = await migrateDatabase();
+    assert.equal(applied.length, listMigrations(dialect.name).length);
+
+    const status = await getMigrationStatus(db);
+    assert.equal(status.current, latest);
+    assert.deepEqual(status.pending, []);
+    assert.equal(status.applied[0].name, 'initial_schema');
+    assert.ok(status.applied[0].applied_at);
+    assert.equal(await checkSchemaVersion(db), latest);
+    assert.equal(await tableExists('procurement_invoices'), true);
+
+    assert.deepEqual(await migrateDatabase(), []);
+  });
+
+  test('a database migrated by newer code is refused', async () => {
+    await db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(latest + 1, 'from_the_future');
+    try {
+      await assert.rejects(checkSchemaVersion(db), /newer than this code/);
+    } finally {
+      await db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(latest + 1);
+    }
+  });
+});
+
+describe('npm run migrate', { skip: dialect.name !== 'sqlite' }, () => {
+  const migrate = (path, ...args) => execFileSync(process.execPath, ['src/migrate.js', ...args], {
+    env: { ...process.env, DB_PATH: path },
+    encoding: 'utf-8'
+  });
+
+  test('adopts a database created before migrations were tracked', () => {
+    // Schema of the first release: one row per invoice, no dataset sources
+    const path = join(env.dir, 'legacy.db');
+    const legacy = new Database(path);
+    legacy.exec(`
+      CREATE TABLE procurement_invoices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lasku_id TEXT NOT NULL UNIQUE,
+        hankintayksikko TEXT NOT NULL,
+        toimittaja_nimi TEXT,
+        hankintakategoria TEXT NOT NULL,
+        tositepvm TEXT NOT NULL,
+        tiliointisumma REAL NOT NULL,
+        data_year INTEGER NOT NULL
+      );
+      CREATE TABLE dataset_metadata (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        resource_id TEXT NOT NULL UNIQUE,
+        resource_name TEXT NOT NULL,
+        resource_url TEXT NOT NULL
+      );
+      INSERT INTO procurement_invoices (lasku_id, hankintayksikko, toimittaja_nimi, hankintakategoria, tositepvm, tiliointisumma, data_year)
+      VALUES ('L1', 'Helsingin kaupunki', 'Äänekosken Paperi Oy', 'Paperi', '2020-03-01', 1200.5, 2020);
+    `);
+    legacy.close();
+
+    assert.match(migrate(path, 'status'), /Schema version 0/);
+    assert.match(migrate(path, '--dry-run'), /migration\(s\) would be applied; nothing was changed/);
+    assert.match(migrate(path), new RegExp(`Applied \\d+ migration\\(s\\); schema version ${latest}`));
+
+    const upgraded = new Database(path, { readonly: true });
+    try {
+      assert.deepEqual(
+        upgraded.prepare('SELECT line_key, source_id FROM procurement_invoices').all(),
+        [{ line_key: 'L1:legacy', source_id: 'tutkihankintoja' }]
+      );
+      assert.equal(upgraded.prepare("SELECT COUNT(*) FROM invoice_search WHERE invoice_search MATCH 'aanekosken'").pluck().get(), 1);
+      assert.equal(upgraded.prepare("SELECT COUNT(*) FROM pragma_table_info('dataset_metadata') WHERE name = 'file_hash'").pluck().get(), 1);
+    } finally {
+      upgraded.close();
+    }
+
+    assert.match(migrate(path, 'status'), new RegExp(`Schema version ${latest} \\(code expects ${latest}\\)`));
+  });
+
+  test('other commands refuse a database that is not migrated', () => {
+    const path = join(env.dir, 'new.db');
+    const run = (script, ...args) => execFileSync(process.execPath, [script, ...args], {
+      env: { ...process.env, DB_PATH: path },
+      encoding: 'utf-8',
+      stdio: 'pipe'
+    });
+
+    assert.throws(() => run('src/api-keys.js', 'list'), /version 0 does not match.*npm run migrate/);
+    assert.throws(() => run('src/data-updater.js'), /version 0 does not match.*npm run migrate/);
+
+    assert.match(run('src/init-db.js'), /Applied \d+ migration\(s\)/);
+    assert.doesNotThrow(() => run('src/api-keys.js', 'list'));
+  });
+});
@@ -0,0 +1,454 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import { join } from 'path';
+import { useTemporaryEnvironment, listen, FIXTURES_DIR } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { updateProcurementData } = await import('../src/data-updater.js');
+const { db, migrateDatabase } = await import('../src/database.js');
+const { default: app } = await import('../src/server.js');
+
+// The whole pipeline runs over HTTP against the mock CKAN server. The
+// Helsinki dataset (disabled by default) lives in a subdirectory.
+const ckan = { type: 'mock', dir: FIXTURES_DIR };
+
+let firstRun;
+let server;
+
+before(async () => {
+  await migrateDatabase();
+  firstRun = await updateProcurementData({ ckan });
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+  await env.cleanup();
+});
+
+async function get(path, headers = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, { headers });
+  const type = response.headers.get('content-type') || '';
+  const body = type.includes('application/json') ? await response.json() : await response.text();
+  return { status: response.status, headers: response.headers, body };
+}
+
+describe('import', () => {
+  test('imports every yearly file and quarantines invalid rows', () => {
+    const results = Object.fromEntries(firstRun.importResults.map(r => [r.filename, r]));
+
+    assert.equal(firstRun.importResults.length, 2);
+    assert.equal(results['th_data_2023.csv'].recordCount, 5);
+    assert.equal(results['th_data_2023.csv'].errorCount, 1);
+    assert.equal(results['th_data_2024.tsv'].recordCount, 2);
+    assert.deepEqual(firstRun.changes.added.sort(), ['th_data_2023.csv', 'th_data_2024.tsv']);
+  });
+
+  test('reads Finnish and English headers, amounts and dates', async () => {
+    const line = await db.prepare(`
+      SELECT tositepvm, tiliointisumma, data_year FROM procurement_invoices
+      WHERE lasku_id = '1001' ORDER BY tiliointisumma DESC
+    `).get();
+    assert.deepEqual({ ...line }, { tositepvm: '2023-01-15', tiliointisumma: 1200.5, data_year: 2023 });
+
+    const english = await db.prepare("SELECT hankintakategoria, sektori FROM procurement_invoices WHERE lasku_id = '2002'").get();
+    assert.deepEqual({ ...english }, { hankintakategoria: 'Siivouspalvelut', sektori: 'Kunta' });
+  });
+
+  test('resolves supplier name variants to one canonical supplier', async () => {
+    const ids = await db.prepare(`
+      SELECT DISTINCT supplier_id FROM procurement_invoices WHERE toimittaja_y_tunnus = '0112038-9'
+    `).pluck().all();
+    assert.equal(ids.length, 1);
+  });
+
+  test('skips unchanged files on the next run', async () => {
+    const rerun = await updateProcurementData({ ckan });
+
+    assert.equal(rerun.importResults.length, 0);
+    assert.deepEqual(rerun.changes.unchanged.sort(), ['th_data_2023.csv', 'th_data_2024.tsv']);
+  });
+});
+
+describe('HTTP routes', () => {
+  test('GET /api/health', async () => {
+    const { status, body } = await get('/api/health');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.database.totalLines, 7);
+  });
+
+  test('GET /api/procurement/invoices filters lines and whole invoices', async () => {
+    const lines = await get('/api/procurement/invoices?year=2023');
+    assert.equal(lines.status, 200);
+    assert.equal(lines.body.pagination.total, 5);
+
+    const invoices = await get('/api/procurement/invoices?year=2023&level=invoice');
+    assert.equal(invoices.body.pagination.total, 4);
+    assert.equal(invoices.body.data.find(i => i.lasku_id === '1001').tiliointisumma, 1500.5);
+
+    const invalid = await get('/api/procurement/invoices?sort=colour');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.success, false);
+  });
+
+  test('GET /api/procurement/invoices searches text', async () => {
+    const { body } = await get('/api/procurement/invoices?q=aanekosken');
+
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].supplier.name, 'Äänekosken Sähkö Oy');
+    assert.match(body.data[0].highlight.toimittaja_nimi, /<mark>Äänekosken<\/mark>/);
+  });
+
+  test('GET /api/search/suggest limits each kind of suggestion', async () => {
+    const { body: all } = await get('/api/search/suggest?q=oy');
+    assert.ok(all.data.suppliers.length > 1);
+
+    const { body } = await get('/api/search/suggest?q=oy&limit=1');
+    assert.deepEqual(body.data.suppliers, all.data.suppliers.slice(0, 1));
+
+    for (const query of ['limit=-1', 'limit=0', 'limit=21', 'limit=x']) {
+      const { status, body } = await get(`/api/search/suggest?q=oy&${query}`);
+      assert.equal(status, 400, query);
+      assert.match(body.error, /^limit must be an integer from 1 to 20/);
+    }
+  });
+
+  test('GET /api/suppliers searches and pages canonical suppliers', async () => {
+    const { body } = await get('/api/suppliers?q=firma');
+    assert.equal(body.pagination.total, 1);
+    assert.equal(body.data[0].businessId, '0112038-9');
+    assert.equal(body.data[0].lineCount, 4);
+
+    const { body: page } = await get('/api/suppliers?limit=2&offset=0');
+    assert.equal(page.data.length, 2);
+    assert.equal(page.pagination.hasMore, page.pagination.total > 2);
+
+    for (const query of ['limit=-1', 'limit=x', 'offset=-10']) {
+      assert.equal((await get(`/api/suppliers?${query}`)).status, 400, query);
+    }
+  });
+
+  test('GET /api/procurement/stats', async () => {
+    const { body } = await get('/api/procurement/stats?year=2023');
+
+    assert.equal(body.data.totalValue, 9650.5);
+    assert.equal(body.data.totalInvoices, 4);
+    assert.equal(body.data.totalLines, 5);
+    assert.equal(body.data.topCategories[0].category, 'ICT-palvelut');
+
+    for (const query of ['year=abc', 'year=-1', 'year=20.23']) {
+      const { status, body } = await get(`/api/procurement/stats?${query}`);
+      assert.equal(status, 400, query);
+      assert.match(body.error, /^year must be an integer/);
+    }
+  });
+
+  test('GET /api/procurement/aggregate', async () => {
+    const { body } = await get('/api/procurement/aggregate?groupBy=sektori&year=2023');
+
+    assert.deepEqual(body.data, [
+      { sektori: 'Kunta', sum: 7300, count: 2 },
+      { sektori: 'Valtio', sum: 2350.5, count: 3 }
+    ]);
+
+    const limited = await get('/api/procurement/aggregate?groupBy=sektori&year=2023&limit=1');
+    assert.equal(limited.body.data.length, 1);
+
+    for (const query of ['limit=-1', 'limit=0', 'limit=abc', 'limit=10001']) {
+      const { status, body } = await get(`/api/procurement/aggregate?groupBy=sektori&${query}`);
+      assert.equal(status, 400, query);
+      assert.match(body.error, /^limit must be an integer/);
+    }
+  });
+
+  test('rejects invalid numeric invoice filters', async () => {
+    const queries = ['minAmount=abc', 'maxAmount=1e', 'maxAmount=Infinity', 'year=abc', 'year=2O24', 'supplierId=x', 'supplierId=0'];
+    for (const path of ['/api/procurement/invoices', '/api/procurement/invoices/export', '/api/procurement/aggregate']) {
+      for (const query of queries) {
+        const { status, body } = await get(`${path}?${query}`);
+        assert.equal(status, 400, `${path}?${query}`);
+        assert.match(body.error, /^(minAmount|maxAmount|year|supplierId) must be/);
+      }
+    }
+
+    const amounts = await get('/api/procurement/invoices?year=2023&minAmount=1000.5&maxAmount=5000');
+    assert.equal(amounts.status, 200);
+    assert.ok(amounts.body.data.every(line => line.tiliointisumma >= 1000.5 && line.tiliointisumma <= 5000));
+  });
+
+  test('GET unit and organization profiles for one year', async () => {
+    const organizations = await get('/api/organizations?year=2023');
+    assert.equal(organizations.body.year, 2023);
+    assert.ok(organizations.body.data.some(org => org.id === 'VM'));
+
+    assert.equal((await get('/api/units/V1?year=2023')).status, 200);
+    assert.equal((await get('/api/organizations/VM?year=2023')).status, 200);
+
+    for (const path of ['/api/units/V1', '/api/organizations', '/api/organizations/VM']) {
+      for (const query of ['year=abc', 'year=-1']) {
+        const { status, body } = await get(`${path}?${query}`);
+        assert.equal(status, 400, `${path}?${query}`);
+        assert.match(body.error, /^year must be an integer/);
+      }
+    }
+  });
+
+  test('GET lookup lists', async () => {
+    const categories = await get('/api/procurement/categories');
+    assert.deepEqual(categories.body.data, ['Energia', 'ICT-palvelut', 'Siivouspalvelut']);
+
+    const cities = await get('/api/procurement/cities');
+    assert.deepEqual(cities.body.data, ['Espoo', 'Helsinki', 'Äänekoski']);
+  });
+
+  test('answers conditional requests with 304', async () => {
+    const first = await get('/api/procurement/categories');
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    // fetch() would add Cache-Control: no-cache, which forces a full response
+    const second = await get('/api/procurement/categories', { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' });
+    assert.equal(second.status, 304);
+  });
+
+  test('GET /api/procurement/invoices/export streams CSV', async () => {
+    const { status, headers, body } = await get('/api/procurement/invoices/export?year=2024&format=csv');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/csv/);
+    assert.equal(body.trim().split('\n').length, 3);
+
+    const limited = await get('/api/procurement/invoices/export?year=2024&format=csv&limit=1');
+    assert.equal(limited.body.trim().split('\n').length, 2);
+
+    for (const query of ['limit=-3', 'limit=0', 'limit=abc', 'format=xlsx&limit=1048576']) {
+      const { status, headers, body } = await get(`/api/procurement/invoices/export?${query}`);
+      assert.equal(status, 400, query);
+      assert.match(headers.get('content-type'), /application\/json/);
+      assert.match(body.error, /^limit must be an integer from 1 to/);
+    }
+  });
+
+  test('starts CSV exports with a UTF-8 byte order mark', async () => {
+    const response = await fetch(`${server.baseUrl}/api/procurement/invoices/export?format=csv&delimiter=semicolon`);
+    const bytes = Buffer.from(await response.arrayBuffer());
+
+    assert.deepEqual([...bytes.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+    assert.match(bytes.toString('utf-8'), /Äänekosken Sähkö Oy/);
+  });
+
+  test('stops exporting when the client disconnects while the response is full', { timeout: 10000 }, async () => {
+    const { streamInvoiceExport, parseExportOptions } = await import('../src/export.js');
+    const { buildInvoiceQuery } = await import('../src/invoice-query.js');
+
+    // A response whose buffer is always full and whose client leaves after
+    // the header: it never emits 'drain'
+    const res = new EventEmitter();
+    res.destroyed = false;
+    const written = [];
+    res.write = (chunk) => {
+      written.push(chunk);
+      setImmediate(() => {
+        res.destroyed = true;
+        res.emit('close');
+      });
+      return false;
+    };
+    res.end = () => assert.fail('a closed response must not be ended');
+
+    const count = await streamInvoiceExport(res, buildInvoiceQuery({}), parseExportOptions({ format: 'csv' }));
+
+    assert.equal(count, 0);
+    assert.equal(written.length, 1);
+  });
+
+  test('GET /api/imports reports each run', async () => {
+    const { body } = await get('/api/imports');
+    const run2023 = body.data.find(r => r.resource_name === 'th_data_2023.csv');
+
+    assert.equal(body.pagination.total, 2);
+    assert.equal(run2023.accepted_count, 5);
+    assert.equal(run2023.rejected_count, 1);
+  });
+
+  test('GET /api/imports/:id shows a run with its quarantined rows', async () => {
+    const { body: list } = await get('/api/imports');
+    const run2023 = list.data.find(r => r.resource_name === 'th_data_2023.csv');
+
+    const { status, body } = await get(`/api/imports/${run2023.id}?limit=10`);
+    assert.equal(status, 200);
+    assert.equal(body.data.id, run2023.id);
+    assert.equal(body.data.rejects.length, 1);
+
+    assert.equal((await get('/api/imports/abc')).status, 404);
+    assert.equal((await get('/api/imports/999999')).status, 404);
+    assert.equal((await get(`/api/imports/${run2023.id}?offset=-1`)).status, 400);
+    assert.equal((await get('/api/imports?limit=-5')).status, 400);
+  });
+
+  test('unknown routes return 404', async () => {
+    const { status, body } = await get('/api/nothing-here');
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+});
+
+describe('invoice pagination', () => {
+  // Follow nextCursor from the first page until no more pages follow
+  async function pageThrough(query, limit) {
+    const rows = [];
+    let cursor = null;
+    do {
+      const { status, body } = await get(`/api/procurement/invoices?${query}&limit=${limit}${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.equal(status, 200);
+      assert.ok(body.data.length <= limit);
+      rows.push(...body.data);
+      cursor = body.pagination.nextCursor;
+    } while (cursor);
+    return rows;
+  }
+
+  const sorts = ['date:desc', 'date:asc', 'amount:asc', 'supplier:asc,date:desc', 'city:desc,amount:desc', 'unit:asc,category:desc'];
+  for (const sort of sorts) {
+    test(`cursor pages cover every line once with sort=${sort}`, async () => {
+      const { body } = await get(`/api/procurement/invoices?sort=${sort}`);
+      const pages = await pageThrough(`sort=${sort}`, 2);
+
+      assert.equal(body.data.length, 7);
+      assert.deepEqual(pages.map(r => r.line_key), body.data.map(r => r.line_key));
+    });
+  }
+
+  test('cursor pages whole invoices', async () => {
+    const { body } = await get('/api/procurement/invoices?level=invoice&sort=amount:desc');
+    const pages = await pageThrough('level=invoice&sort=amount:desc', 3);
+
+    assert.deepEqual(pages.map(r => r.lasku_id), body.data.map(r => r.lasku_id));
+  });
+
+  test('offset pages slice the same order', async () => {
+    const { body: all } = await get('/api/procurement/invoices?sort=supplier:asc');
+    const { body } = await get('/api/procurement/invoices?sort=supplier:asc&limit=3&offset=3');
+
+    assert.deepEqual(body.data.map(r => r.line_key), all.data.slice(3, 6).map(r => r.line_key));
+    assert.equal(body.pagination.hasMore, true);
+  });
+
+  test('rejects a cursor issued for another sort', async () => {
+    const { body: first } = await get('/api/procurement/invoices?sort=amount:asc&limit=2');
+    const { status } = await get(`/api/procurement/invoices?sort=date:desc&limit=2&cursor=${first.pagination.nextCursor}`);
+
+    assert.equal(status, 400);
+  });
+
+  test('rejects a cursor holding values that are not sort values', async () => {
+    const { body: first } = await get('/api/procurement/invoices?sort=amount:asc&limit=2');
+    const decoded = JSON.parse(Buffer.from(first.pagination.nextCursor, 'base64url').toString('utf-8'));
+
+    for (const values of [[{}, {}], [[1], 2], [true, 2]]) {
+      const cursor = Buffer.from(JSON.stringify({ ...decoded, v: values })).toString('base64url');
+      const { status, body } = await get(`/api/procurement/invoices?sort=amount:asc&limit=2&cursor=${cursor}`);
+      assert.equal(status, 400, JSON.stringify(values));
+      assert.equal(body.error, 'Invalid cursor');
+    }
+  });
+
+  test('rejects invalid limit and offset values', async () => {
+    for (const query of ['limit=0', 'limit=-1', 'limit=abc', 'limit=1001', 'limit=2.5', 'offset=-1', 'offset=x']) {
+      const { status, body } = await get(`/api/procurement/invoices?${query}`);
+      assert.equal(status, 400, query);
+      assert.match(body.error, /^(limit|offset) must be an integer/);
+    }
+  });
+});
+
+describe('dataset sources', () => {
+  let helsinki;
+
+  before(async () => {
+    helsinki = await updateProcurementData({ sources: ['helsinki'], ckan });
+  });
+
+  test('imports a municipal dataset with its own profile, defaults and sector', async () => {
+    assert.equal(helsinki.importResults.length, 1);
+    assert.deepEqual(helsinki.importResults[0].dataYears, [2023, 2024]);
+
+    const lines = (await db.prepare(`
+      SELECT lasku_id, hankintayksikko, hankintakategoria, sektori, data_year
+      FROM procurement_invoices WHERE source_id = 'helsinki' ORDER BY tositepvm, tiliointisumma DESC
+    `).all()).map(row => ({ ...row }));
+    assert.equal(lines.length, 3);
+    assert.deepEqual(lines[0], {
+      lasku_id: 'helsinki:1001',
+      hankintayksikko: 'Helsingin kaupunki',
+      hankintakategoria: 'Sähkö',
+      sektori: 'Kunta',
+      data_year: 2023
+    });
+    assert.equal(lines[2].data_year, 2024);
+
+    // Invoice 1001 of tutkihankintoja-data is untouched
+    const original = await db.prepare("SELECT COUNT(*) FROM procurement_invoices WHERE lasku_id = '1001'").pluck().get();
+    assert.equal(original, 2);
+  });
+
+  test('GET /api/sources lists sources with what was imported', async () => {
+    const { body } = await get('/api/sources');
+    const sources = Object.fromEntries(body.data.map(s => [s.id, s]));
+
+    assert.equal(sources.tutkihankintoja.lines, 7);
+    assert.equal(sources.helsinki.enabled, false);
+    assert.equal(sources.helsinki.files, 1);
+    assert.equal(sources.helsinki.lines, 3);
+    assert.equal(sources.helsinki.invoices, 2);
+    assert.deepEqual(sources.helsinki.years, [2023, 2024]);
+  });
+
+  test('filters invoices and aggregates by source', async () => {
+    const lines = await get('/api/procurement/invoices?source=helsinki');
+    assert.equal(lines.body.pagination.total, 3);
+    assert.ok(lines.body.data.every(line => line.source_id === 'helsinki'));
+
+    const bySource = await get('/api/procurement/aggregate?groupBy=source&measures=sum,invoices');
+    assert.equal(bySource.body.fromRollups, true);
+    assert.deepEqual(bySource.body.data.find(row => row.source === 'helsinki'), { source: 'helsinki', sum: 1300, invoices: 2 });
+
+    const unknown = await get('/api/procurement/invoices?source=nowhere');
+    assert.equal(unknown.status, 400);
+  });
+});
+
+// Runs last: the failed run shows up in /api/imports
+describe('failed import', () => {
+  test('leaves no suppliers behind when an import fails', async () => {
+    const { importCSVFile } = await import('../src/csv-importer.js');
+    const filePath = join(env.dir, 'th_data_2025.csv');
+    const header = fs.readFileSync(join(FIXTURES_DIR, 'th_data_2023.csv'), 'utf-8').split('\n')[0];
+    fs.writeFileSync(filePath, [
+      header,
+      '9001;Verohallinto;V1;Valtiovarainministeriö;VM;;Kadonnut Toimittaja Oy;Helsinki;4300;ICT-palvelut;Ohjelmistot;15.1.2025;100,00;Valtio',
+      '9002;Verohallinto;V1;Valtiovarainministeriö;VM;;"Firma Oy'
+    ].join('\n'));
+    const suppliers = () => db.prepare('SELECT COUNT(*) FROM suppliers').pluck().get();
+    const before = await suppliers();
+
+    // The importer reports the failure on stderr
+    const error = console.error;
+    console.error = () => {};
+    try {
+      await assert.rejects(importCSVFile(filePath, { id: 'broken-2025', name: 'th_data_2025.csv', format: 'CSV' }), /Quote Not Closed/);
+    } finally {
+      console.error = error;
+    }
+
+    assert.equal(await suppliers(), before);
+    assert.equal(await db.prepare("SELECT COUNT(*) FROM suppliers WHERE canonical_name = 'Kadonnut Toimittaja Oy'").pluck().get(), 0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryEnvironment, listen } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+// Small quotas, behind one proxy hop as on Railway
+Object.assign(process.env, {
+  RATE_LIMIT_MAX_REQUESTS: '3',
+  RATE_LIMIT_HEAVY_MAX_REQUESTS: '1',
+  RAILWAY_ENVIRONMENT_NAME: 'test'
+});
+
+const { db, migrateDatabase } = await import('../src/database.js');
+const { createApiKey, revokeApiKey, flushApiKeyUsage, listApiKeys } = await import('../src/api-keys.js');
+const { default: app } = await import('../src/server.js');
+
+let server;
+
+before(async () => {
+  await migrateDatabase();
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+  delete process.env.RAILWAY_ENVIRONMENT_NAME;
+  await env.cleanup();
+});
+
+async function get(path, headers = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, { headers });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Every client gets its own address so quotas don't carry over between tests
+let clients = 0;
+const client = () => ({ 'X-Forwarded-For': `203.0.113.${++clients}` });
+
+describe('rate limits', () => {
+  test('limits anonymous requests per client IP', async () => {
+    const first = client();
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await get('/api/procurement/categories', first)).status, 200);
+    }
+
+    const limited = await get('/api/procurement/categories', first);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.success, false);
+    assert.equal(limited.headers.get('ratelimit-limit'), '3');
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+
+    // Another client behind the same proxy has its own quota
+    assert.equal((await get('/api/procurement/categories', client())).status, 200);
+  });
+
+  test('does not count health checks', async () => {
+    const headers = client();
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await get('/api/health', headers)).status, 200);
+    }
+  });
+
+  test('applies the stricter heavy limit to aggregations', async () => {
+    const headers = client();
+
+    assert.equal((await get('/api/procurement/aggregate?groupBy=sektori', headers)).status, 200);
+    assert.equal((await get('/api/procurement/aggregate?groupBy=sektori', headers)).status, 429);
+    assert.equal((await get('/api/procurement/categories', headers)).status, 200);
+  });
+});
+
+describe('API keys', () => {
+  test('gives a key its own quotas, shared across client IPs', async () => {
+    const { key } = await createApiKey({ name: 'Newsroom', rateLimit: 5, heavyRateLimit: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      const { status, headers } = await get('/api/procurement/categories', { ...client(), 'X-API-Key': key });
+      assert.equal(status, 200);
+      assert.equal(headers.get('ratelimit-limit'), '5');
+    }
+    assert.equal((await get('/api/procurement/categories', { ...client(), 'X-API-Key': key })).status, 429);
+  });
+
+  test('gives a key its own heavy quota and counts its usage', async () => {
+    const { id, key } = await createApiKey({ name: 'Research', heavyRateLimit: 2 });
+    const headers = { ...client(), Authorization: `Bearer ${key}` };
+
+    assert.equal((await get('/api/procurement/aggregate?groupBy=sektori', headers)).status, 200);
+    assert.equal((await get('/api/procurement/aggregate?groupBy=sektori', headers)).status, 200);
+    assert.equal((await get('/api/procurement/aggregate?groupBy=sektori', headers)).status, 429);
+
+    await flushApiKeyUsage();
+    const stored = (await listApiKeys()).find(k => k.id === id);
+    assert.equal(stored.request_count, 3);
+    assert.ok(stored.last_used_at);
+  });
+
+  test('rejects unknown and revoked keys', async () => {
+    assert.equal((await get('/api/procurement/categories', { ...client(), 'X-API-Key': 'fpk_unknown' })).status, 401);
+
+    const { id, key } = await createApiKey({ name: 'Former partner' });
+    assert.equal((await get('/api/procurement/categories', { ...client(), 'X-API-Key': key })).status, 200);
+
+    await revokeApiKey(id);
+    const revoked = await get('/api/procurement/categories', { ...client(), 'X-API-Key': key });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.success, false);
+  });
+});
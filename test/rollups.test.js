@@ -0,0 +1,191 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { useTemporaryEnvironment, insertInvoiceLines, listen, FIXTURES_DIR } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { db, migrateDatabase } = await import('../src/database.js');
+const { refreshRollups, yearsMissingRollups, getRollupStats } = await import('../src/rollups.js');
+const { updateProcurementData } = await import('../src/data-updater.js');
+const { default: app } = await import('../src/server.js');
+
+let server;
+
+before(async () => {
+  await migrateDatabase();
+  await insertInvoiceLines(db, [
+    // Lines in January and February
+    { lasku_id: 'A1', supplier_id: 1, hankintakategoria: 'IT', tositepvm: '2024-01-30', tiliointisumma: 1000 },
+    { lasku_id: 'A1', supplier_id: 1, hankintakategoria: 'IT', tositepvm: '2024-02-02', tiliointisumma: 500 },
+    // Lines in two months and two categories
+    { lasku_id: 'A2', supplier_id: 1, hankintakategoria: 'IT', tositepvm: '2024-01-15', tiliointisumma: 2000 },
+    { lasku_id: 'A2', supplier_id: 1, tositepvm: '2024-03-15', tiliointisumma: 300 },
+    { lasku_id: 'A3', supplier_id: 2, hankintakategoria: 'IT', tositepvm: '2024-02-10', tiliointisumma: 700 },
+    { lasku_id: 'A4', supplier_id: 2, tositepvm: '2024-03-01', tiliointisumma: 100 },
+    { lasku_id: 'A4', supplier_id: 2, tositepvm: '2024-03-01', tiliointisumma: 200 },
+    { lasku_id: 'A4', supplier_id: 2, tositepvm: '2024-03-02', tiliointisumma: -50 },
+    { lasku_id: 'A5', hankintakategoria: 'Energia', tositepvm: '2024-04-01', tiliointisumma: 900 },
+    { lasku_id: 'B1', supplier_id: 3, hankintakategoria: 'Energia', tositepvm: '2023-06-01', tiliointisumma: 400 },
+    { lasku_id: 'B1', supplier_id: 3, hankintakategoria: 'Energia', tositepvm: '2023-07-01', tiliointisumma: 400 }
+  ]);
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+  await env.cleanup();
+});
+
+/**
+ * Value, lines and invoices per key from the rollups and from the lines,
+ * sorted by key
+ */
+async function totals(key, invoiceCount) {
+  const sort = rows => rows
+    .map(row => ({ key: row.key, value: Number(row.value), lines: Number(row.lines), invoices: Number(row.invoices) }))
+    .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+
+  return {
+    rollups: sort(await db.prepare(`
+      SELECT ${key} as key, SUM(total_value) as value, SUM(line_count) as lines, SUM(${invoiceCount}) as invoices
+      FROM monthly_rollups GROUP BY ${key}
+    `).all()),
+    lines: sort(await db.prepare(`
+      SELECT ${key} as key, SUM(tiliointisumma) as value, COUNT(*) as lines, COUNT(DISTINCT lasku_id) as invoices
+      FROM procurement_invoices GROUP BY ${key}
+    `).all())
+  };
+}
+
+describe('refreshRollups', () => {
+  test('rolls up every year that has none yet', async () => {
+    assert.deepEqual((await yearsMissingRollups()).sort(), [2023, 2024]);
+    assert.deepEqual((await refreshRollups()).sort(), [2023, 2024]);
+    assert.deepEqual(await yearsMissingRollups(), []);
+  });
+
+  test('adds up to the totals of the lines, with invoices spanning months', async () => {
+    for (const [key, invoiceCount] of [
+      ['data_year', 'first_invoice_count'],
+      ['supplier_id', 'first_invoice_count'],
+      ['source_id', 'first_invoice_count'],
+      ['hankintakategoria', 'invoice_count'],
+      ["data_year || ':' || hankintakategoria", 'invoice_count']
+    ]) {
+      const { rollups, lines } = await totals(key, invoiceCount);
+      assert.deepEqual(rollups, lines, key);
+    }
+  });
+
+  test('counts an invoice in the month of its first line', async () => {
+    const months = await db.prepare(`
+      SELECT month, SUM(first_invoice_count) as invoices
+      FROM monthly_rollups WHERE data_year = 2024 GROUP BY month ORDER BY month
+    `).all();
+
+    assert.deepEqual(months.map(m => [m.month, Number(m.invoices)]), [
+      ['2024-01', 2], ['2024-02', 1], ['2024-03', 1], ['2024-04', 1]
+    ]);
+  });
+
+  test('rebuilds a single year', async () => {
+    await insertInvoiceLines(db, [
+      { lasku_id: 'B2', supplier_id: 3, hankintakategoria: 'Energia', tositepvm: '2023-12-31', tiliointisumma: 50 }
+    ]);
+    assert.deepEqual(await refreshRollups({ years: [2023] }), [2023]);
+
+    const { rollups, lines } = await totals('data_year', 'first_invoice_count');
+    assert.deepEqual(rollups, lines);
+    assert.deepEqual(rollups.find(row => row.key === 2023), { key: 2023, value: 850, lines: 3, invoices: 2 });
+  });
+});
+
+describe('getRollupStats', () => {
+  test('counts each invoice once per category and once overall', async () => {
+    const stats = await getRollupStats(2024);
+
+    assert.equal(stats.totalValue, 5650);
+    assert.equal(stats.totalInvoices, 5);
+    assert.equal(stats.totalLines, 9);
+    assert.deepEqual(stats.topCategories.map(c => [c.category, Number(c.count)]), [
+      ['IT', 3], ['Energia', 1], ['Toimistotarvikkeet', 2]
+    ]);
+    assert.deepEqual(stats.topSuppliers.map(s => [s.supplier_id, Number(s.invoice_count)]), [[1, 2], [2, 2]]);
+  });
+});
+
+describe('GET /api/procurement/aggregate', () => {
+  async function get(path) {
+    const response = await fetch(`${server.baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('reads invoice counts per category and per supplier from the rollups', async () => {
+    const byCategory = await get('/api/procurement/aggregate?groupBy=hankintakategoria&measures=invoices&year=2024&sort=hankintakategoria:asc');
+    assert.equal(byCategory.body.fromRollups, true);
+    assert.deepEqual(byCategory.body.data.map(row => [row.hankintakategoria, row.invoices]), [
+      ['Energia', 1], ['IT', 3], ['Toimistotarvikkeet', 2]
+    ]);
+
+    const itBySupplier = await get('/api/procurement/aggregate?groupBy=supplier&measures=invoices&category=IT&sort=supplier:asc');
+    assert.equal(itBySupplier.body.fromRollups, true);
+    assert.deepEqual(itBySupplier.body.data.map(row => row.invoices), [2, 1]);
+  });
+
+  test('counts invoices per month from the lines', async () => {
+    const { body } = await get('/api/procurement/aggregate?bucket=month&measures=invoices&year=2024&sort=period:asc');
+
+    assert.equal(body.fromRollups, false);
+    assert.deepEqual(body.data.map(row => [row.period, row.invoices]), [
+      ['2024-01', 2], ['2024-02', 2], ['2024-03', 2], ['2024-04', 1]
+    ]);
+  });
+});
+
+describe('rollups after a re-import', () => {
+  test('drop a year whose rows moved to another year', async () => {
+    // The Helsinki files take each row's year from its date
+    const dir = join(env.dir, 'ckan');
+    const datasetDir = join(dir, 'helsingin-kaupungin-ostolaskut');
+    fs.mkdirSync(datasetDir, { recursive: true });
+    const file = join(datasetDir, 'ostolaskut.csv');
+    fs.copyFileSync(join(FIXTURES_DIR, 'helsingin-kaupungin-ostolaskut', 'ostolaskut.csv'), file);
+
+    const update = () => updateProcurementData({ sources: ['helsinki'], ckan: { type: 'local', dir } });
+    const helsinkiYears = () => db.prepare(`
+      SELECT DISTINCT data_year FROM monthly_rollups WHERE source_id = 'helsinki' ORDER BY data_year
+    `).pluck().all();
+
+    await update();
+    assert.deepEqual(await helsinkiYears(), [2023, 2024]);
+
+    // The 2024 invoice is corrected to 2023
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('2.1.2024', '2.1.2023'));
+    const later = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(file, later, later);
+
+    const { importResults } = await update();
+    assert.deepEqual(importResults[0].dataYears, [2023]);
+    assert.deepEqual(importResults[0].replacedYears, [2023, 2024]);
+    assert.deepEqual(await helsinkiYears(), [2023]);
+
+    const { rollups, lines } = await totals('data_year', 'first_invoice_count');
+    assert.deepEqual(rollups, lines);
+  });
+
+  test('count an invoice with lines in two data years once per year', async () => {
+    await insertInvoiceLines(db, [
+      { lasku_id: 'C1', supplier_id: 3, hankintakategoria: 'Energia', tositepvm: '2023-12-30', tiliointisumma: 10 },
+      { lasku_id: 'C1', supplier_id: 3, hankintakategoria: 'Energia', tositepvm: '2024-01-02', tiliointisumma: 20 }
+    ]);
+    await refreshRollups();
+
+    const distinct = await db.prepare('SELECT COUNT(DISTINCT lasku_id) FROM procurement_invoices').pluck().get();
+    const stats = await getRollupStats();
+    assert.equal(stats.totalInvoices, Number(distinct) + 1);
+    assert.equal(stats.totalInvoices, (await getRollupStats(2023)).totalInvoices + (await getRollupStats(2024)).totalInvoices);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { useTemporaryEnvironment, FIXTURES_DIR } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { db, migrateDatabase } = await import('../src/database.js');
+const { runScheduledUpdate, getSchedulerStatus } = await import('../src/scheduler.js');
+
+after(async () => {
+  await db.close();
+  await env.cleanup();
+});
+
+// Failed runs report on stderr; keep the test output readable
+async function quietly(fn) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+}
+
+describe('runScheduledUpdate', () => {
+  test('survives a database it cannot record its status in', async () => {
+    // Not migrated yet: even system_config is missing
+    assert.equal(await quietly(() => runScheduledUpdate()), null);
+  });
+
+  test('runs again after a failed run and records the outcome', async () => {
+    await migrateDatabase();
+
+    const failed = await quietly(() => runScheduledUpdate({ ckan: { type: 'local', dir: join(env.dir, 'missing') } }));
+    assert.equal(failed, null);
+
+    let status = await getSchedulerStatus();
+    assert.equal(status.running, false);
+    assert.equal(status.lastRun.status, 'failed');
+    assert.ok(status.lastRun.error);
+    assert.ok(status.lastRun.finishedAt);
+
+    const results = await runScheduledUpdate({ ckan: { type: 'local', dir: FIXTURES_DIR } });
+    assert.equal(results.length, 2);
+
+    status = await getSchedulerStatus();
+    assert.equal(status.lastRun.status, 'success');
+    assert.equal(status.lastRun.error, null);
+  });
+});
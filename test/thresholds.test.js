@@ -0,0 +1,154 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTemporaryEnvironment, insertInvoiceLines, listen } from './helpers.js';
+
+const env = await useTemporaryEnvironment();
+
+const { db, migrateDatabase } = await import('../src/database.js');
+const { analyzeThresholds, categoryType, thresholdsFor, loadThresholdConfig } = await import('../src/thresholds.js');
+const { loadProfiles } = await import('../src/column-mapping.js');
+const { configHash, cached } = await import('../src/cache.js');
+const { default: app } = await import('../src/server.js');
+
+let report;
+let server;
+
+// In 2024 a municipality's national threshold for supplies and services is
+// €60,000, and the near band starts at 80% of it (€48,000)
+const invoices = (supplierId, amounts, extra = {}) => amounts.map((amount, i) => ({
+  lasku_id: `${supplierId}-${i}`,
+  supplier_id: supplierId,
+  sektori: 'Kunta',
+  tositepvm: `2024-0${i + 1}-10`,
+  tiliointisumma: amount,
+  ...extra
+}));
+
+before(async () => {
+  await migrateDatabase();
+  await insertInvoiceLines(db, [
+    ...invoices(1, [70000]),
+    ...invoices(2, [25000, 25000]),
+    ...invoices(3, [50000, 50000, 50000]),
+    ...invoices(4, [14000, 14000, 14000, 14000, 14000]),
+    ...invoices(5, [55000]),
+    ...invoices(6, [10000]),
+    ...invoices(7, [100000], { hankintakategoria: 'Talonrakentaminen' })
+  ]);
+
+  report = await analyzeThresholds({ year: 2024 });
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await db.close();
+  await env.cleanup();
+});
+
+function pairOf(supplierId) {
+  return report.rows.find(row => row.supplier.id === supplierId);
+}
+
+describe('threshold configuration', () => {
+  test('maps categories to types by name pattern', () => {
+    assert.equal(categoryType('Talonrakentaminen'), 'works');
+    assert.equal(categoryType('Terveyspalvelut'), 'social_health');
+    assert.equal(categoryType('Toimistotarvikkeet'), 'supplies_services');
+  });
+
+  test('prefers a table limited to the sector', () => {
+    const eu = (sector) => thresholdsFor(2024, sector, 'supplies_services').find(t => t.name === 'eu');
+
+    assert.ok(eu('Valtio').value < eu('Kunta').value);
+    assert.equal(thresholdsFor(2024, 'Kunta', 'supplies_services')[0].value, 60000);
+  });
+});
+
+describe('analyzeThresholds', () => {
+  test('flags yearly spend at or above a threshold as crossed', () => {
+    assert.deepEqual(pairOf(1).flags, ['crossed']);
+    assert.equal(pairOf(1).thresholds[0].ratio, 70000 / 60000);
+  });
+
+  test('flags spend within the near band as near', () => {
+    assert.deepEqual(pairOf(2).flags, ['near']);
+    assert.deepEqual(pairOf(5).flags, ['near']);
+  });
+
+  test('flags splitting when two or more invoices fall just under a threshold the total crosses', () => {
+    const pair = pairOf(3);
+
+    assert.deepEqual(pair.flags.sort(), ['crossed', 'splitting']);
+    assert.equal(pair.thresholds[0].justUnderCount, 3);
+  });
+
+  test('does not flag splitting for one invoice just under the threshold', () => {
+    assert.equal(pairOf(5).thresholds[0].justUnderCount, 1);
+    assert.ok(!pairOf(5).flags.includes('splitting'));
+  });
+
+  test('does not flag splitting for many small invoices adding up past the threshold', () => {
+    const pair = pairOf(4);
+
+    assert.equal(pair.total, 70000);
+    assert.deepEqual(pair.flags, ['crossed']);
+    assert.equal(pair.thresholds[0].justUnderCount, 0);
+  });
+
+  test('leaves out spend below the near band of its own category type', () => {
+    assert.equal(pairOf(6), undefined);
+    // €100,000 of works is below 80% of the €150,000 works threshold
+    assert.equal(pairOf(7), undefined);
+    assert.equal(report.total, 5);
+  });
+
+  test('summarises and filters by status', async () => {
+    assert.deepEqual(report.summary, { crossed: 3, near: 2, splitting: 1 });
+
+    const splitting = await analyzeThresholds({ year: 2024, status: 'splitting' });
+    assert.deepEqual(splitting.rows.map(row => row.supplier.id), [3]);
+  });
+});
+
+describe('GET /api/analysis/thresholds', () => {
+  async function get(path) {
+    const response = await fetch(`${server.baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('defaults to the latest year and pages the report', async () => {
+    const { body } = await get('/api/analysis/thresholds?limit=2&offset=1');
+
+    assert.equal(body.year, 2024);
+    assert.equal(body.data.length, 2);
+    assert.deepEqual(body.pagination, { total: 5, limit: 2, offset: 1, hasMore: true });
+  });
+
+  test('rejects invalid numbers', async () => {
+    for (const query of ['limit=-1', 'offset=-5', 'limit=abc', 'year=abc', 'supplierId=x']) {
+      assert.equal((await get(`/api/analysis/thresholds?${query}`)).status, 400, query);
+    }
+  });
+
+  test('filters by a configured threshold and rejects unknown ones', async () => {
+    const { status } = await get('/api/analysis/thresholds?threshold=national');
+    assert.equal(status, 200);
+
+    const { status: unknown, body } = await get('/api/analysis/thresholds?threshold=bogus');
+    assert.equal(unknown, 400);
+    assert.equal(body.error, 'Unknown threshold "bogus". Allowed: national, eu');
+  });
+
+  test('ties ETags and cached results to the loaded config', async () => {
+    const response = await fetch(`${server.baseUrl}/api/analysis/thresholds`);
+    assert.match(response.headers.get('etag'), new RegExp(`^W/"dataset-\\d+-${configHash()}"$`));
+
+    const config = loadThresholdConfig();
+    const edited = configHash([{ ...config, thresholds: config.thresholds.slice(1) }, loadProfiles()]);
+    assert.notEqual(edited, configHash());
+
+    assert.equal(await cached('/thresholds', () => 'before', `1-${configHash()}`), 'before');
+    assert.equal(await cached('/thresholds', () => 'after', `1-${edited}`), 'after');
+  });
+});